@@ -0,0 +1,232 @@
+import { ethers } from 'ethers';
+/**
+ * EIP-712 signed passport attestations
+ *
+ * An attester signer reads selected passport fields at one block and signs
+ * them as typed data together with the block number and an expiry, so an
+ * off-chain consumer can trust "address X had github and twitter verified at
+ * block N" by checking one signature, without an RPC connection.
+ *
+ * The typed-data struct only contains the selected fields. Their EIP-712
+ * types come from ATTESTATION_FIELDS on both sides, never from the
+ * attestation itself. Integers are decimal strings so attestations stay
+ * JSON-safe whatever the SDK's numeric mode.
+ */
+
+// Attestable fields, their EIP-712 types and how each is read from a passport
+export const ATTESTATION_FIELDS = {
+  passportId: {
+    type: 'uint256',
+    read: passport => passport ? String(passport.id) : '0'
+  },
+  platforms: {
+    type: 'string[]',
+    read: passport => passport
+      ? passport.platforms.filter(platform => passport.verifications[platform] && passport.verifications[platform].active)
+      : []
+  },
+  category: {
+    type: 'string',
+    read: passport => passport ? passport.category : ''
+  },
+  verificationCount: {
+    type: 'uint256',
+    read: passport => passport ? String(passport.verificationCount) : '0'
+  },
+  totalPoints: {
+    type: 'uint256',
+    read: passport => passport ? String(passport.totalPoints) : '0'
+  },
+  createdAt: {
+    type: 'uint64',
+    read: passport => passport ? Math.floor(passport.createdAt.getTime() / 1000) : 0
+  },
+  strength: {
+    type: 'uint8',
+    read: (passport, strength) => strength ? strength.score : 0
+  }
+};
+
+export const DEFAULT_ATTESTATION_FIELDS = ['passportId', 'platforms', 'category'];
+
+const BASE_FIELDS = [
+  { name: 'subject', type: 'address' },
+  { name: 'blockNumber', type: 'uint256' },
+  { name: 'issuedAt', type: 'uint64' },
+  { name: 'expiresAt', type: 'uint64' },
+  { name: 'hasPassport', type: 'bool' }
+];
+
+/**
+ * @private
+ */
+function validateFields(fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error('An attestation needs a non-empty list of fields');
+  }
+  for (const field of fields) {
+    if (!ATTESTATION_FIELDS[field]) {
+      throw new Error(`Unknown attestation field: ${field}. Use one of ${Object.keys(ATTESTATION_FIELDS).join(', ')}`);
+    }
+  }
+  if (new Set(fields).size !== fields.length) {
+    throw new Error('Attestation fields must not repeat');
+  }
+}
+
+/**
+ * EIP-712 types of an attestation with the given fields
+ * @private
+ */
+function attestationTypes(fields) {
+  return {
+    PasslyAttestation: [
+      ...BASE_FIELDS,
+      ...fields.map(field => ({ name: field, type: ATTESTATION_FIELDS[field].type }))
+    ]
+  };
+}
+
+/**
+ * @private
+ */
+function toMessage(attestation) {
+  return {
+    subject: attestation.subject,
+    blockNumber: attestation.blockNumber,
+    issuedAt: attestation.issuedAt,
+    expiresAt: attestation.expiresAt,
+    hasPassport: attestation.hasPassport,
+    ...attestation.claims
+  };
+}
+
+/**
+ * Sign an attestation of an address's passport fields at a block
+ * @param {PasslySDK} sdk - A connected SDK instance with a signer (the attester)
+ * @param {string} address - The wallet address to attest
+ * @param {string[]} [fields=['passportId', 'platforms', 'category']] - Fields to include (see ATTESTATION_FIELDS)
+ * @param {Object} [options] - Attestation options
+ * @param {number} [options.expiresIn=3600] - Lifetime in seconds
+ * @param {number} [options.blockNumber] - Block to read at (the latest block by default, or the snapshot's block)
+ * @param {string} [options.strengthModel='default'] - Scoring model for the strength field
+ * @returns {Promise<Object>} - The attestation: subject, block, times, claims, EIP-712 domain, attester and signature
+ */
+export async function createAttestation(sdk, address, fields = DEFAULT_ATTESTATION_FIELDS, options = {}) {
+  sdk._ensureConnected();
+  if (!sdk.config.signer) {
+    throw new Error('No signer configured. Pass config.signer to sign attestations.');
+  }
+  if (!ethers.utils.isAddress(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  validateFields(fields);
+
+  // Read every field at one block so the claims are consistent with the block number signed
+  let view = sdk;
+  let blockNumber = sdk.blockTag;
+  if (blockNumber === undefined) {
+    blockNumber = options.blockNumber !== undefined ? options.blockNumber : await sdk._readProvider().getBlockNumber();
+    view = await sdk.at(blockNumber);
+  }
+
+  // A failed read throws rather than being signed as "no passport"
+  const passport = await view._loadPassport(address);
+  const strength = passport && fields.includes('strength')
+    ? await view._calculateVerificationStrength(passport, options.strengthModel)
+    : null;
+
+  const issuedAt = Math.floor(sdk._now() / 1000);
+  const attestation = {
+    subject: ethers.utils.getAddress(address),
+    blockNumber,
+    issuedAt,
+    expiresAt: issuedAt + (options.expiresIn || 3600),
+    hasPassport: passport !== null,
+    fields: [...fields],
+    claims: Object.fromEntries(fields.map(field => [field, ATTESTATION_FIELDS[field].read(passport, strength)])),
+    domain: {
+      name: 'Passly Attestation',
+      version: '1',
+      chainId: sdk.network.chainId,
+      verifyingContract: ethers.utils.getAddress(sdk.config.addresses.passly)
+    }
+  };
+
+  attestation.attester = await sdk.config.signer.getAddress();
+  attestation.signature = await sdk.config.signer._signTypedData(
+    attestation.domain,
+    attestationTypes(fields),
+    toMessage(attestation)
+  );
+
+  return attestation;
+}
+
+/**
+ * Verify an attestation's signature, attester and expiry. Needs no connection.
+ * @param {Object} attestation - An attestation from createAttestation
+ * @param {string[]} trustedAttesters - Addresses whose attestations are accepted
+ * @param {Object} [options] - Extra checks
+ * @param {number} [options.chainId] - Chain the attestation must be for
+ * @param {number} [options.minBlockNumber] - Oldest acceptable block
+ * @param {Date} [options.time=now] - Time to check expiry against
+ * @returns {Object} - { valid, attester, reasons, claims }
+ */
+export function verifyAttestation(attestation, trustedAttesters, options = {}) {
+  if (!Array.isArray(trustedAttesters) || trustedAttesters.length === 0) {
+    throw new Error('verifyAttestation needs a list of trusted attesters');
+  }
+
+  const reasons = [];
+  let attester = null;
+
+  try {
+    validateFields(attestation.fields);
+    const claimNames = Object.keys(attestation.claims || {});
+    const missing = attestation.fields.filter(field => !claimNames.includes(field));
+    if (missing.length > 0) {
+      throw new Error(`Missing claims: ${missing.join(', ')}`);
+    }
+    // Claims outside the signed field list would be ignored by the signature check
+    const unsigned = claimNames.filter(name => !attestation.fields.includes(name));
+    if (unsigned.length > 0) {
+      throw new Error(`Unsigned claims: ${unsigned.join(', ')}`);
+    }
+    attester = ethers.utils.verifyTypedData(
+      attestation.domain,
+      attestationTypes(attestation.fields),
+      toMessage(attestation),
+      attestation.signature
+    );
+  } catch (error) {
+    reasons.push(`Invalid attestation: ${error.message}`);
+  }
+
+  if (attester) {
+    const trusted = trustedAttesters.map(trustedAttester => ethers.utils.getAddress(trustedAttester));
+    if (!trusted.includes(attester)) {
+      reasons.push(`Attester ${attester} is not trusted`);
+    } else if (attestation.attester && ethers.utils.getAddress(attestation.attester) !== attester) {
+      reasons.push('Signature was not made by the stated attester');
+    }
+  }
+
+  const now = Math.floor((options.time || new Date()).getTime() / 1000);
+  if (Number(attestation.expiresAt) <= now) {
+    reasons.push('Attestation has expired');
+  }
+  if (options.chainId !== undefined && attestation.domain && Number(attestation.domain.chainId) !== options.chainId) {
+    reasons.push(`Attestation is for chain ${attestation.domain.chainId}, expected ${options.chainId}`);
+  }
+  if (options.minBlockNumber !== undefined && Number(attestation.blockNumber) < options.minBlockNumber) {
+    reasons.push(`Attestation is from block ${attestation.blockNumber}, older than ${options.minBlockNumber}`);
+  }
+
+  return {
+    valid: reasons.length === 0,
+    attester,
+    reasons,
+    claims: reasons.length === 0 ? attestation.claims : null
+  };
+}
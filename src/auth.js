@@ -0,0 +1,385 @@
+import { ethers } from 'ethers';
+import { SignInError } from './errors.js';
+
+/**
+ * Sign-In with Ethereum (EIP-4361) with a Passly identity
+ *
+ * The server issues a nonce, the wallet signs the SIWE message built around
+ * it, and the signature is verified locally by recovering the signer with
+ * ethers (no RPC call). A successful sign-in is turned into one session
+ * object with the signer's passport, active verifications and strength, and
+ * optionally a HS256 JWT carrying the same Passly claims. JWT signing uses
+ * Node's `crypto`, loaded lazily so browser bundles are unaffected.
+ */
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Message fields after the statement, in the order EIP-4361 requires them
+const FIELDS = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID']
+];
+
+const REQUIRED_FIELDS = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+
+/**
+ * Generate a random alphanumeric nonce for a sign-in message
+ * @returns {string} - A 32 character nonce
+ */
+export function generateNonce() {
+  return ethers.utils.hexlify(ethers.utils.randomBytes(16)).slice(2);
+}
+
+/**
+ * @private
+ */
+function toIsoString(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Build an EIP-4361 sign-in message
+ * @param {Object} fields - Message fields
+ * @param {string} fields.domain - Domain requesting the sign-in, e.g. "app.example.com"
+ * @param {string} fields.address - Wallet address signing in
+ * @param {string} fields.uri - URI of the resource the session is for
+ * @param {number} fields.chainId - Chain ID the wallet is on
+ * @param {string} fields.nonce - Nonce issued by the server (see generateNonce)
+ * @param {string} [fields.statement] - Human-readable statement shown to the user (single line)
+ * @param {string} [fields.scheme] - URI scheme of the domain, e.g. "https"
+ * @param {string} [fields.version='1'] - Message version
+ * @param {Date|string} [fields.issuedAt=now] - Issue time
+ * @param {Date|string} [fields.expirationTime] - Time after which the message is no longer valid
+ * @param {Date|string} [fields.notBefore] - Time before which the message is not yet valid
+ * @param {string} [fields.requestId] - Request identifier
+ * @param {string[]} [fields.resources] - Resources the user consents to
+ * @returns {string} - The message to sign
+ */
+export function createSiweMessage(fields) {
+  if (!fields.domain || !fields.uri || !fields.nonce || !fields.chainId) {
+    throw new Error('A sign-in message needs a domain, uri, chainId and nonce');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('Nonce must be at least 8 alphanumeric characters');
+  }
+  if (fields.statement && fields.statement.includes('\n')) {
+    throw new Error('Statement must be a single line');
+  }
+
+  const values = {
+    ...fields,
+    version: fields.version || '1',
+    issuedAt: toIsoString(fields.issuedAt || new Date()),
+    expirationTime: toIsoString(fields.expirationTime),
+    notBefore: toIsoString(fields.notBefore)
+  };
+
+  const lines = [
+    `${fields.scheme ? `${fields.scheme}://` : ''}${fields.domain}${HEADER_SUFFIX}`,
+    ethers.utils.getAddress(fields.address),
+    '',
+    ...(fields.statement ? [fields.statement, ''] : ['']),
+    ...FIELDS
+      .filter(([key]) => values[key] !== undefined && values[key] !== null)
+      .map(([key, label]) => `${label}: ${values[key]}`)
+  ];
+
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse an EIP-4361 sign-in message
+ * @param {string} message - The signed message
+ * @returns {Object} - The message fields; chainId is a number and times are ISO strings
+ */
+export function parseSiweMessage(message) {
+  const malformed = detail => new SignInError(`Malformed sign-in message: ${detail}`, { reason: 'malformed' });
+  const lines = String(message).split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw malformed('missing header line');
+  }
+  const origin = lines[0].slice(0, -HEADER_SUFFIX.length);
+  const schemeMatch = /^([a-zA-Z][a-zA-Z0-9+.-]*):\/\/(.+)$/.exec(origin);
+
+  const fields = {
+    scheme: schemeMatch ? schemeMatch[1] : null,
+    domain: schemeMatch ? schemeMatch[2] : origin,
+    address: lines[1],
+    statement: null,
+    resources: []
+  };
+
+  if (!ethers.utils.isAddress(fields.address || '') || ethers.utils.getAddress(fields.address) !== fields.address) {
+    throw malformed('address must be EIP-55 checksummed');
+  }
+  if (lines[2] !== '') {
+    throw malformed('expected an empty line after the address');
+  }
+
+  let index = 3;
+  if (lines[index] !== '') {
+    fields.statement = lines[index];
+    index++;
+  }
+  if (lines[index] !== '') {
+    throw malformed('expected an empty line before the fields');
+  }
+  index++;
+
+  let fieldIndex = 0;
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(index + 1).map(resource => {
+        if (!resource.startsWith('- ')) throw malformed(`invalid resource "${resource}"`);
+        return resource.slice(2);
+      });
+      break;
+    }
+
+    // Fields must appear in order, optional ones may be skipped
+    while (fieldIndex < FIELDS.length && !line.startsWith(`${FIELDS[fieldIndex][1]}: `)) {
+      fieldIndex++;
+    }
+    if (fieldIndex === FIELDS.length) {
+      throw malformed(`unexpected line "${line}"`);
+    }
+
+    const [key, label] = FIELDS[fieldIndex];
+    fields[key] = line.slice(label.length + 2);
+    fieldIndex++;
+  }
+
+  for (const key of REQUIRED_FIELDS) {
+    if (fields[key] === undefined) throw malformed(`missing ${key}`);
+  }
+  if (fields.version !== '1') {
+    throw malformed(`unsupported version ${fields.version}`);
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw malformed('nonce must be at least 8 alphanumeric characters');
+  }
+
+  fields.chainId = Number(fields.chainId);
+  if (!Number.isInteger(fields.chainId)) {
+    throw malformed('invalid chain ID');
+  }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] !== undefined && isNaN(Date.parse(fields[key]))) {
+      throw malformed(`invalid ${key}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Verify a signed sign-in message: signature, and optionally domain, nonce, chain and validity window
+ * @param {string} message - The signed message
+ * @param {string} signature - The wallet's signature
+ * @param {Object} [options] - Checks to apply
+ * @param {string} [options.domain] - Expected domain
+ * @param {string} [options.nonce] - Nonce the server issued for this sign-in
+ * @param {number} [options.chainId] - Expected chain ID
+ * @param {Date} [options.time=now] - Time to check expiration and not-before against
+ * @returns {Object} - The parsed message fields
+ */
+export function verifySiweMessage(message, signature, options = {}) {
+  const fields = parseSiweMessage(message);
+  const time = (options.time || new Date()).getTime();
+
+  if (options.domain !== undefined && fields.domain !== options.domain) {
+    throw new SignInError(`Message is for domain ${fields.domain}, expected ${options.domain}`, { reason: 'domain_mismatch' });
+  }
+  if (options.nonce !== undefined && fields.nonce !== options.nonce) {
+    throw new SignInError('Message nonce does not match the issued nonce', { reason: 'nonce_mismatch' });
+  }
+  if (options.chainId !== undefined && fields.chainId !== options.chainId) {
+    throw new SignInError(`Message is for chain ${fields.chainId}, expected ${options.chainId}`, { reason: 'chain_mismatch' });
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= time) {
+    throw new SignInError('Sign-in message has expired', { reason: 'expired' });
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > time) {
+    throw new SignInError('Sign-in message is not valid yet', { reason: 'not_yet_valid' });
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(message, signature);
+  } catch (error) {
+    throw new SignInError('Invalid signature', { reason: 'invalid_signature', cause: error });
+  }
+  if (signer !== fields.address) {
+    throw new SignInError('Signature was not made by the address in the message', { reason: 'invalid_signature' });
+  }
+
+  return fields;
+}
+
+/**
+ * @private
+ */
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * @private
+ */
+async function hmacSha256(secret, data) {
+  const { createHmac } = await import('crypto');
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign claims as a HS256 JWT (Node.js only)
+ * @param {Object} claims - JWT claims
+ * @param {string} secret - HMAC secret
+ * @returns {Promise<string>} - The token
+ */
+export async function signSessionToken(claims, secret) {
+  if (!secret) {
+    throw new Error('A JWT secret is required');
+  }
+  const unsigned = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson(claims)}`;
+  return `${unsigned}.${await hmacSha256(secret, unsigned)}`;
+}
+
+/**
+ * Verify a HS256 JWT issued by signIn and return its claims (Node.js only)
+ * @param {string} token - The token
+ * @param {string} secret - HMAC secret
+ * @param {Object} [options] - Extra checks
+ * @param {string} [options.issuer] - Expected `iss` claim
+ * @param {string} [options.audience] - Expected `aud` claim
+ * @param {Date} [options.time=now] - Time to check expiry against
+ * @returns {Promise<Object>} - The claims
+ */
+export async function verifySessionToken(token, secret, options = {}) {
+  const invalid = (detail, reason = 'invalid_token') => new SignInError(`Invalid session token: ${detail}`, { reason });
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw invalid('malformed');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid('malformed');
+  }
+  if (header.alg !== 'HS256') throw invalid(`unsupported algorithm ${header.alg}`);
+
+  const { timingSafeEqual } = await import('crypto');
+  const expected = Buffer.from(await hmacSha256(secret, `${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw invalid('bad signature');
+  }
+
+  const now = Math.floor((options.time || new Date()).getTime() / 1000);
+  if (claims.exp !== undefined && claims.exp <= now) throw invalid('expired', 'token_expired');
+  if (options.issuer !== undefined && claims.iss !== options.issuer) throw invalid('wrong issuer');
+  if (options.audience !== undefined && claims.aud !== options.audience) throw invalid('wrong audience');
+
+  return claims;
+}
+
+/**
+ * Verify a sign-in and resolve the signer's Passly identity
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string} message - The signed SIWE message
+ * @param {string} signature - The wallet's signature
+ * @param {Object} options - Verification and session options
+ * @param {string} options.domain - Expected domain
+ * @param {string} options.nonce - Nonce the server issued for this sign-in
+ * @param {number} [options.chainId] - Expected chain ID
+ * @param {boolean} [options.requirePassport=false] - Reject wallets without a passport
+ * @param {string} [options.strengthModel='default'] - Scoring model for the strength claim
+ * @param {Object} [options.jwt] - Issue a JWT with the Passly claims
+ * @param {string} options.jwt.secret - HMAC secret
+ * @param {number} [options.jwt.expiresIn=3600] - Lifetime in seconds (capped by the message's expiration time)
+ * @param {string} [options.jwt.audience] - `aud` claim
+ * @returns {Promise<Object>} - Session with the address, message details, passport, verifications, strength and token
+ */
+export async function signIn(sdk, message, signature, options = {}) {
+  sdk._ensureConnected();
+  if (!options.domain || !options.nonce) {
+    throw new Error('signIn needs the expected domain and the nonce issued for this sign-in');
+  }
+
+  const fields = verifySiweMessage(message, signature, options);
+  // A failed read is thrown rather than signing the wallet in without its passport
+  const passport = await sdk._loadPassport(fields.address);
+
+  if (!passport && options.requirePassport) {
+    throw new SignInError(`No passport found for ${fields.address}`, { reason: 'no_passport' });
+  }
+
+  const verifications = {};
+  if (passport) {
+    for (const platform of passport.platforms) {
+      const verification = passport.verifications[platform];
+      if (verification && verification.active) {
+        verifications[platform] = verification.identifier;
+      }
+    }
+  }
+
+  const strength = passport ? await sdk._calculateVerificationStrength(passport, options.strengthModel) : null;
+
+  const session = {
+    address: fields.address,
+    domain: fields.domain,
+    uri: fields.uri,
+    chainId: fields.chainId,
+    nonce: fields.nonce,
+    issuedAt: new Date(fields.issuedAt),
+    expiresAt: fields.expirationTime ? new Date(fields.expirationTime) : null,
+    passportId: passport ? passport.id : null,
+    passport,
+    verifications,
+    strength: strength ? { score: strength.score, grade: strength.grade, model: strength.model } : null,
+    token: null
+  };
+
+  if (options.jwt) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    let expiresAt = issuedAt + (options.jwt.expiresIn || 3600);
+    if (session.expiresAt) {
+      expiresAt = Math.min(expiresAt, Math.floor(session.expiresAt.getTime() / 1000));
+    }
+
+    session.token = await signSessionToken({
+      sub: session.address,
+      iss: session.domain,
+      ...(options.jwt.audience ? { aud: options.jwt.audience } : {}),
+      iat: issuedAt,
+      exp: expiresAt,
+      chainId: session.chainId,
+      passly: {
+        // IDs are strings so claims stay exact in every numeric mode
+        passportId: passport ? String(passport.id) : null,
+        category: passport ? passport.category : null,
+        verifications: Object.keys(verifications),
+        strength: session.strength ? session.strength.score : null,
+        grade: session.strength ? session.strength.grade : null
+      }
+    }, options.jwt.secret);
+  }
+
+  return session;
+}
@@ -0,0 +1,305 @@
+import { ethers } from 'ethers';
+
+/**
+ * Response caching for Passly contract reads
+ *
+ * Results are cached per contract call, below the SDK methods, so every
+ * method that resolves the same passport ID or loads the same passport data
+ * shares one entry. Values are stored as ABI-encoded hex strings: they decode
+ * back to exactly what ethers returns and can be kept in any string store.
+ *
+ * Keys of calls scoped to a passport start with `<namespace>:p:<passportId>:`
+ * and keys of calls made with a wallet address start with
+ * `<namespace>:a:<address>:`, so all entries of a passport can be dropped with
+ * one prefix delete. Other calls start with `<namespace>:g:` and are dropped
+ * per contract method when an event that can change their answer arrives.
+ *
+ * A backend is any object with these (optionally async) methods:
+ *   get(key) -> string | undefined
+ *   set(key, value, ttlMs)      // ttlMs may be Infinity for "never expires"
+ *   delete(key)
+ *   deletePrefix(prefix)
+ *   clear()
+ */
+
+// Protocol configuration does not change within a session
+const STATIC_METHODS = [
+  'getSupportedCategories',
+  'isCategorySupported',
+  'getPlatformConfig',
+  'getSupportedPlatforms',
+  'getSupportedPlatformTypes',
+  'isPlatformSupported',
+  'isPlatformTypeSupported',
+  'getPointConfig'
+];
+
+// Names of the first argument that make a call passport scoped (passports are ERC-721 tokens)
+const PASSPORT_ARGUMENTS = ['passportId', 'tokenId'];
+
+// Global reads (neither passport nor address scoped) whose answer an event type can change
+const LEADERBOARD_READS = ['leaderboard.getTopEntries', 'leaderboard.getTopEntriesByCategory', 'leaderboard.getLeaderboardStats'];
+const EVENT_GLOBAL_READS = {
+  passportCreated: ['rewards.validateReferralCode', ...LEADERBOARD_READS],
+  verificationAdded: ['passly.isIdentifierVerified', 'archives.getIdentifierUsage'],
+  verificationRevoked: ['passly.isIdentifierVerified'],
+  verificationArchived: ['archives.getIdentifierUsage'],
+  passportTransferred: LEADERBOARD_READS,
+  categoryChanged: LEADERBOARD_READS,
+  pointsChanged: LEADERBOARD_READS,
+  referralApplied: [],
+  rankChanged: LEADERBOARD_READS
+};
+
+export const DEFAULT_CACHE_TTLS = Object.freeze(
+  Object.fromEntries(STATIC_METHODS.map(method => [method, Infinity]))
+);
+
+/**
+ * Unbounded in-memory cache backend
+ */
+export class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  deletePrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * In-memory cache backend that evicts the least recently used entries
+ */
+export class LruCache extends MemoryCache {
+  /**
+   * @param {Object} [options] - Backend options
+   * @param {number} [options.maxEntries=1000] - Maximum number of cached entries
+   */
+  constructor(options = {}) {
+    super();
+    this.maxEntries = options.maxEntries || 1000;
+  }
+
+  get(key) {
+    const value = super.get(key);
+    if (value !== undefined) {
+      // Re-insert so the entry moves to the most recently used end
+      const entry = this.entries.get(key);
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return value;
+  }
+
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    super.set(key, value, ttl);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Serialise call arguments for use in a cache key
+ * @private
+ */
+function serializeArgs(args) {
+  return JSON.stringify(args, (key, value) => {
+    if (value && value.type === 'BigNumber' && value.hex) return ethers.BigNumber.from(value.hex).toString();
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'string' && ethers.utils.isAddress(value)) return value.toLowerCase();
+    return value;
+  });
+}
+
+/**
+ * TTL handling, in-flight request dedupe and invalidation on top of a backend
+ */
+export class CacheManager {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.backend] - Cache backend (defaults to an LruCache)
+   * @param {number} [options.ttl=15000] - Default TTL in milliseconds
+   * @param {Object} [options.ttls] - Per contract method TTLs in milliseconds (0 disables caching)
+   * @param {string} [options.namespace='passly'] - Key prefix, e.g. to share a Redis instance
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || new LruCache();
+    this.ttl = options.ttl === undefined ? 15000 : options.ttl;
+    this.ttls = { ...DEFAULT_CACHE_TTLS, ...(options.ttls || {}) };
+    this.namespace = options.namespace || 'passly';
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get the TTL for a contract method
+   * @param {string} method - The contract method name
+   * @returns {number} - TTL in milliseconds
+   */
+  ttlFor(method) {
+    return this.ttls[method] === undefined ? this.ttl : this.ttls[method];
+  }
+
+  /**
+   * Build the cache key of a contract call
+   * @param {string} contractName - SDK contract name (e.g. "passly")
+   * @param {ethers.utils.FunctionFragment} fragment - The function being called
+   * @param {Array} args - Call arguments
+   * @returns {string} - The cache key
+   */
+  keyFor(contractName, fragment, args) {
+    const [firstInput] = fragment.inputs;
+    let scope = 'g';
+
+    if (firstInput && PASSPORT_ARGUMENTS.includes(firstInput.name)) {
+      scope = `p:${ethers.BigNumber.from(args[0]).toString()}`;
+    } else if (firstInput && firstInput.type === 'address') {
+      scope = `a:${String(args[0]).toLowerCase()}`;
+    }
+
+    return `${this.namespace}:${scope}:${contractName}.${fragment.name}:${serializeArgs(args)}`;
+  }
+
+  /**
+   * Return a cached value or load it, sharing one load between concurrent callers
+   * @param {string} key - The cache key
+   * @param {number} ttl - TTL in milliseconds for a newly loaded value
+   * @param {Function} load - Async loader returning a string to cache
+   * @returns {Promise<string>} - The cached or loaded value
+   */
+  async wrap(key, ttl, load) {
+    const cached = await this.backend.get(key);
+    if (cached !== undefined && cached !== null) {
+      return cached;
+    }
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await load();
+        await this.backend.set(key, value, ttl);
+        return value;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Drop every cached entry of a passport
+   * @param {number|bigint|string} passportId - The passport ID
+   * @returns {Promise<void>}
+   */
+  async invalidatePassport(passportId) {
+    await this.backend.deletePrefix(`${this.namespace}:p:${passportId}:`);
+  }
+
+  /**
+   * Drop every cached entry looked up by a wallet address
+   * @param {string} address - The wallet address
+   * @returns {Promise<void>}
+   */
+  async invalidateAddress(address) {
+    await this.backend.deletePrefix(`${this.namespace}:a:${address.toLowerCase()}:`);
+  }
+
+  /**
+   * Drop the cached global reads (leaderboard pages, identifier lookups) that events can change
+   * @param {string[]} eventTypes - Normalised event types, e.g. ['verificationAdded']
+   * @returns {Promise<void>}
+   */
+  async invalidateEvents(eventTypes) {
+    const methods = new Set(eventTypes.flatMap(type => EVENT_GLOBAL_READS[type] || []));
+    await Promise.all([...methods].map(method => this.backend.deletePrefix(`${this.namespace}:g:${method}:`)));
+  }
+
+  /**
+   * Drop every cached entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.backend.clear();
+  }
+}
+
+/**
+ * Wrap a contract so that its view functions are served from the cache.
+ * Calls with overrides (e.g. a blockTag) and write functions are passed through.
+ * @param {ethers.Contract} contract - The contract to wrap
+ * @param {string} contractName - SDK contract name used in cache keys
+ * @param {CacheManager} cache - The cache to use
+ * @returns {ethers.Contract} - A contract with cached reads
+ */
+export function withCache(contract, contractName, cache) {
+  const readMethods = new Set();
+  for (const fragment of Object.values(contract.interface.functions)) {
+    if (fragment.constant) {
+      readMethods.add(fragment.name);
+    }
+  }
+
+  return new Proxy({}, {
+    get(target, property) {
+      if (typeof property === 'string' && readMethods.has(property)) {
+        return async (...args) => {
+          const fragment = contract.interface.getFunction(property);
+          const ttl = cache.ttlFor(property);
+
+          if (args.length > fragment.inputs.length || ttl <= 0) {
+            return contract[property](...args);
+          }
+
+          const encoded = await cache.wrap(cache.keyFor(contractName, fragment, args), ttl, async () => {
+            const result = await contract[property](...args);
+            return contract.interface.encodeFunctionResult(fragment, fragment.outputs.length === 1 ? [result] : result);
+          });
+
+          const decoded = contract.interface.decodeFunctionResult(fragment, encoded);
+          return fragment.outputs.length === 1 ? decoded[0] : decoded;
+        };
+      }
+
+      const value = contract[property];
+      return typeof value === 'function' ? value.bind(contract) : value;
+    },
+    has(target, property) {
+      return property in contract;
+    }
+  });
+}
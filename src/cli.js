@@ -0,0 +1,406 @@
+import { parseArgs } from 'util';
+import PasslySDK from './index.js';
+
+/**
+ * `passly` command-line tool
+ *
+ * Thin wrapper over PasslySDK for looking up passports without writing
+ * scripts. Every command loads its data through the SDK and hands it to one
+ * formatter, so JSON, table and CSV output look the same for all commands.
+ * Integers are printed exactly (the SDK runs in `string` numeric mode) and
+ * the SDK runs in strict mode so failures are reported instead of printing
+ * empty results.
+ */
+
+const USAGE = `Usage: passly <command> [arguments] [options]
+
+Commands:
+  passport <address|id>            Passport data and verifications
+  verify <platform> <identifier>   Whether an account is verified, and by which passport
+  leaderboard [category]           Top leaderboard entries (use --top N)
+  history <address|id> <platform>  Verification history of a platform
+  strength <address|id>            Verification strength score (use --model name)
+  config                           Supported platforms, categories, point config and contracts
+  screen <file.csv>                Screen the addresses of a CSV file against requirements
+
+Output:
+  --format <json|table|csv>        Output format (default: table)
+
+Connection:
+  --network <name>                 Network name (default: base)
+  --rpc <url>                      RPC URL; repeat for failover
+  --contract <address>             Passly contract address override
+  --platforms-address <address>    Platforms contract address override
+  --archives-address <address>     Archives contract address override
+  --rewards-address <address>      Rewards contract address override
+  --leaderboard-address <address>  Leaderboard contract address override
+
+Screening (screen):
+  --platforms <a,b>                Platforms that must all be verified
+  --any-platforms <a,b>            Platforms of which at least one must be verified
+  --categories <a,b>               Allowed categories
+  --min-verifications <n>          Minimum active verifications
+  --min-age-days <n>               Minimum passport age in days
+  --min-strength <n>               Minimum verification strength
+  --min-points <n>                 Minimum total points
+  --max-rank <n>                   Worst acceptable global rank
+  --concurrency <n>                Addresses screened at once (default: 10)
+
+  --help                           Show this help`;
+
+const OPTIONS = {
+  format: { type: 'string', default: 'table' },
+  network: { type: 'string' },
+  rpc: { type: 'string', multiple: true },
+  contract: { type: 'string' },
+  'platforms-address': { type: 'string' },
+  'archives-address': { type: 'string' },
+  'rewards-address': { type: 'string' },
+  'leaderboard-address': { type: 'string' },
+  top: { type: 'string', default: '10' },
+  model: { type: 'string' },
+  platforms: { type: 'string' },
+  'any-platforms': { type: 'string' },
+  categories: { type: 'string' },
+  'min-verifications': { type: 'string' },
+  'min-age-days': { type: 'string' },
+  'min-strength': { type: 'string' },
+  'min-points': { type: 'string' },
+  'max-rank': { type: 'string' },
+  concurrency: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const FORMATS = ['json', 'table', 'csv'];
+
+/**
+ * Error in the command line itself; printed with the usage and exit code 2
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Read a positional argument, failing with a usage error if it is missing
+ * @private
+ */
+function required(positionals, index, name) {
+  if (positionals[index] === undefined) {
+    throw new UsageError(`Missing <${name}>`);
+  }
+  return positionals[index];
+}
+
+/**
+ * Parse an integer flag
+ * @private
+ */
+function integerOption(values, name) {
+  if (values[name] === undefined) return undefined;
+
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Parse a comma separated list flag
+ * @private
+ */
+function listOption(values, name) {
+  if (values[name] === undefined) return undefined;
+  return values[name].split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse CSV text into rows of fields (quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows of fields
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read the addresses of a CSV file: the "address" column if there is a header, otherwise the first column.
+ * Only a first row without any 0x value is a header; all other rows are kept, so invalid addresses are
+ * reported by the screening instead of being dropped.
+ * @private
+ */
+async function readAddresses(path) {
+  const { promises: fs } = await import('fs');
+  const rows = parseCsv(await fs.readFile(path, 'utf8'));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const hasHeader = !rows[0].some(field => /^0x/i.test(field.trim()));
+  const column = hasHeader ? Math.max(header.indexOf('address'), 0) : 0;
+
+  return rows.slice(hasHeader ? 1 : 0).map(fields => (fields[column] || '').trim());
+}
+
+/**
+ * Flatten nested objects into dotted keys; arrays of scalars are joined with "; "
+ * @private
+ */
+function flatten(value, prefix = '', result = {}) {
+  if (value instanceof Date) {
+    result[prefix] = value.toISOString();
+  } else if (Array.isArray(value)) {
+    result[prefix] = value.every(item => item === null || typeof item !== 'object')
+      ? value.join('; ')
+      : JSON.stringify(value, jsonReplacer);
+  } else if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) result[prefix] = '';
+    for (const [key, nested] of entries) {
+      flatten(nested, prefix ? `${prefix}.${key}` : key, result);
+    }
+  } else {
+    result[prefix] = value === null || value === undefined ? '' : String(value);
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Turn command output into a header and rows: lists become one row per item,
+ * single objects become field/value pairs
+ * @private
+ */
+function toRows(data) {
+  if (Array.isArray(data)) {
+    const flattened = data.map(item => item !== null && typeof item === 'object' ? flatten(item) : { value: String(item) });
+    const columns = [...new Set(flattened.flatMap(item => Object.keys(item)))];
+    return { columns, rows: flattened.map(item => columns.map(column => column in item ? item[column] : '')) };
+  }
+
+  const flattened = flatten(data === null || typeof data !== 'object' ? { value: data } : data);
+  return { columns: ['field', 'value'], rows: Object.entries(flattened) };
+}
+
+/**
+ * @private
+ */
+function escapeCsv(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Format command output as JSON, an aligned text table or CSV
+ * @param {*} data - Command output
+ * @param {string} [format='table'] - json, table or csv
+ * @returns {string} - The formatted output
+ */
+export function formatOutput(data, format = 'table') {
+  if (format === 'json') {
+    return JSON.stringify(data, jsonReplacer, 2);
+  }
+
+  const { columns, rows } = toRows(data);
+
+  if (format === 'csv') {
+    return [columns, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+  }
+
+  if (rows.length === 0) {
+    return '(no results)';
+  }
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...rows.map(row => row[index].length))
+  );
+  const line = row => row.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  return [line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Build the SDK config from the connection flags
+ * @private
+ */
+function sdkConfig(values) {
+  return {
+    network: values.network,
+    rpcUrls: values.rpc,
+    contractAddress: values.contract,
+    platformsAddress: values['platforms-address'],
+    archivesAddress: values['archives-address'],
+    rewardsAddress: values['rewards-address'],
+    leaderboardAddress: values['leaderboard-address'],
+    numeric: 'string',
+    strict: true
+  };
+}
+
+/**
+ * Command implementations: (sdk, positionals, values) => data to print
+ * @private
+ */
+const COMMANDS = {
+  async passport(sdk, positionals) {
+    const addressOrPassportId = required(positionals, 0, 'address|id');
+    return /^\d+$/.test(addressOrPassportId)
+      ? await sdk.getPassportById(addressOrPassportId)
+      : await sdk.getPassport(addressOrPassportId);
+  },
+
+  async verify(sdk, positionals) {
+    const platform = required(positionals, 0, 'platform');
+    const identifier = required(positionals, 1, 'identifier');
+    return { platform, identifier, ...(await sdk.isAccountVerified(platform, identifier)) };
+  },
+
+  async leaderboard(sdk, positionals, values) {
+    const top = integerOption(values, 'top');
+    const category = positionals[0];
+    return category
+      ? await sdk.getTopEntriesByCategory(category, top)
+      : await sdk.getTopEntries(top);
+  },
+
+  async history(sdk, positionals) {
+    const addressOrPassportId = required(positionals, 0, 'address|id');
+    const platform = required(positionals, 1, 'platform');
+    return await sdk.getVerificationHistory(addressOrPassportId, platform);
+  },
+
+  async strength(sdk, positionals, values) {
+    const strength = await sdk.getVerificationStrength(required(positionals, 0, 'address|id'), values.model);
+    if (!strength) {
+      throw new Error('Verification strength is unavailable for this passport');
+    }
+    return strength;
+  },
+
+  async config(sdk) {
+    return await sdk.getSystemConfig();
+  },
+
+  async screen(sdk, positionals, values) {
+    const addresses = await readAddresses(required(positionals, 0, 'file.csv'));
+    const criteria = {
+      platforms: listOption(values, 'platforms'),
+      anyPlatforms: listOption(values, 'any-platforms'),
+      categories: listOption(values, 'categories'),
+      minVerifications: integerOption(values, 'min-verifications'),
+      minAccountAgeDays: integerOption(values, 'min-age-days'),
+      minStrength: integerOption(values, 'min-strength'),
+      strengthModel: values.model,
+      minPoints: integerOption(values, 'min-points'),
+      maxRank: integerOption(values, 'max-rank')
+    };
+    Object.keys(criteria).forEach(key => criteria[key] === undefined && delete criteria[key]);
+
+    const report = await sdk.screenAddresses(addresses, criteria, {
+      concurrency: integerOption(values, 'concurrency')
+    });
+
+    return report.results.map(result => ({
+      address: result.address,
+      passportId: result.passportId,
+      passed: result.passed,
+      reasons: result.reasons,
+      ...result.data
+    }));
+  }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @param {Object} [io] - Output streams
+ * @param {Object} [io.stdout=process.stdout] - Stream for results
+ * @param {Object} [io.stderr=process.stderr] - Stream for errors and usage
+ * @param {Function} [io.createSdk] - Creates the SDK from a config (for custom providers)
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 on errors, 2 on usage errors
+ */
+export async function runCli(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const createSdk = io.createSdk || (config => new PasslySDK(config));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [commandName, ...args] = positionals;
+
+  if (values.help || !commandName) {
+    (values.help ? stdout : stderr).write(`${USAGE}\n`);
+    return values.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    stderr.write(`Unknown command: ${commandName}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (!FORMATS.includes(values.format)) {
+    stderr.write(`--format must be one of: ${FORMATS.join(', ')}\n`);
+    return 2;
+  }
+
+  try {
+    const sdk = createSdk(sdkConfig(values));
+    await sdk.connect();
+
+    const data = await command(sdk, args, values);
+    stdout.write(`${formatOutput(data, values.format)}\n`);
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
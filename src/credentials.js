@@ -0,0 +1,420 @@
+import { ethers } from 'ethers';
+
+/**
+ * W3C Verifiable Credentials for Passly verifications
+ *
+ * Each active platform verification becomes one credential whose subject is
+ * the passport owner's `did:pkh` and whose claims are the on-chain record
+ * (identifier, verifiedAt, proofHash, active). Credentials and presentations
+ * carry an EthereumEip712Signature2021 proof made by the configured signer.
+ *
+ * The EIP-712 types are fixed by this module rather than taken from the
+ * proof, so a document cannot be signed under types that leave claims out.
+ * The domain binds the signature to the chain and Passly contract the
+ * verification was read from, which is also where verifyCredential looks when
+ * asked to re-check that the verification is still active and that the
+ * subject still owns the passport.
+ *
+ * Anyone can sign a well-formed credential, so verification only accepts
+ * issuers from an explicit `trustedIssuers` list. A presentation is signed by
+ * its holder, who must be the subject of every credential it carries.
+ */
+
+export const CREDENTIAL_CONTEXTS = [
+  'https://www.w3.org/2018/credentials/v1',
+  'https://w3id.org/security/suites/eip712sig-2021/v1'
+];
+
+export const CREDENTIAL_TYPE = 'PasslyVerificationCredential';
+
+const PROOF_TYPE = 'EthereumEip712Signature2021';
+
+const CREDENTIAL_FIELDS = [
+  { name: '@context', type: 'string[]' },
+  { name: 'type', type: 'string[]' },
+  { name: 'id', type: 'string' },
+  { name: 'issuer', type: 'string' },
+  { name: 'issuanceDate', type: 'string' },
+  { name: 'credentialSubject', type: 'CredentialSubject' }
+];
+
+const SUBJECT_FIELDS = [
+  { name: 'id', type: 'string' },
+  { name: 'passportId', type: 'string' },
+  { name: 'platform', type: 'string' },
+  { name: 'identifier', type: 'string' },
+  { name: 'verifiedAt', type: 'string' },
+  { name: 'proofHash', type: 'bytes32' },
+  { name: 'active', type: 'bool' }
+];
+
+const PROOF_FIELDS = [
+  { name: 'type', type: 'string' },
+  { name: 'created', type: 'string' },
+  { name: 'proofPurpose', type: 'string' },
+  { name: 'verificationMethod', type: 'string' },
+  { name: 'proofValue', type: 'string' }
+];
+
+const CREDENTIAL_TYPES = {
+  VerifiableCredential: CREDENTIAL_FIELDS,
+  CredentialSubject: SUBJECT_FIELDS
+};
+
+/**
+ * EIP-712 types of a presentation; the embedded credentials are signed with their proofs
+ * @private
+ */
+function presentationTypes(presentation) {
+  const fields = [
+    { name: '@context', type: 'string[]' },
+    { name: 'type', type: 'string[]' },
+    { name: 'id', type: 'string' },
+    { name: 'holder', type: 'string' },
+    { name: 'verifiableCredential', type: 'SignedCredential[]' }
+  ];
+  if (presentation.challenge !== undefined) fields.push({ name: 'challenge', type: 'string' });
+  if (presentation.domain !== undefined) fields.push({ name: 'domain', type: 'string' });
+
+  return {
+    VerifiablePresentation: fields,
+    SignedCredential: [...CREDENTIAL_FIELDS, { name: 'proof', type: 'Proof' }],
+    CredentialSubject: SUBJECT_FIELDS,
+    Proof: PROOF_FIELDS
+  };
+}
+
+/**
+ * Build a did:pkh identifier for an address on a chain
+ * @param {string} address - The wallet address
+ * @param {number} chainId - The chain ID
+ * @returns {string} - e.g. "did:pkh:eip155:1:0xAb..."
+ */
+export function toDidPkh(address, chainId) {
+  return `did:pkh:eip155:${chainId}:${ethers.utils.getAddress(address)}`;
+}
+
+/**
+ * Split a did:pkh identifier into its chain ID and address
+ * @private
+ */
+function parseDidPkh(did) {
+  const match = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})(#.*)?$/.exec(did || '');
+  return match ? { chainId: Number(match[1]), address: ethers.utils.getAddress(match[2]) } : null;
+}
+
+/**
+ * @private
+ */
+function signingDomain(sdk) {
+  return {
+    name: 'Passly Verifiable Credential',
+    version: '1',
+    chainId: sdk.network.chainId,
+    verifyingContract: ethers.utils.getAddress(sdk.config.addresses.passly)
+  };
+}
+
+/**
+ * Sign a document and attach its proof
+ * @private
+ */
+async function attachProof(sdk, document, types, primaryType, options) {
+  const domain = signingDomain(sdk);
+  const signer = await sdk.config.signer.getAddress();
+  const proofValue = await sdk.config.signer._signTypedData(domain, types, document);
+
+  return {
+    ...document,
+    proof: {
+      type: PROOF_TYPE,
+      created: new Date(sdk._now()).toISOString(),
+      proofPurpose: options.proofPurpose,
+      verificationMethod: `${toDidPkh(signer, domain.chainId)}#blockchainAccountId`,
+      proofValue,
+      eip712: { domain, types, primaryType }
+    }
+  };
+}
+
+/**
+ * Address of a did:pkh subject, or null for any other identifier
+ * @private
+ */
+function subjectAddress(credential) {
+  const subject = parseDidPkh(credential.credentialSubject && credential.credentialSubject.id);
+  return subject ? subject.address : null;
+}
+
+/**
+ * @private
+ */
+function ensureSigner(sdk) {
+  sdk._ensureConnected();
+  if (!sdk.config.signer) {
+    throw new Error('No signer configured. Pass config.signer to sign credentials.');
+  }
+}
+
+/**
+ * Issue signed credentials for a passport's verifications
+ * @param {PasslySDK} sdk - A connected SDK instance with a signer
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object} [options] - Issuance options
+ * @param {string[]} [options.platforms] - Only issue credentials for these platforms
+ * @param {boolean} [options.includeInactive=false] - Also issue credentials for revoked verifications
+ * @returns {Promise<Object[]|null>} - One credential per verification, or null if no passport
+ */
+export async function issueCredentials(sdk, addressOrPassportId, options = {}) {
+  ensureSigner(sdk);
+
+  const passport = await sdk._loadPassport(addressOrPassportId);
+  if (!passport) return null;
+
+  const chainId = sdk.network.chainId;
+  const issuer = toDidPkh(await sdk.config.signer.getAddress(), chainId);
+  const issuanceDate = new Date(sdk._now()).toISOString();
+  const platforms = options.platforms ? options.platforms.map(platform => platform.toLowerCase()) : passport.platforms;
+
+  const credentials = [];
+  for (const platform of platforms) {
+    const verification = passport.verifications[platform];
+    if (!verification || (!verification.active && !options.includeInactive)) continue;
+
+    const verifiedAt = verification.verifiedAt.toISOString();
+    const credential = {
+      '@context': CREDENTIAL_CONTEXTS,
+      type: ['VerifiableCredential', CREDENTIAL_TYPE],
+      id: `urn:passly:${chainId}:${passport.id}:${platform}:${verification.verifiedAt.getTime() / 1000}`,
+      issuer,
+      issuanceDate,
+      credentialSubject: {
+        id: toDidPkh(passport.owner, chainId),
+        passportId: String(passport.id),
+        platform,
+        identifier: verification.identifier,
+        verifiedAt,
+        proofHash: verification.proofHash,
+        active: verification.active
+      }
+    };
+
+    credentials.push(await attachProof(sdk, credential, CREDENTIAL_TYPES, 'VerifiableCredential', {
+      proofPurpose: 'assertionMethod'
+    }));
+  }
+
+  return credentials;
+}
+
+/**
+ * Wrap a passport's credentials in a Verifiable Presentation signed by their subject
+ * @param {PasslySDK} sdk - A connected SDK instance whose signer owns the passport
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object} [options] - Issuance options (see issueCredentials), plus:
+ * @param {Object[]} [options.credentials] - Credentials to present instead of issuing new ones
+ * @param {string} [options.challenge] - Verifier-supplied challenge, to prevent replay
+ * @param {string} [options.domain] - Domain the presentation is intended for
+ * @returns {Promise<Object|null>} - The presentation, or null if no passport
+ */
+export async function createPresentation(sdk, addressOrPassportId, options = {}) {
+  ensureSigner(sdk);
+
+  const credentials = options.credentials || await issueCredentials(sdk, addressOrPassportId, options);
+  if (!credentials) return null;
+
+  const signer = await sdk.config.signer.getAddress();
+  if (credentials.some(credential => subjectAddress(credential) !== signer)) {
+    throw new Error('A presentation must be signed by the subject of its credentials');
+  }
+
+  const holder = toDidPkh(signer, sdk.network.chainId);
+  const presentation = {
+    '@context': CREDENTIAL_CONTEXTS,
+    type: ['VerifiablePresentation'],
+    id: `urn:uuid:${uuid()}`,
+    holder,
+    verifiableCredential: credentials.map(({ proof, ...credential }) => ({ ...credential, proof: stripEip712(proof) }))
+  };
+  if (options.challenge !== undefined) presentation.challenge = options.challenge;
+  if (options.domain !== undefined) presentation.domain = options.domain;
+
+  const signed = await attachProof(sdk, presentation, presentationTypes(presentation), 'VerifiablePresentation', {
+    proofPurpose: 'authentication'
+  });
+  // Embedded credentials keep their full proofs so each one can be verified on its own
+  signed.verifiableCredential = credentials;
+  return signed;
+}
+
+/**
+ * Proof fields covered by a presentation signature
+ * @private
+ */
+function stripEip712(proof) {
+  const { eip712, ...fields } = proof;
+  return fields;
+}
+
+/**
+ * @private
+ */
+function uuid() {
+  const bytes = ethers.utils.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = ethers.utils.hexlify(bytes).slice(2);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Check a document's proof against the types this module signs with
+ * @private
+ */
+function checkProof(document, types, primaryType, reasons) {
+  const { proof, ...unsigned } = document;
+
+  if (!proof || proof.type !== PROOF_TYPE || !proof.eip712 || !proof.eip712.domain) {
+    reasons.push(`Missing ${PROOF_TYPE} proof`);
+    return null;
+  }
+  if (proof.eip712.primaryType !== primaryType) {
+    reasons.push(`Proof is for ${proof.eip712.primaryType}, expected ${primaryType}`);
+    return null;
+  }
+
+  const method = parseDidPkh(proof.verificationMethod);
+  const signerDid = parseDidPkh(primaryType === 'VerifiablePresentation' ? document.holder : document.issuer);
+  if (!method || !signerDid || method.address !== signerDid.address) {
+    reasons.push('Verification method does not match the signer');
+    return null;
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.utils.verifyTypedData(proof.eip712.domain, types, unsigned, proof.proofValue);
+  } catch (error) {
+    reasons.push(`Invalid signature: ${error.message}`);
+    return null;
+  }
+  if (recovered !== signerDid.address) {
+    reasons.push('Signature was not made by the issuer');
+    return null;
+  }
+
+  return recovered;
+}
+
+/**
+ * Re-check a credential against the current on-chain verification and passport owner
+ * @private
+ */
+async function checkOnChain(sdk, credential, reasons) {
+  sdk._ensureConnected();
+  const { domain } = credential.proof.eip712;
+  if (Number(domain.chainId) !== sdk.network.chainId ||
+      ethers.utils.getAddress(domain.verifyingContract) !== ethers.utils.getAddress(sdk.config.addresses.passly)) {
+    reasons.push(`Credential was issued for chain ${domain.chainId} contract ${domain.verifyingContract}, not the connected network`);
+    return null;
+  }
+
+  const { passportId, platform, identifier, proofHash } = credential.credentialSubject;
+  const [[currentIdentifier, , currentProofHash, active], owner] = await Promise.all([
+    sdk.contracts.passly.getVerification(passportId, platform),
+    sdk.contracts.passly.ownerOf(passportId)
+  ]);
+  const onChain = { active, identifier: currentIdentifier, proofHash: currentProofHash, owner };
+
+  if (subjectAddress(credential) !== ethers.utils.getAddress(owner)) {
+    reasons.push(`Passport ${passportId} is owned by ${owner}, not the credential subject`);
+  }
+  if (!active) {
+    reasons.push(`${platform} verification is no longer active`);
+  } else if (currentIdentifier !== identifier || currentProofHash !== proofHash) {
+    reasons.push(`${platform} verification has changed since the credential was issued`);
+  }
+  return onChain;
+}
+
+/**
+ * Verify a single credential
+ * @private
+ */
+async function verifySingleCredential(credential, options) {
+  const reasons = [];
+  const issuer = checkProof(credential, CREDENTIAL_TYPES, 'VerifiableCredential', reasons);
+
+  if (issuer && !options.trustedIssuers.some(trusted => ethers.utils.getAddress(trusted) === issuer)) {
+    reasons.push(`Issuer ${issuer} is not trusted`);
+  }
+  if (issuer && !credential.credentialSubject.active) {
+    reasons.push(`${credential.credentialSubject.platform} verification was not active when issued`);
+  }
+
+  let onChain = null;
+  if (issuer && options.checkOnChain) {
+    if (!options.sdk) {
+      throw new Error('checkOnChain needs a connected sdk');
+    }
+    onChain = await checkOnChain(options.sdk, credential, reasons);
+  }
+
+  return { valid: reasons.length === 0, type: 'VerifiableCredential', issuer, reasons, onChain };
+}
+
+/**
+ * Verify a credential or presentation produced by issueCredentials or createPresentation
+ * @param {Object} document - The credential or presentation
+ * @param {Object} options - Verification options
+ * @param {string[]} options.trustedIssuers - Addresses allowed to issue credentials
+ * @param {boolean} [options.checkOnChain=false] - Re-check that each verification is still active on-chain
+ * @param {PasslySDK} [options.sdk] - Connected SDK for the on-chain check
+ * @param {string} [options.challenge] - Challenge a presentation must carry
+ * @param {string} [options.domain] - Domain a presentation must be intended for
+ * @returns {Promise<Object>} - { valid, type, issuer or holder, reasons, onChain or credentials }
+ */
+export async function verifyCredential(document, options = {}) {
+  if (!Array.isArray(options.trustedIssuers) || options.trustedIssuers.length === 0) {
+    throw new Error('verifyCredential needs a list of trusted issuers');
+  }
+
+  const isPresentation = Array.isArray(document.type) && document.type.includes('VerifiablePresentation');
+  if (!isPresentation) {
+    return await verifySingleCredential(document, options);
+  }
+
+  const reasons = [];
+  const signed = {
+    ...document,
+    verifiableCredential: (document.verifiableCredential || []).map(({ proof, ...credential }) => ({
+      ...credential,
+      proof: proof ? stripEip712(proof) : proof
+    }))
+  };
+  const holder = checkProof(signed, presentationTypes(document), 'VerifiablePresentation', reasons);
+
+  if (options.challenge !== undefined && document.challenge !== options.challenge) {
+    reasons.push('Presentation challenge does not match');
+  }
+  if (options.domain !== undefined && document.domain !== options.domain) {
+    reasons.push('Presentation domain does not match');
+  }
+
+  const credentials = await Promise.all((document.verifiableCredential || []).map(credential =>
+    verifySingleCredential(credential, options)
+  ));
+  credentials.forEach((result, index) => {
+    if (!result.valid) reasons.push(`Credential ${index}: ${result.reasons.join('; ')}`);
+  });
+
+  // A holder may only present credentials about themselves
+  if (holder) {
+    (document.verifiableCredential || []).forEach((credential, index) => {
+      if (subjectAddress(credential) !== holder) {
+        reasons.push(`Credential ${index}: subject is not the presentation holder`);
+      }
+    });
+  }
+
+  return { valid: reasons.length === 0, type: 'VerifiablePresentation', holder, reasons, credentials };
+}
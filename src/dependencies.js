@@ -0,0 +1,305 @@
+import { ethers } from 'ethers';
+import { ContractUnavailableError } from './errors.js';
+import { addNumeric } from './numbers.js';
+
+/**
+ * Platform dependency graph
+ *
+ * Platforms can require other platforms to be verified first (the
+ * `requiredPlatforms` of their on-chain config). The graph of all supported
+ * platforms answers onboarding questions for a passport: what can be verified
+ * next, what is still missing for a platform, and what a revocation would
+ * cascade to. The Platforms contract stays the authority for the per-passport
+ * answers (`validateDependencies`, `getCascadeAffectedPlatforms`); the graph
+ * adds ordering, transitive requirements and cycle detection.
+ *
+ * Points from a revoked platform are lost when its config enables point
+ * punishment and the revocation falls within `punishmentPeriodDays` of the
+ * verification.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether revoking a verification at a given time would deduct its points
+ * @param {Object} config - Platform config from getPlatformConfig
+ * @param {Date} verifiedAt - When the platform was verified
+ * @param {number} [at=Date.now()] - Time of the revocation in milliseconds
+ * @returns {boolean} - Whether the point punishment applies
+ */
+export function punishmentApplies(config, verifiedAt, at = Date.now()) {
+  if (!config || !config.enablePointPunishment) return false;
+  return at - verifiedAt.getTime() < Number(config.punishmentPeriodDays) * DAY_MS;
+}
+
+/**
+ * Find the cycles in a requirement graph
+ * @private
+ */
+function findCycles(nodes) {
+  const cycles = [];
+  const state = {};
+  const stack = [];
+
+  const visit = platform => {
+    state[platform] = 'visiting';
+    stack.push(platform);
+
+    for (const required of nodes[platform].requires) {
+      if (!nodes[required]) continue;
+      if (state[required] === 'visiting') {
+        cycles.push([...stack.slice(stack.indexOf(required)), required]);
+      } else if (!state[required]) {
+        visit(required);
+      }
+    }
+
+    stack.pop();
+    state[platform] = 'done';
+  };
+
+  for (const platform of Object.keys(nodes)) {
+    if (!state[platform]) visit(platform);
+  }
+  return cycles;
+}
+
+/**
+ * Order platforms so every platform comes after the platforms it requires. Platforms on a cycle are left out.
+ * @private
+ */
+function verificationOrder(nodes) {
+  const order = [];
+  const placed = new Set();
+  let remaining = Object.keys(nodes);
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(platform =>
+      nodes[platform].requires.every(required => placed.has(required) || !nodes[required])
+    );
+    if (ready.length === 0) break;
+
+    ready.forEach(platform => placed.add(platform));
+    order.push(...ready);
+    remaining = remaining.filter(platform => !placed.has(platform));
+  }
+
+  return order;
+}
+
+/**
+ * @private
+ */
+function ensurePlatforms(sdk) {
+  sdk._ensureConnected();
+  if (!sdk.contracts.platforms) {
+    throw new ContractUnavailableError('platforms');
+  }
+}
+
+/**
+ * Build the dependency graph of every supported platform
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @returns {Promise<Object>} - { platforms, order, cycles, unknownRequirements }
+ */
+export async function buildDependencyGraph(sdk) {
+  ensurePlatforms(sdk);
+
+  // A config that cannot be read would look like a platform without requirements or punishment
+  const reader = sdk._strictView();
+  const names = await sdk.contracts.platforms.getSupportedPlatforms();
+  const configs = await Promise.all(names.map(platform => reader.getPlatformConfig(platform)));
+
+  const platforms = {};
+  names.forEach((platform, index) => {
+    const config = configs[index];
+    if (!config) {
+      throw new Error(`No configuration for platform ${platform}`);
+    }
+    platforms[platform] = {
+      platform,
+      platformType: config.platformType || null,
+      requires: [...(config.requiredPlatforms || [])],
+      requiredBy: [],
+      pointReward: config.pointReward !== undefined ? config.pointReward : null,
+      enablePointPunishment: Boolean(config.enablePointPunishment),
+      punishmentPeriodDays: config.punishmentPeriodDays !== undefined ? config.punishmentPeriodDays : null
+    };
+  });
+
+  const unknownRequirements = [];
+  for (const node of Object.values(platforms)) {
+    for (const required of node.requires) {
+      if (platforms[required]) {
+        platforms[required].requiredBy.push(node.platform);
+      } else {
+        unknownRequirements.push({ platform: node.platform, requires: required });
+      }
+    }
+  }
+
+  return {
+    platforms,
+    order: verificationOrder(platforms),
+    cycles: findCycles(platforms),
+    unknownRequirements
+  };
+}
+
+/**
+ * Collect every platform a platform requires, directly or indirectly, in verification order
+ * @private
+ */
+function transitiveRequirements(graph, platform) {
+  const required = new Set();
+  const walk = name => {
+    const node = graph.platforms[name];
+    if (!node) return;
+    for (const dependency of node.requires) {
+      if (!required.has(dependency) && dependency !== platform) {
+        required.add(dependency);
+        walk(dependency);
+      }
+    }
+  };
+  walk(platform);
+
+  // Platforms on a cycle have no place in the order and go last
+  const ordered = graph.order.filter(name => required.has(name));
+  return [...ordered, ...[...required].filter(name => !ordered.includes(name))];
+}
+
+/**
+ * Load a passport and its active platforms, or null when it does not exist
+ * @private
+ */
+async function loadPassport(sdk, addressOrPassportId) {
+  const passport = await sdk._loadPassport(addressOrPassportId);
+  if (!passport) return null;
+
+  const active = passport.platforms.filter(platform =>
+    passport.verifications[platform] && passport.verifications[platform].active
+  );
+  return { passport, active };
+}
+
+/**
+ * List the platforms a passport can verify next: not yet verified, with every requirement met
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object} [options] - Options
+ * @param {Object} [options.graph] - A graph from buildDependencyGraph, to avoid rebuilding it
+ * @returns {Promise<string[]|null>} - Platforms in verification order, or null if no passport
+ */
+export async function getVerifiablePlatforms(sdk, addressOrPassportId, options = {}) {
+  ensurePlatforms(sdk);
+  const graph = options.graph || await buildDependencyGraph(sdk);
+  const loaded = await loadPassport(sdk, addressOrPassportId);
+  if (!loaded) return null;
+
+  // Platforms on a cycle are not in the order but the contract may still accept them
+  const candidates = [...graph.order, ...Object.keys(graph.platforms).filter(platform => !graph.order.includes(platform))]
+    .filter(platform => !loaded.active.includes(platform));
+  const results = await Promise.all(candidates.map(platform =>
+    sdk.contracts.platforms.validateDependencies(loaded.active, platform)
+  ));
+
+  return candidates.filter((platform, index) => results[index][0]);
+}
+
+/**
+ * Explain what a passport is missing before it can verify a platform
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {string} platform - The platform to verify
+ * @param {Object} [options] - Options
+ * @param {Object} [options.graph] - A graph from buildDependencyGraph, to avoid rebuilding it
+ * @returns {Promise<Object|null>} - { platform, verified, canVerify, missing, path }, or null if no passport
+ */
+export async function getMissingDependencies(sdk, addressOrPassportId, platform, options = {}) {
+  ensurePlatforms(sdk);
+  const graph = options.graph || await buildDependencyGraph(sdk);
+  const name = platform.toLowerCase();
+  if (!graph.platforms[name]) {
+    throw new Error(`Unsupported platform: ${platform}`);
+  }
+
+  const loaded = await loadPassport(sdk, addressOrPassportId);
+  if (!loaded) return null;
+
+  const [canVerify] = await sdk.contracts.platforms.validateDependencies(loaded.active, name);
+
+  return {
+    platform: name,
+    verified: loaded.active.includes(name),
+    canVerify,
+    // Direct requirements not yet verified
+    missing: graph.platforms[name].requires.filter(required => !loaded.active.includes(required)),
+    // Every unverified platform on the way, in the order to verify them
+    path: transitiveRequirements(graph, name).filter(required => !loaded.active.includes(required))
+  };
+}
+
+/**
+ * Work out what revoking a platform would cost a passport: cascaded verifications and points
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {string} platform - The platform to revoke
+ * @param {Object} [options] - Options
+ * @param {Object} [options.graph] - A graph from buildDependencyGraph, to avoid rebuilding it
+ * @param {Date} [options.at=now] - Time of the revocation, for punishment periods
+ * @returns {Promise<Object|null>} - { platform, lostPlatforms, remainingPlatforms, points, pointsLost }, or null if no passport
+ */
+export async function getRevocationImpact(sdk, addressOrPassportId, platform, options = {}) {
+  ensurePlatforms(sdk);
+  const graph = options.graph || await buildDependencyGraph(sdk);
+  const name = platform.toLowerCase();
+
+  const loaded = await loadPassport(sdk, addressOrPassportId);
+  if (!loaded) return null;
+  if (!loaded.active.includes(name)) {
+    throw new Error(`Passport has no active ${name} verification`);
+  }
+
+  const cascaded = await sdk.contracts.platforms.getCascadeAffectedPlatforms(loaded.active, name);
+  const lostPlatforms = [name, ...cascaded.filter(affected => affected !== name && loaded.active.includes(affected))];
+  const at = options.at ? options.at.getTime() : sdk._now();
+
+  // Points earned from each platform; without a rewards contract fall back to the configured reward
+  const zero = sdk._toNumeric(ethers.constants.Zero, 'points');
+  const earned = await Promise.all(lostPlatforms.map(async lost => {
+    if (sdk.contracts.rewards) {
+      return sdk._toNumeric(await sdk.contracts.rewards.getPlatformPoints(loaded.passport.id, lost), 'points');
+    }
+    const node = graph.platforms[lost];
+    return loaded.passport.verifications[lost].pointsAwarded && node && node.pointReward !== null ? node.pointReward : zero;
+  }));
+
+  const points = {};
+  let pointsLost = zero;
+  lostPlatforms.forEach((lost, index) => {
+    const verification = loaded.passport.verifications[lost];
+    const node = graph.platforms[lost];
+    const penalized = punishmentApplies(node, verification.verifiedAt, at);
+
+    points[lost] = {
+      earned: earned[index],
+      penalized,
+      // When revoking after this date the points are kept
+      punishmentEndsAt: node && node.enablePointPunishment
+        ? new Date(verification.verifiedAt.getTime() + Number(node.punishmentPeriodDays) * DAY_MS)
+        : null
+    };
+    if (penalized) {
+      pointsLost = addNumeric(pointsLost, earned[index], sdk.numeric, 'pointsLost');
+    }
+  });
+
+  return {
+    platform: name,
+    lostPlatforms,
+    remainingPlatforms: loaded.active.filter(active => !lostPlatforms.includes(active)),
+    points,
+    pointsLost
+  };
+}
@@ -0,0 +1,208 @@
+import { ethers } from 'ethers';
+
+/**
+ * Typed errors thrown by the Passly SDK
+ *
+ * In the default lenient mode most read methods still return null (or an
+ * empty value) on failure. With `strict: true` they throw one of these
+ * instead, so callers can tell a missing passport from an unreachable RPC.
+ */
+
+// Revert reasons and custom error names for a missing passport or an unminted passport ID
+const NO_PASSPORT_REASONS = ['User has no passport', 'Passport does not exist', 'ERC721: invalid token ID'];
+const NO_PASSPORT_ERROR_NAMES = ['NoPassport', 'PassportNotFound', 'ERC721NonexistentToken'];
+
+const RPC_ERROR_CODES = [
+  ethers.errors.SERVER_ERROR,
+  ethers.errors.TIMEOUT,
+  ethers.errors.NETWORK_ERROR
+];
+
+const DECODE_ERROR_CODES = [
+  ethers.errors.NUMERIC_FAULT,
+  ethers.errors.BUFFER_OVERRUN,
+  ethers.errors.INVALID_ARGUMENT
+];
+
+/**
+ * Base class for all SDK errors
+ */
+export class PasslyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Extra details
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+/**
+ * The address or passport ID has no passport
+ */
+export class PassportNotFoundError extends PasslyError {
+  constructor(addressOrPassportId, options = {}) {
+    super(`No passport found for ${addressOrPassportId}`, options);
+    this.addressOrPassportId = addressOrPassportId;
+  }
+}
+
+/**
+ * The contract needed for a call is not configured
+ */
+export class ContractUnavailableError extends PasslyError {
+  constructor(contractName, options = {}) {
+    super(`${contractName.charAt(0).toUpperCase()}${contractName.slice(1)} contract not configured`, options);
+    this.contractName = contractName;
+  }
+}
+
+/**
+ * The provider or signer is connected to a different chain than the configured network
+ */
+export class NetworkMismatchError extends PasslyError {
+  constructor(network, actualChainId, options = {}) {
+    super(`${options.source || 'Provider'} is on chain ${actualChainId} but network ${network.name} expects chain ${network.chainId}`, options);
+    this.network = network.name;
+    this.expectedChainId = network.chainId;
+    this.actualChainId = actualChainId;
+  }
+}
+
+/**
+ * An on-chain integer does not fit the configured numeric mode
+ */
+export class NumericOverflowError extends PasslyError {
+  constructor(field, value, options = {}) {
+    super(`${field} value ${value} exceeds Number.MAX_SAFE_INTEGER; use numeric: 'bigint' or 'string'`, options);
+    this.field = field;
+    this.value = value;
+  }
+}
+
+/**
+ * A Sign-In with Ethereum message, signature or session token was rejected
+ */
+export class SignInError extends PasslyError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Extra details
+   * @param {string} [options.reason] - Machine-readable reason, e.g. "expired" or "invalid_signature"
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.reason = options.reason || null;
+  }
+}
+
+/**
+ * The RPC endpoint failed, timed out or rate limited the request
+ */
+export class RpcError extends PasslyError {}
+
+/**
+ * The contract call or transaction reverted
+ */
+export class ContractRevertError extends PasslyError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Extra details
+   * @param {string} [options.reason] - The revert reason, when the node returned one
+   * @param {Object} [options.receipt] - The mined receipt of a reverted transaction
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.reason = options.reason || null;
+    this.receipt = options.receipt || null;
+  }
+}
+
+/**
+ * The contract response could not be decoded (wrong address or ABI, or a value out of range)
+ */
+export class DecodeError extends PasslyError {}
+
+/**
+ * An error followed by the errors it wraps (ethers nests them in `error`)
+ * @param {Error} error - The outermost error
+ * @returns {Object[]} - The error and up to three wrapped errors
+ */
+export function errorChain(error) {
+  const chain = [];
+  for (let current = error; current && chain.length < 4; current = current.error) {
+    chain.push(current);
+  }
+  return chain;
+}
+
+/**
+ * Find the transport failure behind an error, if the RPC endpoint was not reached or failed.
+ * ethers reports a failed eth_call as CALL_EXCEPTION with the HTTP or connection error nested
+ * inside, so every wrapped error is checked; a JSON-RPC error answer means the node was reached.
+ * @private
+ */
+function findTransportFailure(error) {
+  return errorChain(error).find(entry => {
+    if (entry.status === 429 || entry.status >= 500) return true;
+    if (!RPC_ERROR_CODES.includes(entry.code)) return false;
+    return Boolean(entry.status) || !(entry.error && typeof entry.error.code === 'number');
+  });
+}
+
+/**
+ * Check whether an error means the passport does not exist
+ * @param {Error} error - The error to check
+ * @returns {boolean} - Whether the error is a missing-passport revert
+ */
+export function isPassportNotFound(error) {
+  if (error instanceof PassportNotFoundError) return true;
+
+  const reason = error.reason || (error.error && error.error.reason) || '';
+  return NO_PASSPORT_REASONS.some(expected => reason.includes(expected)) ||
+    NO_PASSPORT_ERROR_NAMES.includes(error.errorName);
+}
+
+/**
+ * Convert an ethers or RPC error to the matching typed error.
+ * Errors that are already typed, and errors not raised by ethers, are returned unchanged.
+ * @param {Error} error - The error to convert
+ * @param {Object} [context] - What was being looked up
+ * @param {string|number} [context.addressOrPassportId] - The passport being loaded
+ * @returns {Error} - The typed error
+ */
+export function toPasslyError(error, context = {}) {
+  if (error instanceof PasslyError || !error || !error.code) {
+    return error;
+  }
+
+  if (isPassportNotFound(error)) {
+    return new PassportNotFoundError(context.addressOrPassportId, { cause: error });
+  }
+
+  const failure = findTransportFailure(error);
+  if (failure) {
+    return new RpcError(`RPC request failed: ${failure.reason || failure.message}`, { cause: error });
+  }
+
+  if (error.code === ethers.errors.CALL_EXCEPTION) {
+    // Empty return data without a reason means nothing answered at that address
+    if (!error.reason && (!error.data || error.data === '0x')) {
+      return new DecodeError('Contract returned no data; check the contract address and network', { cause: error });
+    }
+    return new ContractRevertError(`Contract call reverted: ${error.reason || 'unknown reason'}`, {
+      cause: error,
+      reason: error.reason
+    });
+  }
+
+  if (DECODE_ERROR_CODES.includes(error.code)) {
+    return new DecodeError(`Could not decode contract response: ${error.reason || error.message}`, { cause: error });
+  }
+
+  return new PasslyError(error.message, { cause: error });
+}
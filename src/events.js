@@ -0,0 +1,309 @@
+import { ethers } from 'ethers';
+import { toNumeric } from './numbers.js';
+
+/**
+ * Passport event subscriptions
+ *
+ * Logs are polled with `getLogs` rather than provider filters so that a
+ * dropped connection never loses events: the feed remembers the last block it
+ * processed and catches up once the RPC is reachable again. The most recent
+ * `reorgDepth` blocks are re-scanned on every poll; events already delivered
+ * are deduplicated and events that disappear in a reorg are delivered again
+ * with `removed: true`.
+ */
+
+/**
+ * Maps raw contract events to normalised feed events
+ * @private
+ */
+const EVENT_NORMALIZERS = {
+  PassportCreated: (args, convert) => ({
+    type: 'passportCreated',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { owner: args.owner, category: args.category }
+  }),
+  VerificationAdded: (args, convert) => ({
+    type: 'verificationAdded',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { platform: args.platform, identifier: args.identifier, proofHash: args.proofHash }
+  }),
+  VerificationRevoked: (args, convert) => ({
+    type: 'verificationRevoked',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { platform: args.platform, reason: args.reason }
+  }),
+  Transfer: (args, convert) => ({
+    type: 'passportTransferred',
+    passportId: convert(args.tokenId, 'passportId'),
+    data: { from: args.from, to: args.to }
+  }),
+  CategoryChanged: (args, convert) => ({
+    type: 'categoryChanged',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { previousCategory: args.oldCategory, category: args.newCategory }
+  }),
+  PointsAwarded: (args, convert) => ({
+    type: 'pointsChanged',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { delta: convert(args.amount, 'delta'), reason: args.reason }
+  }),
+  PointsDeducted: (args, convert) => ({
+    type: 'pointsChanged',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { delta: convert(args.amount.mul(-1), 'delta'), reason: args.reason }
+  }),
+  ReferralApplied: (args, convert) => ({
+    type: 'referralApplied',
+    passportId: convert(args.refereePassportId, 'passportId'),
+    data: { referrerPassportId: convert(args.referrerPassportId, 'referrerPassportId'), referralCode: args.referralCode }
+  }),
+  VerificationArchived: (args, convert) => ({
+    type: 'verificationArchived',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { platform: args.platform, identifier: args.identifier, reason: args.reason }
+  }),
+  RankChanged: (args, convert) => ({
+    type: 'rankChanged',
+    passportId: convert(args.passportId, 'passportId'),
+    data: { previousRank: convert(args.oldRank, 'previousRank'), rank: convert(args.newRank, 'rank'), score: convert(args.score, 'score') }
+  })
+};
+
+export const EVENT_TYPES = [
+  'passportCreated',
+  'verificationAdded',
+  'verificationRevoked',
+  'passportTransferred',
+  'categoryChanged',
+  'pointsChanged',
+  'referralApplied',
+  'verificationArchived',
+  'rankChanged'
+];
+
+/**
+ * Decode a raw log from one of the Passly contracts into a normalised event
+ * @param {ethers.Contract} contract - The contract that emitted the log
+ * @param {Object} log - The raw log
+ * @param {string} [numeric='number'] - Numeric mode of passport IDs, points and ranks (number, bigint or string)
+ * @returns {Object|null} - The normalised event, or null if the log is not a known Passly event
+ */
+export function normalizeLog(contract, log, numeric = 'number') {
+  let parsed;
+  try {
+    parsed = contract.interface.parseLog(log);
+  } catch (error) {
+    // Not an event this SDK knows about
+    return null;
+  }
+
+  const normalize = EVENT_NORMALIZERS[parsed.name];
+  if (!normalize) return null;
+
+  // A mint is already reported as passportCreated
+  if (parsed.name === 'Transfer' && parsed.args.from === ethers.constants.AddressZero) return null;
+
+  return {
+    ...normalize(parsed.args, (value, field) => toNumeric(value, numeric, field)),
+    event: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    removed: false
+  };
+}
+
+/**
+ * Key identifying a log. Two identical events emitted in one transaction
+ * differ only by their log index.
+ * @private
+ */
+function logKey(log) {
+  return `${log.transactionHash}:${log.logIndex}`;
+}
+
+/**
+ * Polling event feed over the Passly contracts
+ */
+export class PasslyEventFeed {
+  /**
+   * @param {PasslySDK} sdk - A connected SDK instance
+   * @param {Function} handler - Called with each normalised event
+   * @param {Object} [options] - Feed options
+   * @param {number|bigint|string} [options.passportId] - Only deliver events for this passport
+   * @param {string[]} [options.events] - Only deliver these event types (e.g. ['verificationAdded'])
+   * @param {number} [options.fromBlock] - First block to scan (defaults to the latest block)
+   * @param {number} [options.pollInterval=4000] - Milliseconds between polls
+   * @param {number} [options.confirmations=0] - Blocks to wait before delivering an event
+   * @param {number} [options.reorgDepth=12] - Recent blocks re-scanned on every poll to detect reorgs
+   * @param {number} [options.batchSize=2000] - Blocks fetched per getLogs call
+   * @param {number} [options.maxRetryDelay=60000] - Upper bound of the reconnect backoff
+   * @param {Function} [options.onError] - Called with RPC errors; the feed keeps retrying
+   */
+  constructor(sdk, handler, options = {}) {
+    this.sdk = sdk;
+    this.handler = handler;
+    this.options = options;
+    this.provider = sdk.config.provider;
+    this.pollInterval = options.pollInterval || 4000;
+    this.confirmations = options.confirmations || 0;
+    this.reorgDepth = options.reorgDepth === undefined ? 12 : options.reorgDepth;
+    this.batchSize = options.batchSize || 2000;
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.eventTypes = options.events ? new Set(options.events) : null;
+    this.passportId = options.passportId === undefined ? undefined : String(options.passportId);
+
+    this.nextBlock = options.fromBlock === undefined ? null : options.fromBlock;
+    this.seen = new Map();
+    this.running = false;
+    this.timer = null;
+    this.retryDelay = this.pollInterval;
+  }
+
+  /**
+   * Start polling
+   * @returns {PasslyEventFeed} - The feed, for chaining
+   */
+  start() {
+    if (this.running) return this;
+    this.running = true;
+    this._schedule(0);
+    return this;
+  }
+
+  /**
+   * Stop polling. Already scheduled polls are cancelled.
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _schedule(delay) {
+    if (!this.running) return;
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+        this.retryDelay = this.pollInterval;
+        this._schedule(this.pollInterval);
+      } catch (error) {
+        if (this.options.onError) this.options.onError(error);
+        // Back off while the RPC is unreachable; state is kept so no blocks are skipped
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        this._schedule(this.retryDelay);
+      }
+    }, delay);
+  }
+
+  /**
+   * Run a single poll: fetch new logs, detect reorged ones and deliver events
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    const latest = await this.provider.getBlockNumber();
+    const safeBlock = latest - this.confirmations;
+
+    if (this.nextBlock === null) {
+      this.nextBlock = safeBlock + 1;
+      return;
+    }
+
+    const fromBlock = Math.max(0, Math.min(this.nextBlock, safeBlock - this.reorgDepth));
+    if (fromBlock > safeBlock) return;
+
+    const logs = await this._fetchLogs(fromBlock, safeBlock);
+
+    const current = new Map(logs.map(({ log, event }) => [logKey(log), { log, event }]));
+
+    // Anything delivered earlier in the re-scanned range but now missing was reorged out
+    for (const [key, previous] of this.seen) {
+      if (previous.log.blockNumber >= fromBlock && !current.has(key)) {
+        this.seen.delete(key);
+        await this._deliver({ ...previous.event, removed: true });
+      }
+    }
+
+    for (const [key, entry] of current) {
+      const previous = this.seen.get(key);
+      this.seen.set(key, entry);
+      if (!previous) {
+        await this._deliver(entry.event);
+      }
+    }
+
+    // Forget events that can no longer be re-scanned
+    for (const [key, entry] of this.seen) {
+      if (entry.log.blockNumber < safeBlock - this.reorgDepth) {
+        this.seen.delete(key);
+      }
+    }
+
+    this.nextBlock = safeBlock + 1;
+  }
+
+  /**
+   * Fetch and normalise logs from every configured contract, in ranges of
+   * at most `batchSize` blocks so catching up after an outage stays within
+   * the RPC's getLogs limits
+   * @private
+   */
+  async _fetchLogs(fromBlock, toBlock) {
+    const contracts = ['passly', 'archives', 'rewards', 'leaderboard']
+      .map(name => this.sdk.contracts[name])
+      .filter(Boolean);
+
+    const entries = [];
+    for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, toBlock);
+      const results = await Promise.all(contracts.map(async contract => {
+        const logs = await this.provider.getLogs({ address: contract.address, fromBlock: start, toBlock: end });
+        return logs.map(log => ({ log, event: this._normalize(contract, log) })).filter(entry => entry.event);
+      }));
+      entries.push(...results.flat());
+    }
+
+    return entries.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.logIndex - b.log.logIndex);
+  }
+
+  /**
+   * Convert a raw log to a feed event, or null if it should not be delivered
+   * @private
+   */
+  _normalize(contract, log) {
+    const event = normalizeLog(contract, log, this.sdk.numeric);
+    if (!event) return null;
+    if (this.eventTypes && !this.eventTypes.has(event.type)) return null;
+
+    if (this.passportId !== undefined) {
+      const involvesPassport = String(event.passportId) === this.passportId ||
+        (event.data.referrerPassportId !== undefined && String(event.data.referrerPassportId) === this.passportId);
+      if (!involvesPassport) return null;
+    }
+
+    return event;
+  }
+
+  /**
+   * @private
+   */
+  async _deliver(event) {
+    try {
+      // Cached reads of the passports an event touches are stale from here on
+      await this.sdk._invalidateCache({
+        passportIds: [event.passportId, event.data.referrerPassportId],
+        addresses: [event.data.owner, event.data.from, event.data.to],
+        events: [event.type]
+      });
+      await this.handler(event);
+    } catch (error) {
+      if (this.options.onError) this.options.onError(error);
+    }
+  }
+}
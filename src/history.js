@@ -0,0 +1,92 @@
+/**
+ * Helpers for historical ("as of block") reads
+ */
+
+/**
+ * Wrap a contract so that every view function reads at a fixed block.
+ * Used when multicall batching is disabled; otherwise withMulticall takes a blockTag.
+ * @param {ethers.Contract} contract - The contract to wrap
+ * @param {number} blockTag - Block number every read is made at
+ * @returns {ethers.Contract} - A contract pinned to the block
+ */
+export function withBlockTag(contract, blockTag) {
+  const readMethods = new Set();
+  for (const fragment of Object.values(contract.interface.functions)) {
+    if (fragment.constant) {
+      readMethods.add(fragment.name);
+    }
+  }
+
+  return new Proxy({}, {
+    get(target, property) {
+      if (typeof property === 'string' && readMethods.has(property)) {
+        return (...args) => {
+          const fragment = contract.interface.getFunction(property);
+          if (args.length > fragment.inputs.length) {
+            const overrides = args[args.length - 1] || {};
+            return contract[property](...args.slice(0, fragment.inputs.length), {
+              ...overrides,
+              blockTag: overrides.blockTag === undefined ? blockTag : overrides.blockTag
+            });
+          }
+          return contract[property](...args, { blockTag });
+        };
+      }
+
+      const value = contract[property];
+      return typeof value === 'function' ? value.bind(contract) : value;
+    },
+    has(target, property) {
+      return property in contract;
+    }
+  });
+}
+
+/**
+ * Find the last block mined at or before a point in time, by binary search over block timestamps
+ * @param {ethers.providers.Provider} provider - The provider to search with
+ * @param {Date|number} date - A Date, or a Unix timestamp in seconds
+ * @returns {Promise<number>} - The block number
+ */
+export async function findBlockByTimestamp(provider, date) {
+  const timestamp = date instanceof Date ? Math.floor(date.getTime() / 1000) : date;
+
+  const latest = await getBlock(provider, 'latest');
+  if (timestamp >= latest.timestamp) {
+    return latest.number;
+  }
+
+  const genesis = await getBlock(provider, 0);
+  if (timestamp < genesis.timestamp) {
+    throw new Error(`No block exists at or before ${new Date(timestamp * 1000).toISOString()}`);
+  }
+
+  // Invariant: block `low` is at or before the timestamp, block `high` is after it
+  let low = 0;
+  let high = latest.number;
+
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await getBlock(provider, middle);
+
+    if (block.timestamp <= timestamp) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Get a block, failing clearly when the provider does not have it (e.g. a pruned node or a lagging backend)
+ * @private
+ */
+async function getBlock(provider, blockTag) {
+  const block = await provider.getBlock(blockTag);
+  if (!block) {
+    throw new Error(`Block ${blockTag} not found`);
+  }
+  return block;
+}
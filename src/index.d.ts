@@ -0,0 +1,1586 @@
+import { ethers } from 'ethers';
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+/** Wallet address (0x-prefixed, any checksum casing) */
+export type Address = string;
+
+/** Passport ID, or a wallet address that is resolved to its passport */
+export type AddressOrPassportId = Address | number | bigint | `${number}`;
+
+/** How on-chain integers (IDs, points, counts, ranks) are returned */
+export type NumericMode = 'number' | 'bigint' | 'string';
+
+/** Type of an on-chain integer in a numeric mode */
+export type Numeric<M extends NumericMode = 'number'> = M extends 'bigint' ? bigint : M extends 'string' ? string : number;
+
+export type ContractName = 'passly' | 'platforms' | 'archives' | 'rewards' | 'leaderboard';
+
+export type ContractAddresses = { passly: Address } & { [K in Exclude<ContractName, 'passly'>]?: Address };
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export interface MulticallOptions {
+  /** Multicall3 address override */
+  address?: Address;
+  /** Maximum reads per batch (default 100) */
+  maxBatchSize?: number;
+}
+
+export interface CacheOptions {
+  /** Cache backend (defaults to an LruCache) */
+  backend?: CacheBackend;
+  /** Default TTL in milliseconds (default 15000) */
+  ttl?: number;
+  /** Per contract method TTLs in milliseconds; 0 disables caching for that method */
+  ttls?: { [method: string]: number };
+  /** Key prefix (defaults to `passly`); the SDK appends `:<chainId>` */
+  namespace?: string;
+}
+
+export interface ResilientProviderOptions {
+  /** Network the endpoints are on, trusted without a request; detected from the endpoints if omitted */
+  network?: { name: string; chainId: number };
+  mode?: 'fallback' | 'quorum';
+  /** Matching responses needed in quorum mode (default 2) */
+  quorum?: number;
+  /** Per-call timeout in milliseconds, 0 to disable (default 10000) */
+  timeout?: number;
+  /** Retries of a rate-limited request on the same endpoint (default 3) */
+  maxRetries?: number;
+  /** Initial backoff delay in milliseconds (default 500) */
+  retryDelay?: number;
+  /** Upper bound of the backoff delay (default 8000) */
+  maxRetryDelay?: number;
+  /** Consecutive failures before an endpoint is put in cooldown (default 3) */
+  maxFailures?: number;
+  /** Milliseconds an unhealthy endpoint is skipped (default 30000) */
+  cooldown?: number;
+}
+
+export interface PasslyConfig<M extends NumericMode = 'number'> {
+  contractAddress?: Address;
+  platformsAddress?: Address;
+  archivesAddress?: Address;
+  rewardsAddress?: Address;
+  leaderboardAddress?: Address;
+  provider?: ethers.providers.Provider;
+  signer?: ethers.Signer;
+  /** Network name, or a custom network definition */
+  network?: string | NetworkDefinition;
+  /** Extra networks to register */
+  networks?: NetworkDefinition[];
+  /** RPC URLs used instead of the network's default, in order of preference */
+  rpcUrls?: string[];
+  /** Options for the built-in provider */
+  rpc?: Omit<ResilientProviderOptions, 'network'>;
+  /** Multicall3 batching options, or false to disable */
+  multicall?: boolean | MulticallOptions;
+  /** Cache contract reads; true for the defaults */
+  cache?: boolean | CacheOptions;
+  /** Extra verification strength models to register */
+  scoringModels?: ScoringModelDefinition[];
+  /** Throw typed errors instead of returning null/empty values on failure */
+  strict?: boolean;
+  /** How on-chain integers are returned; "number" throws NumericOverflowError above 2^53 - 1 (default "number") */
+  numeric?: M;
+}
+
+/** Config after connect(), with the resolved provider and addresses */
+export interface ConnectedPasslyConfig<M extends NumericMode = 'number'> extends PasslyConfig<M> {
+  provider: ethers.providers.Provider;
+  addresses: ContractAddresses;
+}
+
+// =============================================================================
+// NETWORKS
+// =============================================================================
+
+export interface NetworkDefinition {
+  name: string;
+  chainId: number;
+  rpcUrl?: string | null;
+  testnet?: boolean;
+  addresses?: Partial<Record<ContractName, Address>>;
+}
+
+export interface Network {
+  name: string;
+  chainId: number;
+  rpcUrl: string | null;
+  testnet: boolean;
+  addresses: Partial<Record<ContractName, Address>>;
+}
+
+export type NetworkPassportResult<M extends NumericMode = 'number'> =
+  | { network: string; chainId: number; passport: Passport<M>; error?: undefined }
+  | { network: string; chainId: number; passport: null; error?: string };
+
+export interface EndpointHealth {
+  url: string | null;
+  healthy: boolean;
+  successes: number;
+  failures: number;
+  rateLimited: number;
+  consecutiveFailures: number;
+  /** Moving average in milliseconds, null before the first response */
+  averageLatency: number | null;
+  lastError: string | null;
+  lastErrorAt: Date | null;
+  cooldownUntil: Date | null;
+}
+
+// =============================================================================
+// PASSPORTS
+// =============================================================================
+
+export interface Verification {
+  identifier: string;
+  verifiedAt: Date;
+  proofHash: string;
+  active: boolean;
+  pointsAwarded: boolean;
+}
+
+export interface Verifications {
+  [platform: string]: Verification;
+}
+
+export interface Passport<M extends NumericMode = 'number'> {
+  id: Numeric<M>;
+  owner: Address;
+  createdAt: Date;
+  verificationCount: Numeric<M>;
+  category: string;
+  totalPoints: Numeric<M>;
+  referralCode: string;
+  totalReferrals: Numeric<M>;
+  platforms: string[];
+  verifications: Verifications;
+}
+
+export type AccountVerificationStatus<M extends NumericMode = 'number'> =
+  | { isVerified: true; passportId: Numeric<M> }
+  | { isVerified: false; passportId: null };
+
+// =============================================================================
+// POINTS & REFERRALS
+// =============================================================================
+
+export interface PointBreakdown<M extends NumericMode = 'number'> {
+  holding: Numeric<M>;
+  platform: Numeric<M>;
+  referral: Numeric<M>;
+  total: Numeric<M>;
+}
+
+export interface ReferralInfo<M extends NumericMode = 'number'> {
+  referralCode: string;
+  /** Zero address when the passport was not referred, or without the Rewards contract */
+  referredBy: Address;
+  totalReferrals: Numeric<M>;
+  referralEarnings: Numeric<M>;
+}
+
+export type ReferralCodeValidation<M extends NumericMode = 'number'> =
+  | { isValid: true; ownerPassportId: Numeric<M> }
+  | { isValid: false; ownerPassportId: null };
+
+export interface UserReferrals<M extends NumericMode = 'number'> {
+  passportIds: Numeric<M>[];
+  /** Referral entries that match no passport */
+  unresolved: string[];
+}
+
+export interface ReferralChain<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  /** Referrers from the direct referrer upward; passportId is null for a referrer without a passport */
+  chain: { passportId: Numeric<M> | null; address: Address; depth: number }[];
+  ring: boolean;
+  /** Passport where the chain loops back, when ring is true */
+  ringAt: Numeric<M> | null;
+  truncated: boolean;
+}
+
+export interface ReferralTreeNode<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  owner: Address | null;
+  depth: number;
+  referrer: Numeric<M> | null;
+  referees: Numeric<M>[];
+  createdAt: Date | null;
+  activeVerifications: string[];
+  totalPoints: Numeric<M> | null;
+  referralEarnings: Numeric<M> | null;
+  /** Totals over the node and every referee below it */
+  subtree: { size: number; referralEarnings: Numeric<M>; totalPoints: Numeric<M> };
+}
+
+export type ReferralFlagType = 'ring' | 'duplicate-referee' | 'unverified-referee' | 'referral-burst';
+
+export interface ReferralTree<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  nodes: ReferralTreeNode<M>[];
+  edges: { from: Numeric<M>; to: Numeric<M> }[];
+  flags: { type: ReferralFlagType; passportIds: Numeric<M>[]; message: string }[];
+  unresolved: { referrer: Numeric<M>; entry: string }[];
+  /** Referees were left out by depth or maxPassports */
+  truncated: boolean;
+}
+
+export interface ReferralTreeOptions {
+  /** Levels of referees to expand (default 2) */
+  depth?: number;
+  maxPassports?: number;
+  concurrency?: number;
+  /** Referral-burst threshold (default 5 referees within 24 hours) */
+  burst?: { size?: number; windowHours?: number };
+}
+
+// =============================================================================
+// LEADERBOARD
+// =============================================================================
+
+export interface LeaderboardEntry<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  owner: Address;
+  totalScore: Numeric<M>;
+  holdingPoints: Numeric<M>;
+  platformPoints: Numeric<M>;
+  referralPoints: Numeric<M>;
+  verificationCount: Numeric<M>;
+  category: string;
+  lastUpdated: Date;
+  /** 1 = first place, 0 = not ranked */
+  rank: Numeric<M>;
+  previousRank: Numeric<M>;
+}
+
+export interface LeaderboardStats<M extends NumericMode = 'number'> {
+  category: string;
+  totalEntries: Numeric<M>;
+  isActive: boolean;
+  maxEntries: Numeric<M>;
+}
+
+export interface CompleteLeaderboardData<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  category: string;
+  isInLeaderboard: boolean;
+  global: LeaderboardEntry<M> | null;
+  categorySpecific: LeaderboardEntry<M> | null;
+  availableCategories: string[];
+}
+
+export interface LeaderboardPageOptions {
+  /** Category name; the global leaderboard when omitted */
+  category?: string;
+  pageSize?: number;
+  /** nextCursor of a previous page */
+  cursor?: string;
+}
+
+export interface LeaderboardPage<M extends NumericMode = 'number'> {
+  entries: LeaderboardEntry<M>[];
+  /** null on the last page */
+  nextCursor: string | null;
+  total: number;
+}
+
+export interface LeaderboardIterateOptions extends LeaderboardPageOptions {
+  /** Most new entries requested in one read as the window doubles (default 1000) */
+  maxPageSize?: number;
+  /** Stop after this many entries */
+  limit?: number;
+}
+
+export interface LeaderboardNeighbours<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  rank: Numeric<M>;
+  entry: LeaderboardEntry<M> | null;
+  above: LeaderboardEntry<M>[];
+  below: LeaderboardEntry<M>[];
+}
+
+export interface RankMovement<M extends NumericMode = 'number'> extends LeaderboardEntry<M> {
+  /** previousRank - rank: positive for climbers, negative for fallers */
+  movement: Numeric<M>;
+}
+
+export interface RankMovementReport<M extends NumericMode = 'number'> {
+  category: string;
+  scanned: number;
+  climbers: RankMovement<M>[];
+  fallers: RankMovement<M>[];
+  /** Entries without a previous rank */
+  newEntries: LeaderboardEntry<M>[];
+}
+
+// =============================================================================
+// HISTORY
+// =============================================================================
+
+export interface VerificationHistoryEntry {
+  identifier: string;
+  verifiedAt: Date;
+  revokedAt: Date | null;
+  proofHash: string;
+  wasRevoked: boolean;
+  revokeReason: string;
+}
+
+export interface PlatformHistory<M extends NumericMode = 'number'> {
+  totalVerifications: Numeric<M>;
+  totalRevocations: Numeric<M>;
+  historicalIdentifiers: string[];
+  firstVerificationAt: Date | null;
+  lastRevocationAt: Date | null;
+}
+
+// =============================================================================
+// PLATFORMS & SYSTEM
+// =============================================================================
+
+export interface PlatformConfig<M extends NumericMode = 'number'> {
+  isSupported: boolean;
+  platformType: string;
+  requiredPlatforms: string[];
+  pointReward: Numeric<M>;
+  enablePointPunishment: boolean;
+  punishmentPeriodDays: Numeric<M>;
+}
+
+export interface PointConfig<M extends NumericMode = 'number'> {
+  dailyHolding: Numeric<M>;
+  referral: Numeric<M>;
+  referee: Numeric<M>;
+}
+
+export interface SystemConfig<M extends NumericMode = 'number'> {
+  supportedPlatforms: string[];
+  supportedCategories: string[];
+  leaderboardCategories: string[];
+  pointConfig: PointConfig<M> | null;
+  network: { name: string; chainId: number };
+  contracts: { passly: Address } & { [K in Exclude<ContractName, 'passly'>]: Address | null };
+}
+
+export interface PlatformNode<M extends NumericMode = 'number'> {
+  platform: string;
+  platformType: string | null;
+  requires: string[];
+  requiredBy: string[];
+  pointReward: Numeric<M> | null;
+  enablePointPunishment: boolean;
+  punishmentPeriodDays: Numeric<M> | null;
+}
+
+export interface PlatformDependencyGraph<M extends NumericMode = 'number'> {
+  platforms: { [platform: string]: PlatformNode<M> };
+  /** Platforms ordered so requirements come first; platforms on a cycle are left out */
+  order: string[];
+  /** Each cycle as a path that starts and ends on the same platform */
+  cycles: string[][];
+  /** Requirements naming platforms that are not supported */
+  unknownRequirements: { platform: string; requires: string }[];
+}
+
+export interface DependencyOptions<M extends NumericMode = 'number'> {
+  /** Reuse a graph from getPlatformDependencyGraph */
+  graph?: PlatformDependencyGraph<M>;
+}
+
+export interface MissingDependencies {
+  platform: string;
+  verified: boolean;
+  canVerify: boolean;
+  /** Direct requirements not yet verified */
+  missing: string[];
+  /** Every unverified requirement, in the order to verify them */
+  path: string[];
+}
+
+export interface RevocationImpact<M extends NumericMode = 'number'> {
+  platform: string;
+  /** The revoked platform and every verification that cascades with it */
+  lostPlatforms: string[];
+  remainingPlatforms: string[];
+  points: { [platform: string]: { earned: Numeric<M>; penalized: boolean; punishmentEndsAt: Date | null } };
+  pointsLost: Numeric<M>;
+}
+
+export type SimulatedAction =
+  | { verify: string }
+  | { revoke: string }
+  | { refer: number }
+  | { useReferral: true }
+  | { hold: number };
+
+export interface SimulatedPoints<M extends NumericMode = 'number'> {
+  holding: Numeric<M>;
+  platform: Numeric<M>;
+  referral: Numeric<M>;
+  total: Numeric<M>;
+}
+
+export interface SimulatedPenalty<M extends NumericMode = 'number'> {
+  platform: string;
+  points: Numeric<M>;
+  at: Date;
+}
+
+export interface SimulationStep<M extends NumericMode = 'number'> {
+  action: SimulatedAction;
+  applied: boolean;
+  /** Why the action could not be applied */
+  reason: string | null;
+  at: Date;
+  change: Numeric<M>;
+  points: SimulatedPoints<M>;
+  lostPlatforms: string[];
+  penalties: SimulatedPenalty<M>[];
+}
+
+export interface PointsSimulation<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  start: SimulatedPoints<M>;
+  end: SimulatedPoints<M>;
+  change: Numeric<M>;
+  pointsLost: Numeric<M>;
+  penalties: SimulatedPenalty<M>[];
+  steps: SimulationStep<M>[];
+  /** Simulated time after the last action */
+  endsAt: Date;
+  /** Active platforms after the last action */
+  platforms: string[];
+}
+
+export interface SimulationOptions<M extends NumericMode = 'number'> extends DependencyOptions<M> {
+  start?: Date;
+}
+
+export declare function punishmentApplies(
+  config: { enablePointPunishment: boolean; punishmentPeriodDays: number | bigint | string | null } | null,
+  verifiedAt: Date,
+  at?: number
+): boolean;
+
+export interface UserProfile<M extends NumericMode = 'number'> extends Passport<M> {
+  points: PointBreakdown<M> | null;
+  referrals: ReferralInfo<M> | null;
+  leaderboard: CompleteLeaderboardData<M> | null;
+}
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+export type StrengthGrade = 'A' | 'B' | 'C' | 'D' | 'F';
+
+export interface ScoringWeights {
+  perPlatform: number;
+  maxPlatformScore: number;
+  daysPerAgePoint: number;
+  maxAgeBonus: number;
+  diversityBonus: number;
+  minPlatformTypes: number;
+  pointsPerBonusPoint: number;
+  maxPointsBonus: number;
+}
+
+export interface ScoringContext {
+  sdk: PasslySDK<NumericMode>;
+  passport: Passport<NumericMode>;
+  activePlatforms: string[];
+  platformTypes: PlatformTypes;
+  /** Passport age in days */
+  accountAge: number;
+  getPlatformHistory(platform: string): Promise<PlatformHistory<NumericMode> | null>;
+  getPointBreakdown(): Promise<PointBreakdown<NumericMode> | null>;
+}
+
+export interface ScoringFactor {
+  name: string;
+  /** Returns a score delta (negative for penalties) */
+  compute(context: ScoringContext): number | Promise<number>;
+}
+
+export interface ScoringModelDefinition {
+  name: string;
+  maxScore?: number;
+  weights?: Partial<ScoringWeights>;
+  platformWeights?: { [platform: string]: number };
+  grades?: Partial<Record<Exclude<StrengthGrade, 'F'>, number>>;
+  factors?: ScoringFactor[];
+}
+
+export interface ScoringModel {
+  name: string;
+  maxScore: number;
+  weights: ScoringWeights;
+  platformWeights: { [platform: string]: number };
+  grades: Partial<Record<Exclude<StrengthGrade, 'F'>, number>>;
+  factors: ScoringFactor[];
+}
+
+export interface PlatformTypes {
+  [platform: string]: string | null;
+}
+
+export interface StrengthBreakdown {
+  platformCount: number;
+  ageBonus: number;
+  diversityBonus: number;
+  pointsBonus: number;
+  totalScore: number;
+  /** Score deltas of the model's extra factors, keyed by factor name */
+  [factor: string]: number;
+}
+
+export interface VerificationStrength {
+  score: number;
+  grade: StrengthGrade;
+  model: string;
+  breakdown: StrengthBreakdown;
+  activePlatforms: number;
+  platformTypes: PlatformTypes;
+  accountAge: number;
+}
+
+// =============================================================================
+// TRANSACTIONS
+// =============================================================================
+
+export interface TransactionResult<M extends NumericMode = 'number'> {
+  hash: string;
+  from: Address;
+  to: Address;
+  blockNumber: number;
+  gasUsed: Numeric<M>;
+  status: 'success';
+  action: 'createPassport' | 'setCategory' | 'applyReferralCode' | 'revokeVerification';
+}
+
+export interface CreatePassportResult<M extends NumericMode = 'number'> extends TransactionResult<M> {
+  action: 'createPassport';
+  category: string;
+  referralCode: string | null;
+  passportId: Numeric<M> | null;
+}
+
+export interface SetCategoryResult<M extends NumericMode = 'number'> extends TransactionResult<M> {
+  action: 'setCategory';
+  passportId: Numeric<M>;
+  category: string;
+}
+
+export interface ApplyReferralCodeResult<M extends NumericMode = 'number'> extends TransactionResult<M> {
+  action: 'applyReferralCode';
+  passportId: Numeric<M>;
+  referralCode: string;
+  referrerPassportId: Numeric<M>;
+}
+
+export interface RevokeVerificationResult<M extends NumericMode = 'number'> extends TransactionResult<M> {
+  action: 'revokeVerification';
+  passportId: Numeric<M>;
+  platform: string;
+}
+
+// =============================================================================
+// SCREENING
+// =============================================================================
+
+export interface ScreeningCriteria {
+  platforms?: string[];
+  anyPlatforms?: string[];
+  minVerifications?: number;
+  categories?: string[];
+  minAccountAgeDays?: number;
+  minStrength?: number;
+  strengthModel?: string;
+  minPoints?: number;
+  maxRank?: number;
+}
+
+export interface ScreeningData<M extends NumericMode = 'number'> {
+  activePlatforms?: string[];
+  category?: string;
+  accountAge?: number;
+  strength?: number;
+  points?: Numeric<M>;
+  rank?: Numeric<M> | null;
+}
+
+export type ScreeningResult<M extends NumericMode = 'number'> =
+  | { address: string; passportId: Numeric<M>; passed: true; reasons: []; data: ScreeningData<M>; error?: undefined }
+  | { address: string; passportId: Numeric<M> | null; passed: false; reasons: string[]; data: ScreeningData<M>; error?: string };
+
+export interface ScreeningProgress {
+  completed: number;
+  total: number;
+  passed: number;
+  failed: number;
+}
+
+export interface ScreeningOptions<M extends NumericMode = 'number'> {
+  concurrency?: number;
+  /** Results from an earlier run; those addresses are not screened again */
+  checkpoint?: ScreeningResult<M>[];
+  onResult?: (result: ScreeningResult<M>) => void;
+  onProgress?: (progress: ScreeningProgress) => void;
+  signal?: AbortSignal;
+}
+
+export interface ScreeningReport<M extends NumericMode = 'number'> {
+  results: ScreeningResult<M>[];
+  passed: string[];
+  failed: string[];
+  summary: ScreeningProgress & { errors: number; complete: boolean };
+}
+
+// =============================================================================
+// SYBIL ANALYSIS
+// =============================================================================
+
+export interface SybilOptions {
+  depth?: number;
+  platforms?: string[];
+  maxPassports?: number;
+  concurrency?: number;
+}
+
+export interface IdentifierUsage {
+  verifiedAt: Date;
+  revokedAt: Date | null;
+}
+
+export interface SybilEdge<M extends NumericMode = 'number'> {
+  from: Numeric<M>;
+  to: Numeric<M>;
+  platform: string;
+  identifier: string;
+  reason: 'identifier-reuse';
+  fromUsage: IdentifierUsage[];
+  toUsage: IdentifierUsage[];
+  linkedAt: Date | null;
+}
+
+export interface SybilGraph<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  nodes: Array<{ passportId: Numeric<M>; depth: number }>;
+  edges: SybilEdge<M>[];
+  linked: Array<{ passportId: Numeric<M>; depth: number; sharedIdentifiers: number; platforms: string[] }>;
+  /** Linked passports were left out by depth or maxPassports */
+  truncated: boolean;
+}
+
+// =============================================================================
+// POLICIES
+// =============================================================================
+
+export interface Range {
+  min?: number;
+  max?: number;
+}
+
+export type PolicyClause =
+  | { all: PolicyClause[] }
+  | { any: PolicyClause[] }
+  | { not: PolicyClause }
+  | { platform: string }
+  | { category: string | string[] }
+  | { accountAgeDays: Range }
+  | { verificationCount: Range }
+  | { strength: Range & { model?: string } }
+  | { strengthGrade: { min: StrengthGrade; model?: string } }
+  | { points: Range }
+  | { globalRank: Range }
+  | { categoryRank: { category: string; min?: number; max: number } };
+
+export type PolicyExplanation =
+  | { clause: 'all' | 'any' | 'not'; passed: boolean; children: PolicyExplanation[] }
+  | { clause: string; passed: boolean; expected: string; actual: unknown; children?: undefined };
+
+export type PolicyDecision<M extends NumericMode = 'number'> =
+  /** passport is null unless a clause needed the verifications or includePassport was set */
+  | { passed: true; passportId: Numeric<M>; passport: Passport<M> | null; explanation: PolicyExplanation; failures: [] }
+  | { passed: false; passportId: Numeric<M> | null; passport: Passport<M> | null; explanation: PolicyExplanation; failures: PolicyExplanation[] };
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+export type PasslyEventType =
+  | 'passportCreated'
+  | 'verificationAdded'
+  | 'verificationRevoked'
+  | 'passportTransferred'
+  | 'categoryChanged'
+  | 'pointsChanged'
+  | 'referralApplied'
+  | 'verificationArchived'
+  | 'rankChanged';
+
+interface EventBase<T extends PasslyEventType, E extends string, D, M extends NumericMode> {
+  type: T;
+  /** Name of the raw contract event */
+  event: E;
+  passportId: Numeric<M>;
+  data: D;
+  blockNumber: number;
+  blockHash: string;
+  transactionHash: string;
+  logIndex: number;
+  /** True when a reorg removed an event delivered earlier */
+  removed: boolean;
+}
+
+export type PasslyEvent<M extends NumericMode = 'number'> =
+  | EventBase<'passportCreated', 'PassportCreated', { owner: Address; category: string }, M>
+  | EventBase<'verificationAdded', 'VerificationAdded', { platform: string; identifier: string; proofHash: string }, M>
+  | EventBase<'verificationRevoked', 'VerificationRevoked', { platform: string; reason: string }, M>
+  | EventBase<'passportTransferred', 'Transfer', { from: Address; to: Address }, M>
+  | EventBase<'categoryChanged', 'CategoryChanged', { previousCategory: string; category: string }, M>
+  | EventBase<'pointsChanged', 'PointsAwarded' | 'PointsDeducted', { delta: Numeric<M>; reason: string }, M>
+  | EventBase<'referralApplied', 'ReferralApplied', { referrerPassportId: Numeric<M>; referralCode: string }, M>
+  | EventBase<'verificationArchived', 'VerificationArchived', { platform: string; identifier: string; reason: string }, M>
+  | EventBase<'rankChanged', 'RankChanged', { previousRank: Numeric<M>; rank: Numeric<M>; score: Numeric<M> }, M>;
+
+export interface EventFeedOptions {
+  passportId?: number | bigint | string;
+  events?: PasslyEventType[];
+  fromBlock?: number;
+  pollInterval?: number;
+  confirmations?: number;
+  reorgDepth?: number;
+  batchSize?: number;
+  maxRetryDelay?: number;
+  onError?: (error: Error) => void;
+}
+
+export declare const EVENT_TYPES: PasslyEventType[];
+
+export declare class PasslyEventFeed<M extends NumericMode = 'number'> {
+  constructor(sdk: PasslySDK<M>, handler: (event: PasslyEvent<M>) => void | Promise<void>, options?: EventFeedOptions);
+  running: boolean;
+  start(): this;
+  stop(): void;
+  poll(): Promise<void>;
+}
+
+// =============================================================================
+// INDEXER
+// =============================================================================
+
+export interface IndexedVerification {
+  identifier: string;
+  proofHash: string;
+  active: boolean;
+  verifiedAtBlock: number;
+  revokedAtBlock: number | null;
+  revokeReason: string | null;
+}
+
+export interface IndexedPassport<M extends NumericMode = 'number'> {
+  passportId: Numeric<M>;
+  owner: Address | null;
+  category: string | null;
+  createdAtBlock: number | null;
+  verifications: { [platform: string]: IndexedVerification };
+  identifierHistory: { [platform: string]: string[] };
+  points: Numeric<M>;
+  referredBy: Numeric<M> | null;
+  referrals: Numeric<M>[];
+  rank: Numeric<M> | null;
+  previousRank: Numeric<M> | null;
+  score: Numeric<M> | null;
+  updatedAtBlock: number | null;
+}
+
+export interface IndexerStore {
+  getCheckpoint(): Promise<number | null>;
+  setCheckpoint(blockNumber: number): Promise<void>;
+  getPassport(passportId: number | bigint | string): Promise<IndexedPassport<NumericMode> | null>;
+  putPassport(record: IndexedPassport<NumericMode>): Promise<void>;
+  listPassports(): Promise<IndexedPassport<NumericMode>[]>;
+}
+
+export declare class MemoryStore implements IndexerStore {
+  getCheckpoint(): Promise<number | null>;
+  setCheckpoint(blockNumber: number): Promise<void>;
+  getPassport(passportId: number | bigint | string): Promise<IndexedPassport<NumericMode> | null>;
+  putPassport(record: IndexedPassport<NumericMode>): Promise<void>;
+  listPassports(): Promise<IndexedPassport<NumericMode>[]>;
+}
+
+export declare class JsonFileStore extends MemoryStore {
+  constructor(path: string);
+  path: string;
+}
+
+export interface IndexerOptions {
+  store?: IndexerStore;
+  startBlock?: number;
+  batchSize?: number;
+  confirmations?: number;
+  onProgress?: (progress: { fromBlock: number; toBlock: number; targetBlock: number; events: number }) => void;
+}
+
+export interface IndexerQueryFilter {
+  platforms?: string[];
+  anyPlatforms?: string[];
+  category?: string | string[];
+  owner?: Address;
+  minPoints?: number | bigint | string;
+  maxRank?: number | bigint | string;
+}
+
+export interface IndexerQueryOptions {
+  sortBy?: 'passportId' | 'points' | 'rank';
+  offset?: number;
+  limit?: number;
+}
+
+export declare class PasslyIndexer<M extends NumericMode = 'number'> {
+  constructor(sdk: PasslySDK<M>, options?: IndexerOptions);
+  store: IndexerStore;
+  numeric: M;
+  sync(options?: { toBlock?: number }): Promise<{ checkpoint: number | null; events: number }>;
+  getPassport(passportId: number | bigint | string): Promise<IndexedPassport<M> | null>;
+  query(filter?: IndexerQueryFilter, options?: IndexerQueryOptions): Promise<IndexedPassport<M>[]>;
+  findByIdentifier(platform: string, identifier: string): Promise<Array<{ passportId: Numeric<M>; owner: Address | null; active: boolean }>>;
+}
+
+// =============================================================================
+// SIGN-IN WITH ETHEREUM
+// =============================================================================
+
+export interface SiweMessageFields {
+  domain: string;
+  address: Address;
+  uri: string;
+  chainId: number;
+  nonce: string;
+  statement?: string;
+  scheme?: string;
+  version?: '1';
+  issuedAt?: Date | string;
+  expirationTime?: Date | string;
+  notBefore?: Date | string;
+  requestId?: string;
+  resources?: string[];
+}
+
+export interface ParsedSiweMessage {
+  scheme: string | null;
+  domain: string;
+  address: Address;
+  statement: string | null;
+  uri: string;
+  version: '1';
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources: string[];
+}
+
+export interface SiweVerifyOptions {
+  domain?: string;
+  nonce?: string;
+  chainId?: number;
+  time?: Date;
+}
+
+export interface SignInOptions extends SiweVerifyOptions {
+  domain: string;
+  nonce: string;
+  /** Reject wallets without a passport (default false) */
+  requirePassport?: boolean;
+  strengthModel?: string;
+  jwt?: { secret: string; expiresIn?: number; audience?: string };
+}
+
+export interface SessionClaims {
+  sub: Address;
+  iss: string;
+  aud?: string;
+  iat: number;
+  exp: number;
+  chainId: number;
+  passly: {
+    passportId: string | null;
+    category: string | null;
+    verifications: string[];
+    strength: number | null;
+    grade: StrengthGrade | null;
+  };
+}
+
+export interface PasslySession<M extends NumericMode = 'number'> {
+  address: Address;
+  domain: string;
+  uri: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: Date;
+  expiresAt: Date | null;
+  passportId: Numeric<M> | null;
+  passport: Passport<M> | null;
+  /** Identifiers of the active verifications, keyed by platform */
+  verifications: { [platform: string]: string };
+  strength: { score: number; grade: StrengthGrade; model: string } | null;
+  /** Signed JWT with the Passly claims, when the jwt option is given */
+  token: string | null;
+}
+
+export declare function generateNonce(): string;
+export declare function createSiweMessage(fields: SiweMessageFields): string;
+export declare function parseSiweMessage(message: string): ParsedSiweMessage;
+export declare function verifySiweMessage(message: string, signature: string, options?: SiweVerifyOptions): ParsedSiweMessage;
+export declare function signSessionToken(claims: object, secret: string): Promise<string>;
+export declare function verifySessionToken(
+  token: string,
+  secret: string,
+  options?: { issuer?: string; audience?: string; time?: Date }
+): Promise<SessionClaims>;
+
+// =============================================================================
+// VERIFIABLE CREDENTIALS
+// =============================================================================
+
+export declare const CREDENTIAL_CONTEXTS: string[];
+export declare const CREDENTIAL_TYPE: 'PasslyVerificationCredential';
+
+export interface Eip712Proof {
+  type: 'EthereumEip712Signature2021';
+  created: string;
+  proofPurpose: 'assertionMethod' | 'authentication';
+  /** did:pkh of the signer with a #blockchainAccountId fragment */
+  verificationMethod: string;
+  proofValue: string;
+  eip712: {
+    domain: { name: string; version: string; chainId: number; verifyingContract: Address };
+    types: { [typeName: string]: { name: string; type: string }[] };
+    primaryType: 'VerifiableCredential' | 'VerifiablePresentation';
+  };
+}
+
+export interface VerifiableCredential {
+  '@context': string[];
+  type: ['VerifiableCredential', 'PasslyVerificationCredential'];
+  id: string;
+  /** did:pkh of the signer */
+  issuer: string;
+  issuanceDate: string;
+  credentialSubject: {
+    /** did:pkh of the passport owner */
+    id: string;
+    passportId: string;
+    platform: string;
+    identifier: string;
+    verifiedAt: string;
+    proofHash: string;
+    active: boolean;
+  };
+  proof: Eip712Proof;
+}
+
+export interface VerifiablePresentation {
+  '@context': string[];
+  type: ['VerifiablePresentation'];
+  id: string;
+  holder: string;
+  verifiableCredential: VerifiableCredential[];
+  challenge?: string;
+  domain?: string;
+  proof: Eip712Proof;
+}
+
+export interface CredentialOptions {
+  platforms?: string[];
+  /** Also issue credentials for revoked verifications (default false) */
+  includeInactive?: boolean;
+}
+
+export interface PresentationOptions extends CredentialOptions {
+  /** Credentials to present instead of issuing new ones */
+  credentials?: VerifiableCredential[];
+  challenge?: string;
+  domain?: string;
+}
+
+export interface CredentialVerifyOptions {
+  /** Addresses allowed to issue credentials */
+  trustedIssuers: Address[];
+  /** Re-check that each verification is still active on-chain (default false) */
+  checkOnChain?: boolean;
+  challenge?: string;
+  domain?: string;
+}
+
+export interface OnChainVerificationStatus {
+  active: boolean;
+  identifier: string;
+  proofHash: string;
+  /** Current owner of the passport, which must be the credential subject */
+  owner: Address;
+}
+
+export interface CredentialVerification {
+  valid: boolean;
+  type: 'VerifiableCredential';
+  issuer: Address | null;
+  reasons: string[];
+  onChain: OnChainVerificationStatus | null;
+}
+
+export interface PresentationVerification {
+  valid: boolean;
+  type: 'VerifiablePresentation';
+  holder: Address | null;
+  reasons: string[];
+  credentials: CredentialVerification[];
+}
+
+export declare function toDidPkh(address: Address, chainId: number): string;
+export declare function verifyCredential(
+  document: VerifiableCredential,
+  options: CredentialVerifyOptions & { sdk?: PasslySDK<NumericMode> }
+): Promise<CredentialVerification>;
+export declare function verifyCredential(
+  document: VerifiablePresentation,
+  options: CredentialVerifyOptions & { sdk?: PasslySDK<NumericMode> }
+): Promise<PresentationVerification>;
+
+// =============================================================================
+// ATTESTATIONS
+// =============================================================================
+
+export type AttestationField =
+  | 'passportId'
+  | 'platforms'
+  | 'category'
+  | 'verificationCount'
+  | 'totalPoints'
+  | 'createdAt'
+  | 'strength';
+
+/** Attested values; integers are decimal strings, times are Unix seconds */
+export interface AttestationClaims {
+  passportId?: string;
+  platforms?: string[];
+  category?: string;
+  verificationCount?: string;
+  totalPoints?: string;
+  createdAt?: number;
+  strength?: number;
+}
+
+export interface Attestation {
+  subject: Address;
+  blockNumber: number;
+  issuedAt: number;
+  expiresAt: number;
+  hasPassport: boolean;
+  fields: AttestationField[];
+  claims: AttestationClaims;
+  domain: { name: string; version: string; chainId: number; verifyingContract: Address };
+  attester: Address;
+  signature: string;
+}
+
+export interface AttestationOptions {
+  /** Lifetime in seconds (default 3600) */
+  expiresIn?: number;
+  /** Block to read at (default: latest, or the snapshot's block) */
+  blockNumber?: number;
+  strengthModel?: string;
+}
+
+export interface AttestationVerifyOptions {
+  chainId?: number;
+  minBlockNumber?: number;
+  time?: Date;
+}
+
+export interface AttestationVerification {
+  valid: boolean;
+  attester: Address | null;
+  reasons: string[];
+  /** The attested claims, or null when invalid */
+  claims: AttestationClaims | null;
+}
+
+export declare const ATTESTATION_FIELDS: { [field in AttestationField]: { type: string; read: Function } };
+export declare const DEFAULT_ATTESTATION_FIELDS: AttestationField[];
+export declare function verifyAttestation(
+  attestation: Attestation,
+  trustedAttesters: Address[],
+  options?: AttestationVerifyOptions
+): AttestationVerification;
+
+// =============================================================================
+// SNAPSHOTS
+// =============================================================================
+
+export type SnapshotSource =
+  | { leaderboard: { category?: string; from?: number; to?: number } }
+  | { indexer: PasslyIndexer<any>; filter?: IndexerQueryFilter; options?: IndexerQueryOptions }
+  | { addresses: string[] };
+
+export interface SnapshotHolder<M extends NumericMode = 'number'> {
+  address: Address;
+  passportId: string;
+  passport: Passport<M>;
+  /** Total points, or the strength score when the basis is strength */
+  value: Numeric<M> | number;
+}
+
+/** Returns a whole-number claim amount */
+export type SnapshotWeight<M extends NumericMode = 'number'> = (
+  value: Numeric<M> | number,
+  holder: SnapshotHolder<M>
+) => number | bigint | string | Promise<number | bigint | string>;
+
+export interface SnapshotOptions<M extends NumericMode = 'number'> {
+  /** Value the weighting applies to (default 'points') */
+  basis?: 'points' | 'strength';
+  /** Defaults to the value itself */
+  weight?: SnapshotWeight<M>;
+  strengthModel?: string;
+  /** Block to read at (default: latest, or the historical view's block) */
+  blockNumber?: number;
+  /** Keep holders whose amount is zero (default false) */
+  includeZero?: boolean;
+  concurrency?: number;
+}
+
+/** Integers are decimal strings so snapshots stay JSON-safe */
+export interface SnapshotEntry {
+  address: Address;
+  passportId: string;
+  value: string;
+  amount: string;
+  proof: string[];
+}
+
+/** OpenZeppelin StandardMerkleTree dump; loads with StandardMerkleTree.load */
+export interface StandardMerkleTreeDump {
+  format: 'standard-v1';
+  leafEncoding: string[];
+  tree: string[];
+  values: Array<{ value: [Address, string]; treeIndex: number }>;
+}
+
+export interface Snapshot {
+  format: 'passly-snapshot-v1';
+  root: string;
+  chainId: number;
+  blockNumber: number;
+  createdAt: string;
+  source: { type: 'leaderboard' | 'indexer' | 'addresses'; [key: string]: any };
+  basis: 'points' | 'strength';
+  strengthModel: string | null;
+  /** Sum of all amounts */
+  total: string;
+  entries: SnapshotEntry[];
+  excluded: Array<{ address?: string; passportId?: string; reason: string }>;
+  tree: StandardMerkleTreeDump;
+}
+
+export interface SnapshotVerification {
+  valid: boolean;
+  root: string;
+  /** Root of the amounts recomputed from on-chain data, or null when on the wrong chain */
+  computedRoot: string | null;
+  mismatches: Array<{ address: Address; passportId: string; reason: string }>;
+  reasons: string[];
+}
+
+export declare const SNAPSHOT_FORMAT: 'passly-snapshot-v1';
+export declare function exportSnapshot(snapshot: Snapshot): string;
+export declare function getSnapshotProof(
+  snapshot: Snapshot | string,
+  address: string
+): { address: Address; passportId: string; amount: string; proof: string[] } | null;
+export declare function verifySnapshotProof(root: string, address: string, amount: number | bigint | string, proof: string[]): boolean;
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+export interface GateRequirements {
+  platforms?: string[];
+  anyPlatforms?: string[];
+  category?: string;
+  categories?: string[];
+  minVerifications?: number;
+  minAccountAgeDays?: number;
+  minStrength?: number;
+  minGrade?: StrengthGrade;
+  strengthModel?: string;
+  minPoints?: number;
+  maxRank?: number;
+}
+
+export type AddressSource = 'session' | 'siwe' | 'header';
+
+export interface GateOptions<M extends NumericMode = 'number'> {
+  /** Connected SDK; defaults to the shared SDK for `config` */
+  sdk?: PasslySDK<M> | Promise<PasslySDK<M>>;
+  /** Config of the shared SDK (caching is on by default) */
+  config?: PasslyConfig<M>;
+  requirements?: GateRequirements;
+  policy?: PolicyClause;
+  /** Address sources in order (default ['session']) */
+  addressFrom?: AddressSource[];
+  /** Header read by the header source (default 'x-wallet-address') */
+  header?: string;
+  /** Domain SIWE header messages must be issued for (required by the siwe source) */
+  domain?: string;
+  /** Whether this server issued the nonce of a SIWE header message (required by the siwe source) */
+  verifyNonce?: (nonce: string, fields: ParsedSiweMessage) => boolean | Promise<boolean>;
+  /** Seconds a SIWE header message without an expiration time is accepted after it was issued (default 300) */
+  maxAge?: number;
+  getAddress?: (request: any) => Address | null | undefined | Promise<Address | null | undefined>;
+}
+
+export interface GateRequest {
+  headers?: { [name: string]: string | string[] | undefined };
+  session?: { address?: Address; siwe?: { address?: Address } } | null;
+}
+
+export interface GateDenialBody {
+  error: 'address_required' | 'passport_requirements_not_met' | 'passport_unavailable';
+  message: string;
+  address?: Address;
+  passportId?: number | string | null;
+  unmet?: Array<{ clause: string; expected: string; actual: unknown }>;
+}
+
+export interface PasslyRequestContext<M extends NumericMode = 'number'> {
+  address: Address;
+  passport: Passport<M>;
+  decision: PolicyDecision<M>;
+}
+
+export type GateResult<M extends NumericMode = 'number'> =
+  | ({ allowed: true } & PasslyRequestContext<M>)
+  | { allowed: false; status: 401 | 403; body: GateDenialBody; address?: Address; decision?: PolicyDecision<M> }
+  /** The RPC was unavailable; nothing is known about the passport */
+  | { allowed: false; status: 503; body: GateDenialBody; address: Address; error: Error };
+
+export interface Gate<M extends NumericMode = 'number'> {
+  policy: PolicyClause;
+  check(request: GateRequest): Promise<GateResult<M>>;
+}
+
+export declare function requirementsToPolicy(requirements?: GateRequirements): PolicyClause;
+export declare function getSharedSdk<M extends NumericMode = 'number'>(config?: PasslyConfig<M>): Promise<PasslySDK<M>>;
+export declare function createGate<M extends NumericMode = 'number'>(options?: GateOptions<M>): Gate<M>;
+export declare function expressGate<M extends NumericMode = 'number'>(options?: GateOptions<M>): (req: any, res: any, next: (error?: unknown) => void) => void;
+export declare function fastifyGate<M extends NumericMode = 'number'>(options?: GateOptions<M>): (request: any, reply: any) => Promise<unknown>;
+export declare function koaGate<M extends NumericMode = 'number'>(options?: GateOptions<M>): (ctx: any, next: () => Promise<unknown>) => Promise<void>;
+
+// =============================================================================
+// CACHE
+// =============================================================================
+
+/** Cache backend; every method may be sync or async */
+export interface CacheBackend {
+  get(key: string): string | undefined | null | Promise<string | undefined | null>;
+  /** ttl may be Infinity for entries that never expire */
+  set(key: string, value: string, ttl: number): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  deletePrefix(prefix: string): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+export declare const DEFAULT_CACHE_TTLS: Readonly<{ [method: string]: number }>;
+
+export declare class MemoryCache implements CacheBackend {
+  get(key: string): string | undefined;
+  set(key: string, value: string, ttl: number): void;
+  delete(key: string): void;
+  deletePrefix(prefix: string): void;
+  clear(): void;
+}
+
+export declare class LruCache extends MemoryCache {
+  constructor(options?: { maxEntries?: number });
+  maxEntries: number;
+}
+
+export declare class CacheManager {
+  constructor(options?: CacheOptions);
+  backend: CacheBackend;
+  ttlFor(method: string): number;
+  keyFor(contractName: string, fragment: ethers.utils.FunctionFragment, args: unknown[]): string;
+  wrap(key: string, ttl: number, load: () => Promise<string>): Promise<string>;
+  invalidatePassport(passportId: number | bigint | string): Promise<void>;
+  invalidateAddress(address: Address): Promise<void>;
+  invalidateEvents(eventTypes: PasslyEventType[]): Promise<void>;
+  clear(): Promise<void>;
+}
+
+// =============================================================================
+// PROVIDER
+// =============================================================================
+
+export declare class ResilientProvider extends ethers.providers.BaseProvider {
+  constructor(endpoints: Array<string | ethers.providers.Provider>, options?: ResilientProviderOptions);
+  mode: 'fallback' | 'quorum';
+  getHealth(): EndpointHealth[];
+}
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+export declare class PasslyError extends Error {
+  constructor(message: string, options?: { cause?: unknown });
+  cause?: unknown;
+}
+
+export declare class PassportNotFoundError extends PasslyError {
+  constructor(addressOrPassportId: AddressOrPassportId | undefined, options?: { cause?: unknown });
+  addressOrPassportId: AddressOrPassportId | undefined;
+}
+
+export declare class ContractUnavailableError extends PasslyError {
+  constructor(contractName: ContractName, options?: { cause?: unknown });
+  contractName: ContractName;
+}
+
+export declare class NetworkMismatchError extends PasslyError {
+  constructor(network: Network, actualChainId: number, options?: { cause?: unknown; source?: 'Provider' | 'Signer' });
+  network: string;
+  expectedChainId: number;
+  actualChainId: number;
+}
+
+export type SignInErrorReason =
+  | 'malformed'
+  | 'invalid_signature'
+  | 'domain_mismatch'
+  | 'nonce_mismatch'
+  | 'chain_mismatch'
+  | 'expired'
+  | 'not_yet_valid'
+  | 'no_passport'
+  | 'invalid_token'
+  | 'token_expired';
+
+export declare class SignInError extends PasslyError {
+  constructor(message: string, options?: { cause?: unknown; reason?: SignInErrorReason });
+  reason: SignInErrorReason | null;
+}
+
+export declare class RpcError extends PasslyError {}
+
+export declare class ContractRevertError extends PasslyError {
+  constructor(message: string, options?: { cause?: unknown; reason?: string; receipt?: any });
+  reason: string | null;
+  /** The mined receipt when a sent transaction reverted */
+  receipt: any | null;
+}
+
+export declare class DecodeError extends PasslyError {}
+
+export declare class NumericOverflowError extends PasslyError {
+  constructor(field: string, value: string, options?: { cause?: unknown });
+  field: string;
+  /** The exact value as a decimal string */
+  value: string;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+export declare const NETWORKS: Readonly<{ [name: string]: Readonly<Network> }>;
+export declare function defineNetwork(network: NetworkDefinition): Network;
+
+export declare const NUMERIC_MODES: NumericMode[];
+
+export declare function validatePolicy<T extends PolicyClause>(policy: T): T;
+
+export declare const DEFAULT_SCORING_MODEL: Readonly<ScoringModel>;
+export declare function defineScoringModel(model: ScoringModelDefinition): ScoringModel;
+export declare function revocationPenaltyFactor(options?: { perRevocation?: number; maxPenalty?: number }): ScoringFactor;
+export declare function referralBonusFactor(options?: { pointsPerBonusPoint?: number; maxBonus?: number }): ScoringFactor;
+
+// =============================================================================
+// SDK
+// =============================================================================
+
+declare class PasslySDK<M extends NumericMode = 'number'> {
+  constructor(config?: PasslyConfig<M>);
+
+  config: PasslyConfig<M> | ConnectedPasslyConfig<M>;
+  numeric: M;
+  contracts: { passly: ethers.Contract } & Partial<Record<Exclude<ContractName, 'passly'>, ethers.Contract>>;
+  isConnected: boolean;
+  network?: Network;
+  /** Block number of a historical snapshot created with at() */
+  blockTag?: number;
+  /** Block time in milliseconds of a historical snapshot */
+  blockTimestamp?: number;
+
+  connect(options?: PasslyConfig<M>): Promise<this>;
+  at(blockNumberOrDate: number | Date): Promise<PasslySDK<M>>;
+
+  // Passport & identity
+  getPassportId(address: Address): Promise<Numeric<M> | null>;
+  hasPassport(address: Address): Promise<boolean>;
+  getPassport(address: Address): Promise<Passport<M> | null>;
+  getPassportById(passportId: number | bigint | string): Promise<Passport<M> | null>;
+  getVerifications(addressOrPassportId: AddressOrPassportId): Promise<Verifications>;
+  isAccountVerified(platform: string, identifier: string): Promise<AccountVerificationStatus<M>>;
+  getPlatformIdentifier(address: Address, platform: string): Promise<string | null>;
+
+  // Rewards & points
+  getPoints(addressOrPassportId: AddressOrPassportId): Promise<Numeric<M> | null>;
+  getPointBreakdown(addressOrPassportId: AddressOrPassportId): Promise<PointBreakdown<M> | null>;
+  getPlatformPoints(addressOrPassportId: AddressOrPassportId, platform: string): Promise<Numeric<M> | null>;
+  simulatePoints(
+    addressOrPassportId: AddressOrPassportId,
+    actions: SimulatedAction[],
+    options?: SimulationOptions<M>
+  ): Promise<PointsSimulation<M> | null>;
+
+  // Referrals
+  getReferralInfo(addressOrPassportId: AddressOrPassportId): Promise<ReferralInfo<M> | null>;
+  validateReferralCode(referralCode: string): Promise<ReferralCodeValidation<M> | null>;
+  getUserReferrals(addressOrPassportId: AddressOrPassportId): Promise<UserReferrals<M>>;
+  getReferralChain(addressOrPassportId: AddressOrPassportId, options?: { maxDepth?: number }): Promise<ReferralChain<M>>;
+  getReferralTree(addressOrPassportId: AddressOrPassportId, options?: ReferralTreeOptions): Promise<ReferralTree<M>>;
+
+  // Leaderboard
+  getTopEntries(count?: number): Promise<LeaderboardEntry<M>[] | null>;
+  getPassportLeaderboardEntry(addressOrPassportId: AddressOrPassportId): Promise<LeaderboardEntry<M> | null>;
+  getGlobalRank(addressOrPassportId: AddressOrPassportId): Promise<Numeric<M> | null>;
+  getLeaderboardScore(addressOrPassportId: AddressOrPassportId): Promise<Numeric<M> | null>;
+  isInLeaderboard(addressOrPassportId: AddressOrPassportId): Promise<boolean>;
+  getTopEntriesByCategory(category: string, count?: number): Promise<LeaderboardEntry<M>[] | null>;
+  getCategoryRank(addressOrPassportId: AddressOrPassportId, category: string): Promise<Numeric<M> | null>;
+  getCategoryLeaderboardEntry(addressOrPassportId: AddressOrPassportId, category: string): Promise<LeaderboardEntry<M> | null>;
+  getLeaderboardStats(category: string): Promise<LeaderboardStats<M> | null>;
+  getLeaderboardCategories(): Promise<string[]>;
+  getCompleteLeaderboardData(addressOrPassportId: AddressOrPassportId): Promise<CompleteLeaderboardData<M> | null>;
+  getLeaderboardPage(options?: LeaderboardPageOptions): Promise<LeaderboardPage<M>>;
+  iterateLeaderboard(options?: LeaderboardIterateOptions): AsyncGenerator<LeaderboardEntry<M>, void, undefined>;
+  getLeaderboardNeighbours(
+    addressOrPassportId: AddressOrPassportId,
+    options?: { category?: string; radius?: number }
+  ): Promise<LeaderboardNeighbours<M> | null>;
+  getRankMovements(options?: { category?: string; count?: number; scan?: number }): Promise<RankMovementReport<M>>;
+
+  // History
+  getVerificationHistory(addressOrPassportId: AddressOrPassportId, platform: string): Promise<VerificationHistoryEntry[] | null>;
+  getPlatformHistory(addressOrPassportId: AddressOrPassportId, platform: string): Promise<PlatformHistory<M> | null>;
+  getHistoricalIdentifiers(addressOrPassportId: AddressOrPassportId, platform: string): Promise<string[] | null>;
+  getIdentifierUsage(platform: string, identifier: string): Promise<Numeric<M>[] | null>;
+
+  // Platform configuration
+  getPlatformConfig(platform: string): Promise<PlatformConfig<M> | null>;
+  getSupportedPlatforms(): Promise<string[]>;
+  getSupportedPlatformTypes(): Promise<string[]>;
+  getPlatformTypes(platforms: string[]): Promise<PlatformTypes>;
+  getSupportedCategories(): Promise<string[]>;
+  isCategorySupported(category: string): Promise<boolean>;
+  isPlatformSupported(platform: string): Promise<boolean>;
+
+  // Platform dependencies
+  getPlatformDependencyGraph(): Promise<PlatformDependencyGraph<M>>;
+  getVerifiablePlatforms(addressOrPassportId: AddressOrPassportId, options?: DependencyOptions<M>): Promise<string[] | null>;
+  getMissingDependencies(
+    addressOrPassportId: AddressOrPassportId,
+    platform: string,
+    options?: DependencyOptions<M>
+  ): Promise<MissingDependencies | null>;
+  getRevocationImpact(
+    addressOrPassportId: AddressOrPassportId,
+    platform: string,
+    options?: DependencyOptions<M> & { at?: Date }
+  ): Promise<RevocationImpact<M> | null>;
+
+  // Networks
+  registerNetwork(network: NetworkDefinition): Network;
+  getNetwork(name: string): Network;
+  getNetworkNames(): string[];
+  getProviderHealth(): EndpointHealth[] | null;
+  forNetwork(networkName: string, options?: PasslyConfig<M>): Promise<PasslySDK<M>>;
+  getPassportAcrossNetworks(
+    address: Address,
+    networkNames?: string[],
+    options?: { providers?: { [network: string]: ethers.providers.Provider } }
+  ): Promise<NetworkPassportResult<M>[]>;
+
+  // Events
+  subscribe(handler: (event: PasslyEvent<M>) => void | Promise<void>, options?: EventFeedOptions): PasslyEventFeed<M>;
+  watchPassport(
+    addressOrPassportId: AddressOrPassportId,
+    handler: (event: PasslyEvent<M>) => void | Promise<void>,
+    options?: Omit<EventFeedOptions, 'passportId'>
+  ): Promise<PasslyEventFeed<M>>;
+  createIndexer(options?: IndexerOptions): PasslyIndexer<M>;
+
+  // Cache
+  invalidatePassport(addressOrPassportId: AddressOrPassportId): Promise<void>;
+  clearCache(): Promise<void>;
+
+  // Authentication
+  createSignInMessage(
+    address: Address,
+    options: Omit<SiweMessageFields, 'address' | 'nonce' | 'chainId'> & { nonce?: string; chainId?: number }
+  ): { message: string; nonce: string };
+  signIn(message: string, signature: string, options: SignInOptions): Promise<PasslySession<M>>;
+
+  // Verifiable credentials
+  issueCredentials(addressOrPassportId: AddressOrPassportId, options?: CredentialOptions): Promise<VerifiableCredential[] | null>;
+  createPresentation(addressOrPassportId: AddressOrPassportId, options?: PresentationOptions): Promise<VerifiablePresentation | null>;
+  verifyCredential(document: VerifiableCredential, options: CredentialVerifyOptions): Promise<CredentialVerification>;
+  verifyCredential(document: VerifiablePresentation, options: CredentialVerifyOptions): Promise<PresentationVerification>;
+
+  // Attestations
+  createAttestation(address: Address, fields?: AttestationField[], options?: AttestationOptions): Promise<Attestation>;
+  verifyAttestation(attestation: Attestation, trustedAttesters: Address[], options?: AttestationVerifyOptions): AttestationVerification;
+
+  // Snapshots
+  buildSnapshot(source: SnapshotSource, options?: SnapshotOptions<M>): Promise<Snapshot>;
+  verifySnapshot(snapshot: Snapshot | string, options?: { weight?: SnapshotWeight<M>; concurrency?: number }): Promise<SnapshotVerification>;
+
+  // Screening & analysis
+  screenAddresses(addresses: string[], criteria?: ScreeningCriteria, options?: ScreeningOptions<M>): Promise<ScreeningReport<M>>;
+  getSybilLinks(addressOrPassportId: AddressOrPassportId, options?: SybilOptions): Promise<SybilGraph<M>>;
+  evaluatePolicy(addressOrPassportId: AddressOrPassportId, policy: PolicyClause, options?: { includePassport?: boolean }): Promise<PolicyDecision<M>>;
+
+  // Transactions
+  createPassport(category: string, referralCode?: string, overrides?: ethers.Overrides): Promise<CreatePassportResult<M>>;
+  setCategory(category: string, overrides?: ethers.Overrides): Promise<SetCategoryResult<M>>;
+  applyReferralCode(referralCode: string, overrides?: ethers.Overrides): Promise<ApplyReferralCodeResult<M>>;
+  revokeVerification(platform: string, overrides?: ethers.Overrides): Promise<RevokeVerificationResult<M>>;
+
+  // Convenience
+  getUserVerifications(address: Address): Promise<{ [platform: string]: string } | null>;
+  hasVerifiedPlatform(address: Address, platform: string): Promise<boolean>;
+  getUserProfile(address: Address): Promise<UserProfile<M> | null>;
+  getVerificationStrength(addressOrPassportId: AddressOrPassportId, modelName?: string): Promise<VerificationStrength | null>;
+  registerScoringModel(model: ScoringModelDefinition): ScoringModel;
+  getScoringModel(name?: string): ScoringModel;
+  getScoringModelNames(): string[];
+  getSystemConfig(): Promise<SystemConfig<M>>;
+  getProofHash(address: Address, platform: string): Promise<string | null>;
+  getAllProofHashes(address: Address): Promise<{ [platform: string]: string } | null>;
+}
+
+export default PasslySDK;
@@ -1,4 +1,42 @@
 import { ethers } from 'ethers';
+import { MulticallBatcher, withMulticall } from './multicall.js';
+import { CacheManager, withCache } from './cache.js';
+import { ResilientProvider } from './provider.js';
+import { findBlockByTimestamp, withBlockTag } from './history.js';
+import { ContractRevertError, ContractUnavailableError, NetworkMismatchError, NumericOverflowError, PassportNotFoundError, isPassportNotFound, toPasslyError } from './errors.js';
+import { toDate, toNumeric, validateNumericMode } from './numbers.js';
+import { DEFAULT_NETWORK, NETWORKS, defineNetwork } from './networks.js';
+import { screenAddresses } from './screening.js';
+import { buildSybilGraph } from './sybil.js';
+import { getLeaderboardNeighbours, getLeaderboardPage, getRankMovements, iterateLeaderboard } from './leaderboard.js';
+import { buildReferralTree, getReferees, getReferralChain } from './referrals.js';
+import { evaluatePolicy } from './policy.js';
+import { simulatePoints } from './simulator.js';
+import { buildDependencyGraph, getMissingDependencies, getRevocationImpact, getVerifiablePlatforms } from './dependencies.js';
+import { createSiweMessage, generateNonce, signIn } from './auth.js';
+import { createPresentation, issueCredentials, verifyCredential } from './credentials.js';
+import { DEFAULT_ATTESTATION_FIELDS, createAttestation, verifyAttestation } from './attestations.js';
+import { buildSnapshot, verifySnapshot } from './snapshot.js';
+import { PasslyEventFeed } from './events.js';
+import { PasslyIndexer } from './indexer.js';
+import { DEFAULT_SCORING_MODEL, FALLBACK_PLATFORM_TYPES, calculateStrength, defineScoringModel } from './scoring.js';
+
+// Config options overriding each contract's network address
+const ADDRESS_OPTIONS = {
+  passly: 'contractAddress',
+  platforms: 'platformsAddress',
+  archives: 'archivesAddress',
+  rewards: 'rewardsAddress',
+  leaderboard: 'leaderboardAddress'
+};
+
+// Events a write transaction emits, used to drop the cached global reads it changes
+const TRANSACTION_EVENTS = {
+  createPassport: ['passportCreated', 'referralApplied'],
+  setCategory: ['categoryChanged'],
+  applyReferralCode: ['referralApplied', 'pointsChanged'],
+  revokeVerification: ['verificationRevoked', 'verificationArchived', 'pointsChanged']
+};
 
 /**
  * Passly SDK - A comprehensive interface for interacting with the Passly identity protocol
@@ -25,12 +63,37 @@ class PasslySDK {
    * @param {string} [config.leaderboardAddress] - Override for the Leaderboard contract address
    * @param {ethers.providers.Provider} [config.provider] - Optional ethers provider
    * @param {ethers.Signer} [config.signer] - Optional ethers signer for write operations
-   * @param {string} [config.network] - Network name for default addresses
+   * @param {string|Object} [config.network] - Network name for default addresses and RPC URL, or a custom network definition
+   * @param {Object[]} [config.networks] - Extra networks to register (see defineNetwork)
+   * @param {string[]} [config.rpcUrls] - RPC URLs to use instead of the network's default, in order of preference
+   * @param {Object} [config.rpc] - Options for the built-in provider (mode, quorum, timeout, maxRetries, cooldown; see ResilientProvider)
+   * @param {boolean|Object} [config.multicall] - Multicall3 batching options, or false to disable
+   * @param {string} [config.multicall.address] - Multicall3 address override
+   * @param {number} [config.multicall.maxBatchSize=100] - Maximum reads per batch
+   * @param {Object[]} [config.scoringModels] - Extra verification strength models to register
+   * @param {boolean} [config.strict=false] - Throw typed errors instead of returning null/empty values on failure
+   * @param {string} [config.numeric='number'] - How on-chain integers are returned: "number" (throws above 2^53 - 1), "bigint" or "string"
+   * @param {boolean|Object} [config.cache] - Cache contract reads; true for the defaults or cache options
+   * @param {Object} [config.cache.backend] - Cache backend (MemoryCache, LruCache or a Redis-like adapter)
+   * @param {number} [config.cache.ttl=15000] - Default TTL in milliseconds
+   * @param {Object} [config.cache.ttls] - Per contract method TTLs in milliseconds, e.g. { getPassportData: 60000 }
    */
   constructor(config = {}) {
     this.config = config;
+    this.numeric = validateNumericMode(config.numeric || 'number');
     this.contracts = {};
     this.isConnected = false;
+    this.scoringModels = new Map([[DEFAULT_SCORING_MODEL.name, DEFAULT_SCORING_MODEL]]);
+    this.networks = new Map(Object.entries(NETWORKS));
+    this._networkInstances = new Map();
+
+    for (const model of config.scoringModels || []) {
+      this.registerScoringModel(model);
+    }
+
+    for (const network of config.networks || []) {
+      this.registerNetwork(network);
+    }
   }
 
   /**
@@ -41,19 +104,47 @@ class PasslySDK {
   async connect(options = {}) {
     const config = { ...this.config, ...options };
 
-    // Use default provider if none provided
+    // Addresses that all come from config are used as given, without checking them against the registry
+    const explicitAddresses = Object.values(ADDRESS_OPTIONS).every(option => config[option]);
+    const { network, chainId } = await this._resolveNetwork(config, explicitAddresses);
+
+    // Use the configured RPC URLs, or the network's default, if no provider is given
     if (!config.provider) {
-      config.provider = new ethers.providers.JsonRpcProvider('https://base.llamarpc.com');
+      const rpcUrls = config.rpcUrls || (network.rpcUrl ? [network.rpcUrl] : []);
+      if (rpcUrls.length === 0) {
+        throw new Error(`Network ${network.name} has no default RPC URL. Pass config.provider or config.rpcUrls.`);
+      }
+      // The network is already known, so the provider never has to ask the endpoints for it
+      config.provider = new ResilientProvider(rpcUrls, {
+        network: { name: network.name, chainId: network.chainId },
+        ...config.rpc
+      });
     }
 
-    // Default contract addresses
-    const addresses = {
-      passly: config.contractAddress || '0xDAA115033325DCEBf0D32bbdD84afd26A2C29923',
-      platforms: config.platformsAddress || '0x81b77ae447A5Fa45961c5032e3bC0Da452E6237F',
-      archives: config.archivesAddress || '0x348E8c982f7DEAF3719A1a734F6752DA3c03737D',
-      rewards: config.rewardsAddress || '0x09F2006bdaF0342d33fF2855F901933e98b9c00e',
-      leaderboard: config.leaderboardAddress || '0x23B22FB6929b0832819d477913AeBeccCC5a9E41'
-    };
+    // Make sure the registry addresses belong to the chain the provider is on
+    if (!explicitAddresses) {
+      const providerChainId = chainId === undefined ? (await config.provider.getNetwork()).chainId : chainId;
+      if (providerChainId !== network.chainId) {
+        throw new NetworkMismatchError(network, providerChainId);
+      }
+    }
+
+    // A signer on another chain would send transactions to the wrong contracts
+    if (config.signer && config.signer.provider) {
+      const signerChainId = await config.signer.getChainId();
+      if (signerChainId !== network.chainId) {
+        throw new NetworkMismatchError(network, signerChainId, { source: 'Signer' });
+      }
+    }
+
+    // Network contract addresses, with per-contract overrides
+    const addresses = Object.fromEntries(Object.entries(ADDRESS_OPTIONS).map(
+      ([contractName, option]) => [contractName, config[option] || network.addresses[contractName]]
+    ));
+
+    if (!addresses.passly) {
+      throw new Error(`No Passly contract address for network ${network.name}. Pass config.contractAddress.`);
+    }
 
     // Contract ABIs
     const abis = {
@@ -65,7 +156,19 @@ class PasslySDK {
         "function isIdentifierVerified(string calldata platform, string calldata identifier) external view returns (bool isVerified, uint256 passportId)",
         "function getSupportedCategories() external view returns (string[] memory)",
         "function isCategorySupported(string calldata category) external view returns (bool)",
-        "function ownerOf(uint256 tokenId) external view returns (address)"
+        "function ownerOf(uint256 tokenId) external view returns (address)",
+
+        // Write functions (require a signer)
+        "function createPassport(string calldata category, string calldata referralCode) external returns (uint256)",
+        "function setCategory(uint256 passportId, string calldata category) external",
+        "function revokeVerification(uint256 passportId, string calldata platform) external",
+
+        // Events
+        "event PassportCreated(uint256 indexed passportId, address indexed owner, string category)",
+        "event VerificationAdded(uint256 indexed passportId, string platform, string identifier, bytes32 proofHash)",
+        "event VerificationRevoked(uint256 indexed passportId, string platform, string reason)",
+        "event CategoryChanged(uint256 indexed passportId, string oldCategory, string newCategory)",
+        "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
       ],
       
       platforms: [
@@ -83,7 +186,10 @@ class PasslySDK {
         "function getPlatformHistory(uint256 passportId, string calldata platform) external view returns (tuple(uint256 totalVerifications, uint256 totalRevocations, string[] historicalIdentifiers, uint256 firstVerificationAt, uint256 lastRevocationAt))",
         "function getHistoricalIdentifiers(uint256 passportId, string calldata platform) external view returns (string[] memory)",
         "function getIdentifierUsage(string calldata platform, string calldata identifier) external view returns (uint256[] memory)",
-        "function getMultiPlatformHistory(uint256 passportId, string[] calldata platforms) external view returns (uint256 totalVerifications, uint256 totalRevocations, tuple(uint256 totalVerifications, uint256 totalRevocations, string[] historicalIdentifiers, uint256 firstVerificationAt, uint256 lastRevocationAt)[] memory platformStats)"
+        "function getMultiPlatformHistory(uint256 passportId, string[] calldata platforms) external view returns (uint256 totalVerifications, uint256 totalRevocations, tuple(uint256 totalVerifications, uint256 totalRevocations, string[] historicalIdentifiers, uint256 firstVerificationAt, uint256 lastRevocationAt)[] memory platformStats)",
+
+        // Events
+        "event VerificationArchived(uint256 indexed passportId, string platform, string identifier, string reason)"
       ],
 
       rewards: [
@@ -94,7 +200,15 @@ class PasslySDK {
         "function getReferralInfo(uint256 passportId) external view returns (string memory referralCode, address referredBy, uint256 totalReferrals, uint256 referralEarnings)",
         "function validateReferralCode(string calldata referralCode) external view returns (bool isValid, uint256 ownerPassportId)",
         "function getUserReferrals(uint256 passportId) external view returns (string[] memory)",
-        "function getPointConfig() external view returns (uint256 dailyHolding, uint256 referral, uint256 referee)"
+        "function getPointConfig() external view returns (uint256 dailyHolding, uint256 referral, uint256 referee)",
+
+        // Write functions (require a signer)
+        "function applyReferralCode(uint256 passportId, string calldata referralCode) external",
+
+        // Events
+        "event PointsAwarded(uint256 indexed passportId, uint256 amount, string reason)",
+        "event PointsDeducted(uint256 indexed passportId, uint256 amount, string reason)",
+        "event ReferralApplied(uint256 indexed refereePassportId, uint256 indexed referrerPassportId, string referralCode)"
       ],
 
       leaderboard: [
@@ -112,7 +226,10 @@ class PasslySDK {
         
         // Leaderboard statistics
         "function getLeaderboardStats(string calldata category) external view returns (uint256 totalEntries, bool isActive, uint256 maxEntries)",
-        "function getSupportedCategories() external view returns (string[] memory)"
+        "function getSupportedCategories() external view returns (string[] memory)",
+
+        // Events
+        "event RankChanged(uint256 indexed passportId, uint256 oldRank, uint256 newRank, uint256 score)"
       ]
     };
 
@@ -137,11 +254,107 @@ class PasslySDK {
       this.contracts.leaderboard = new ethers.Contract(addresses.leaderboard, abis.leaderboard, contractProvider);
     }
 
+    // Unwrapped contracts are kept so historical snapshots can pin them to a block
+    this._baseContracts = { ...this.contracts };
+
+    // Route all view calls through Multicall3 so parallel reads share a round trip,
+    // over the same signer or provider the contracts use
+    if (config.multicall !== false) {
+      const multicallOptions = typeof config.multicall === 'object' ? config.multicall : {};
+      this.multicall = new MulticallBatcher(contractProvider, multicallOptions);
+
+      for (const name of Object.keys(this.contracts)) {
+        this.contracts[name] = withMulticall(this.contracts[name], this.multicall);
+      }
+    }
+
+    // Cache on top of batching so cache hits never reach the batcher
+    if (config.cache) {
+      // Namespaced per chain so networks sharing a cache backend never mix entries
+      const cacheOptions = typeof config.cache === 'object' ? config.cache : {};
+      this.cache = new CacheManager({
+        ...cacheOptions,
+        namespace: `${cacheOptions.namespace || 'passly'}:${network.chainId}`
+      });
+
+      for (const name of Object.keys(this.contracts)) {
+        this.contracts[name] = withCache(this.contracts[name], name, this.cache);
+      }
+    }
+
+    this.network = network;
     this.config = { ...config, addresses };
     this.isConnected = true;
     return this;
   }
 
+  /**
+   * Helper to pick the network from config, or from the provider's chain ID when none is given
+   * @private
+   * @returns {Promise<Object>} - The network, and the provider's chain ID if it was read
+   */
+  async _resolveNetwork(config, explicitAddresses) {
+    if (config.network) {
+      const network = typeof config.network === 'object'
+        ? this.registerNetwork(config.network)
+        : this.getNetwork(config.network);
+
+      return { network };
+    }
+
+    if (!config.provider) {
+      return { network: this.getNetwork(DEFAULT_NETWORK) };
+    }
+
+    // No network given: use the one the provider is on
+    const { chainId } = await config.provider.getNetwork();
+    const network = !explicitAddresses && [...this.networks.values()].find(candidate => candidate.chainId === chainId);
+    if (network) {
+      return { network, chainId };
+    }
+    if (!config.contractAddress) {
+      throw new Error(`No known Passly network for chain ${chainId}. Pass config.network or the contract addresses.`);
+    }
+    return { network: defineNetwork({ name: `chain-${chainId}`, chainId }), chainId };
+  }
+
+  /**
+   * Get a read-only view of the SDK as of a past block
+   * @param {number|Date} blockNumberOrDate - Block number, or a Date resolved to the last block mined before it
+   * @returns {Promise<PasslySDK>} - An SDK instance whose reads all use that block
+   */
+  async at(blockNumberOrDate) {
+    this._ensureConnected();
+
+    const provider = this._readProvider();
+    const blockTag = typeof blockNumberOrDate === 'number'
+      ? blockNumberOrDate
+      : await findBlockByTimestamp(provider, blockNumberOrDate);
+    const block = await provider.getBlock(blockTag);
+    if (!block) {
+      throw new Error(`Block ${blockTag} not found`);
+    }
+
+    const snapshot = new this.constructor(this.config);
+    snapshot.config = this.config;
+    snapshot.scoringModels = this.scoringModels;
+    snapshot.networks = this.networks;
+    snapshot.network = this.network;
+    snapshot.multicall = this.multicall;
+    snapshot._baseContracts = this._baseContracts;
+    snapshot.blockTag = blockTag;
+    snapshot.blockTimestamp = block.timestamp * 1000;
+
+    for (const [name, contract] of Object.entries(this._baseContracts)) {
+      snapshot.contracts[name] = this.multicall
+        ? withMulticall(contract, this.multicall, { blockTag })
+        : withBlockTag(contract, blockTag);
+    }
+
+    snapshot.isConnected = true;
+    return snapshot;
+  }
+
   /**
    * Ensure the SDK is connected before performing operations
    * @private
@@ -152,20 +365,167 @@ class PasslySDK {
     }
   }
 
+  /**
+   * Helper for failed reads: throws a typed error in strict mode, otherwise returns the fallback
+   * @private
+   */
+  _handleError(error, fallback, context = {}) {
+    // Returning a fallback would hide that the value exists but cannot be represented
+    if (this.config.strict || error instanceof NumericOverflowError) {
+      throw toPasslyError(error, context);
+    }
+    return fallback;
+  }
+
+  /**
+   * Helper to get a view of the SDK that throws typed errors instead of returning fallbacks,
+   * for callers that must tell a missing passport from a failed read
+   * @private
+   */
+  _strictView() {
+    if (this.config.strict) return this;
+
+    const view = Object.create(this);
+    view.config = { ...this.config, strict: true };
+    return view;
+  }
+
+  /**
+   * Helper to get the provider contract reads go through: the signer's when there is one
+   * @private
+   */
+  _readProvider() {
+    return (this.config.signer && this.config.signer.provider) || this.config.provider;
+  }
+
+  /**
+   * Helper for reads whose contract is not configured: throws in strict mode, otherwise returns the fallback
+   * @private
+   */
+  _contractUnavailable(contractName, fallback) {
+    if (this.config.strict) {
+      throw new ContractUnavailableError(contractName);
+    }
+    return fallback;
+  }
+
+  /**
+   * Ensure a signer is configured before sending transactions
+   * @private
+   */
+  _ensureSigner() {
+    this._ensureConnected();
+    if (this.blockTag !== undefined) {
+      throw new Error(`Historical snapshot at block ${this.blockTag} is read-only`);
+    }
+    if (!this.config.signer) {
+      throw new Error('No signer configured. Pass config.signer to enable write operations.');
+    }
+  }
+
+  /**
+   * Helper to resolve the passport ID owned by the configured signer
+   * @private
+   */
+  async _resolveSignerPassportId() {
+    const address = await this.config.signer.getAddress();
+    const passportId = await this.getPassportId(address);
+    if (!passportId) {
+      throw new Error(`No passport found for signer ${address}`);
+    }
+    return passportId;
+  }
+
+  /**
+   * Helper to wait for a transaction and format its receipt
+   * @private
+   */
+  async _sendTransaction(txPromise, details = {}) {
+    const tx = await txPromise;
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      // ethers rejects wait() with the mined receipt when the transaction reverted
+      if (error.code === ethers.errors.CALL_EXCEPTION && error.receipt) {
+        throw new ContractRevertError(`Transaction ${error.receipt.transactionHash} reverted`, {
+          cause: error,
+          reason: error.reason,
+          receipt: error.receipt
+        });
+      }
+      throw error;
+    }
+
+    await this._invalidateCache({
+      passportIds: [details.passportId, details.referrerPassportId],
+      addresses: [receipt.from],
+      events: TRANSACTION_EVENTS[details.action] || []
+    });
+
+    return {
+      hash: receipt.transactionHash,
+      from: receipt.from,
+      to: receipt.to,
+      blockNumber: receipt.blockNumber,
+      gasUsed: this._toNumeric(receipt.gasUsed, 'gasUsed'),
+      status: 'success',
+      ...details
+    };
+  }
+
+  /**
+   * Helper to drop cached reads of passports and addresses touched by a transaction or event
+   * @private
+   */
+  async _invalidateCache({ passportIds = [], addresses = [], events = [] }) {
+    if (!this.cache) return;
+
+    await Promise.all([
+      ...passportIds.filter(id => id !== undefined && id !== null).map(id => this.cache.invalidatePassport(id)),
+      ...addresses.filter(Boolean).map(address => this.cache.invalidateAddress(address)),
+      this.cache.invalidateEvents(events)
+    ]);
+  }
+
+  /**
+   * Current time in milliseconds, or the block time for historical snapshots
+   * @private
+   */
+  _now() {
+    return this.blockTimestamp === undefined ? Date.now() : this.blockTimestamp;
+  }
+
+  /**
+   * Helper to convert an on-chain integer to the configured numeric mode
+   * @private
+   */
+  _toNumeric(value, field) {
+    return toNumeric(value, this.numeric, field);
+  }
+
+  /**
+   * Helper to convert an on-chain timestamp in seconds to a Date
+   * @private
+   */
+  _toDate(value, field) {
+    return toDate(value, field);
+  }
+
   /**
    * Helper to convert address or passport ID to passport ID
    * @private
    */
   async _resolvePassportId(addressOrPassportId) {
-    if (typeof addressOrPassportId === 'number' || 
+    if (typeof addressOrPassportId === 'number' || typeof addressOrPassportId === 'bigint' ||
         (typeof addressOrPassportId === 'string' && /^\d+$/.test(addressOrPassportId))) {
-      return parseInt(addressOrPassportId);
+      return this._toNumeric(addressOrPassportId, 'passportId');
     }
     
     if (typeof addressOrPassportId === 'string' && ethers.utils.isAddress(addressOrPassportId)) {
       const passportId = await this.getPassportId(addressOrPassportId);
       if (!passportId) {
-        throw new Error('No passport found for address');
+        throw new PassportNotFoundError(addressOrPassportId);
       }
       return passportId;
     }
@@ -173,23 +533,54 @@ class PasslySDK {
     throw new Error('Invalid address or passport ID');
   }
 
+  /**
+   * Helper to load verification details for a list of platforms in parallel.
+   * Platforms that fail to load are skipped with a warning.
+   * @private
+   */
+  async _loadVerifications(passportId, platforms) {
+    const results = await Promise.all(platforms.map(platform =>
+      this.contracts.passly.getVerification(passportId, platform).catch(error => {
+        if (this.config.strict) throw toPasslyError(error);
+        console.warn(`Failed to load verification for platform ${platform}:`, error.message);
+        return null;
+      })
+    ));
+
+    const verifications = {};
+    platforms.forEach((platform, index) => {
+      if (!results[index]) return;
+
+      const [identifier, verifiedAt, proofHash, active, pointsAwarded] = results[index];
+      verifications[platform] = {
+        identifier,
+        verifiedAt: this._toDate(verifiedAt, 'verifiedAt'),
+        proofHash,
+        active,
+        pointsAwarded
+      };
+    });
+
+    return verifications;
+  }
+
   /**
    * Helper to format leaderboard entry from contract response
    * @private
    */
   _formatLeaderboardEntry(entry) {
     return {
-      passportId: entry.passportId.toNumber(),
+      passportId: this._toNumeric(entry.passportId, 'passportId'),
       owner: entry.owner,
-      totalScore: entry.totalScore.toNumber(),
-      holdingPoints: entry.holdingPoints.toNumber(),
-      platformPoints: entry.platformPoints.toNumber(),
-      referralPoints: entry.referralPoints.toNumber(),
-      verificationCount: entry.verificationCount.toNumber(),
+      totalScore: this._toNumeric(entry.totalScore, 'totalScore'),
+      holdingPoints: this._toNumeric(entry.holdingPoints, 'holdingPoints'),
+      platformPoints: this._toNumeric(entry.platformPoints, 'platformPoints'),
+      referralPoints: this._toNumeric(entry.referralPoints, 'referralPoints'),
+      verificationCount: this._toNumeric(entry.verificationCount, 'verificationCount'),
       category: entry.category,
-      lastUpdated: new Date(entry.lastUpdated.toNumber() * 1000),
-      rank: entry.rank.toNumber(),
-      previousRank: entry.previousRank.toNumber()
+      lastUpdated: this._toDate(entry.lastUpdated, 'lastUpdated'),
+      rank: this._toNumeric(entry.rank, 'rank'),
+      previousRank: this._toNumeric(entry.previousRank, 'previousRank')
     };
   }
 
@@ -207,12 +598,13 @@ class PasslySDK {
     
     try {
       const passportId = await this.contracts.passly.getPassportByAddress(address);
-      return passportId.toNumber();
+      // Passport IDs start at 1, so 0 also means "no passport"
+      return passportId.isZero() ? null : this._toNumeric(passportId, 'passportId');
     } catch (error) {
-      if (error.message.includes('User has no passport')) {
+      if (isPassportNotFound(error)) {
         return null;
       }
-      throw error;
+      throw this.config.strict ? toPasslyError(error, { addressOrPassportId: address }) : error;
     }
   }
 
@@ -236,52 +628,106 @@ class PasslySDK {
     
     let passportId;
     try {
+      if (typeof address !== 'string' || !ethers.utils.isAddress(address)) {
+        throw new Error(`Invalid address: ${address}`);
+      }
       passportId = await this.getPassportId(address);
-      if (!passportId) return null;
+      if (!passportId) {
+        throw new PassportNotFoundError(address);
+      }
     } catch (error) {
-      return null;
+      return this._handleError(error, null, { addressOrPassportId: address });
     }
     
-    // Get passport data - now correctly handling all 7 return values
-    const [owner, createdAt, verificationCount, category, totalPoints, referralCode, totalReferrals] = 
-      await this.contracts.passly.getPassportData(passportId);
-    
-    const platforms = await this.contracts.passly.getVerifiedPlatforms(passportId);
-    
-    // Gather all verifications
-    const verifications = {};
-    for (const platform of platforms) {
-      try {
-        const [identifier, verifiedAt, proofHash, active, pointsAwarded] = 
-          await this.contracts.passly.getVerification(passportId, platform);
-        
-        verifications[platform] = {
-          identifier,
-          verifiedAt: new Date(verifiedAt.toNumber() * 1000),
-          proofHash,
-          active,
-          pointsAwarded
-        };
-      } catch (error) {
-        // Skip platforms that fail to load
-        console.warn(`Failed to load verification for platform ${platform}:`, error.message);
+    return await this._readPassport(passportId);
+  }
+
+  /**
+   * Get complete passport data by passport ID
+   * @param {number|bigint|string} passportId - The passport ID
+   * @returns {Promise<Object|null>} - The passport data or null if the passport does not exist
+   */
+  async getPassportById(passportId) {
+    this._ensureConnected();
+
+    try {
+      const passport = await this._readPassport(this._toNumeric(passportId, 'passportId'));
+      if (!passport) {
+        throw new PassportNotFoundError(passportId);
       }
+      return passport;
+    } catch (error) {
+      return this._handleError(error, null, { addressOrPassportId: passportId });
     }
-    
+  }
+
+  /**
+   * Helper to load a passport by address or passport ID. Returns null only when there is no passport;
+   * failed reads are thrown.
+   * @private
+   */
+  async _loadPassport(addressOrPassportId) {
+    this._ensureConnected();
+
+    let passportId;
+    try {
+      passportId = await this._resolvePassportId(addressOrPassportId);
+    } catch (error) {
+      if (isPassportNotFound(error)) return null;
+      throw error;
+    }
+
+    return await this._readPassport(passportId);
+  }
+
+  /**
+   * Helper to read the passport data fields (without verifications), or null if the passport does not exist
+   * @private
+   */
+  async _readPassportData(passportId) {
+    let data;
+    try {
+      data = await this.contracts.passly.getPassportData(passportId);
+    } catch (error) {
+      if (isPassportNotFound(error)) return null;
+      throw this.config.strict ? toPasslyError(error, { addressOrPassportId: passportId }) : error;
+    }
+
+    // Passport data of an unminted ID is all zeroes
+    const [owner, createdAt, verificationCount, category, totalPoints, referralCode, totalReferrals] = data;
+    if (owner === ethers.constants.AddressZero) return null;
+
     return {
       id: passportId,
       owner,
-      createdAt: new Date(createdAt.toNumber() * 1000),
-      verificationCount: verificationCount.toNumber(),
+      createdAt: this._toDate(createdAt, 'createdAt'),
+      verificationCount: this._toNumeric(verificationCount, 'verificationCount'),
       category,
-      totalPoints: totalPoints.toNumber(),
+      totalPoints: this._toNumeric(totalPoints, 'totalPoints'),
       referralCode,
-      totalReferrals: totalReferrals.toNumber(),
-      platforms,
-      verifications
+      totalReferrals: this._toNumeric(totalReferrals, 'totalReferrals')
     };
   }
 
+  /**
+   * Helper to read a passport with its verifications, or null if the passport does not exist
+   * @private
+   */
+  async _readPassport(passportId) {
+    const [data, platforms] = await Promise.all([
+      this._readPassportData(passportId),
+      this.contracts.passly.getVerifiedPlatforms(passportId).catch(error => {
+        if (isPassportNotFound(error)) return [];
+        throw this.config.strict ? toPasslyError(error, { addressOrPassportId: passportId }) : error;
+      })
+    ]);
+    if (!data) return null;
+
+    const verifications = await this._loadVerifications(passportId, platforms);
+
+    return { ...data, platforms, verifications };
+  }
+
   /**
    * Get all verification data for a passport
    * @param {string|number} addressOrPassportId - Wallet address or passport ID
@@ -292,26 +738,8 @@ class PasslySDK {
     
     const passportId = await this._resolvePassportId(addressOrPassportId);
     const platforms = await this.contracts.passly.getVerifiedPlatforms(passportId);
-    const verifications = {};
-    
-    for (const platform of platforms) {
-      try {
-        const [identifier, verifiedAt, proofHash, active, pointsAwarded] = 
-          await this.contracts.passly.getVerification(passportId, platform);
-        
-        verifications[platform] = {
-          identifier,
-          verifiedAt: new Date(verifiedAt.toNumber() * 1000),
-          proofHash,
-          active,
-          pointsAwarded
-        };
-      } catch (error) {
-        console.warn(`Failed to load verification for platform ${platform}:`, error.message);
-      }
-    }
     
-    return verifications;
+    return await this._loadVerifications(passportId, platforms);
   }
 
   /**
@@ -327,7 +755,7 @@ class PasslySDK {
     
     return {
       isVerified,
-      passportId: isVerified ? passportId.toNumber() : null
+      passportId: isVerified ? this._toNumeric(passportId, 'passportId') : null
     };
   }
 
@@ -342,7 +770,7 @@ async getPlatformIdentifier(address, platform) {
   
   try {
     const passportId = await this.getPassportId(address);
-    if (!passportId) return null;
+    if (!passportId) throw new PassportNotFoundError(address);
     
     const [identifier, , , active] = await this.contracts.passly.getVerification(
       passportId, 
@@ -352,7 +780,7 @@ async getPlatformIdentifier(address, platform) {
     // Only return identifier if verification is active
     return active ? identifier : null;
   } catch (error) {
-    return null;
+    return this._handleError(error, null);
   }
 }
 
@@ -370,16 +798,16 @@ async getPlatformIdentifier(address, platform) {
     
     if (!this.contracts.rewards) {
       // Fallback to passport data
-      const passport = await this.getPassport(addressOrPassportId);
+      const passport = await this._loadPassport(addressOrPassportId).catch(error => this._handleError(error, null));
       return passport ? passport.totalPoints : null;
     }
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const points = await this.contracts.rewards.getPoints(passportId);
-      return points.toNumber();
+      return this._toNumeric(points, 'points');
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -391,20 +819,20 @@ async getPlatformIdentifier(address, platform) {
   async getPointBreakdown(addressOrPassportId) {
     this._ensureConnected();
     
-    if (!this.contracts.rewards) return null;
+    if (!this.contracts.rewards) return this._contractUnavailable('rewards', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const [holding, platform, referral, total] = await this.contracts.rewards.getPointBreakdown(passportId);
       
       return {
-        holding: holding.toNumber(),
-        platform: platform.toNumber(), 
-        referral: referral.toNumber(),
-        total: total.toNumber()
+        holding: this._toNumeric(holding, 'holding'),
+        platform: this._toNumeric(platform, 'platform'), 
+        referral: this._toNumeric(referral, 'referral'),
+        total: this._toNumeric(total, 'total')
       };
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -417,17 +845,28 @@ async getPlatformIdentifier(address, platform) {
   async getPlatformPoints(addressOrPassportId, platform) {
     this._ensureConnected();
     
-    if (!this.contracts.rewards) return null;
+    if (!this.contracts.rewards) return this._contractUnavailable('rewards', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const points = await this.contracts.rewards.getPlatformPoints(passportId, platform);
-      return points.toNumber();
+      return this._toNumeric(points, 'points');
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
+  /**
+   * Project a passport's points through hypothetical actions, including punishment penalties
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object[]} actions - Actions in order: { verify }, { revoke }, { refer }, { useReferral } or { hold } (days)
+   * @param {Object} [options] - start (Date) and graph (from getPlatformDependencyGraph)
+   * @returns {Promise<Object|null>} - Projection with the start and end breakdown, penalties and each step, or null if no passport
+   */
+  async simulatePoints(addressOrPassportId, actions, options = {}) {
+    return await simulatePoints(this, addressOrPassportId, actions, options);
+  }
+
   // =============================================================================
   // REFERRAL FUNCTIONS
   // =============================================================================
@@ -442,14 +881,14 @@ async getPlatformIdentifier(address, platform) {
     
     if (!this.contracts.rewards) {
       // Fallback to passport data
-      const passport = await this.getPassport(addressOrPassportId);
+      const passport = await this._loadPassport(addressOrPassportId).catch(error => this._handleError(error, null));
       if (!passport) return null;
       
       return {
         referralCode: passport.referralCode,
         referredBy: '0x0000000000000000000000000000000000000000', // Not available in passport data
         totalReferrals: passport.totalReferrals,
-        referralEarnings: 0 // Not available in passport data
+        referralEarnings: this._toNumeric(0, 'referralEarnings') // Not available in passport data
       };
     }
     
@@ -461,11 +900,11 @@ async getPlatformIdentifier(address, platform) {
       return {
         referralCode,
         referredBy,
-        totalReferrals: totalReferrals.toNumber(),
-        referralEarnings: referralEarnings.toNumber()
+        totalReferrals: this._toNumeric(totalReferrals, 'totalReferrals'),
+        referralEarnings: this._toNumeric(referralEarnings, 'referralEarnings')
       };
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -477,20 +916,49 @@ async getPlatformIdentifier(address, platform) {
   async validateReferralCode(referralCode) {
     this._ensureConnected();
     
-    if (!this.contracts.rewards) return null;
+    if (!this.contracts.rewards) return this._contractUnavailable('rewards', null);
     
     try {
       const [isValid, ownerPassportId] = await this.contracts.rewards.validateReferralCode(referralCode);
       
       return {
         isValid,
-        ownerPassportId: isValid ? ownerPassportId.toNumber() : null
+        ownerPassportId: isValid ? this._toNumeric(ownerPassportId, 'ownerPassportId') : null
       };
     } catch (error) {
-      return { isValid: false, ownerPassportId: null };
+      return this._handleError(error, { isValid: false, ownerPassportId: null });
     }
   }
 
+  /**
+   * Get the passports a passport has referred
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @returns {Promise<Object>} - { passportIds, unresolved } with the referral entries that match no passport
+   */
+  async getUserReferrals(addressOrPassportId) {
+    return await getReferees(this, addressOrPassportId);
+  }
+
+  /**
+   * Walk up the chain of referrers from a passport
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} [options] - maxDepth (default 50)
+   * @returns {Promise<Object>} - { passportId, chain, ring, ringAt, truncated }; chain starts with the direct referrer
+   */
+  async getReferralChain(addressOrPassportId, options = {}) {
+    return await getReferralChain(this, addressOrPassportId, options);
+  }
+
+  /**
+   * Build the tree of referees below a passport with per-subtree earnings and suspicious-pattern flags
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} [options] - depth (default 2), maxPassports, concurrency and burst ({ size, windowHours })
+   * @returns {Promise<Object>} - { passportId, nodes, edges, flags, unresolved, truncated }
+   */
+  async getReferralTree(addressOrPassportId, options = {}) {
+    return await buildReferralTree(this, addressOrPassportId, options);
+  }
+
   // =============================================================================
   // LEADERBOARD FUNCTIONS
   // =============================================================================
@@ -503,12 +971,13 @@ async getPlatformIdentifier(address, platform) {
   async getTopEntries(count = 10) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const entries = await this.contracts.leaderboard.getTopEntries(count);
       return entries.map(entry => this._formatLeaderboardEntry(entry));
     } catch (error) {
+      if (this.config.strict) throw toPasslyError(error);
       console.warn('Failed to get top entries:', error.message);
       return null;
     }
@@ -522,14 +991,14 @@ async getPlatformIdentifier(address, platform) {
   async getPassportLeaderboardEntry(addressOrPassportId) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const entry = await this.contracts.leaderboard.getPassportEntry(passportId);
       return this._formatLeaderboardEntry(entry);
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -541,14 +1010,14 @@ async getPlatformIdentifier(address, platform) {
   async getGlobalRank(addressOrPassportId) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const rank = await this.contracts.leaderboard.getPassportRank(passportId);
-      return rank.toNumber();
+      return this._toNumeric(rank, 'rank');
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -560,14 +1029,14 @@ async getPlatformIdentifier(address, platform) {
   async getLeaderboardScore(addressOrPassportId) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const score = await this.contracts.leaderboard.getPassportScore(passportId);
-      return score.toNumber();
+      return this._toNumeric(score, 'score');
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -579,13 +1048,13 @@ async getPlatformIdentifier(address, platform) {
   async isInLeaderboard(addressOrPassportId) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return false;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', false);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       return await this.contracts.leaderboard.isPassportInLeaderboard(passportId);
     } catch (error) {
-      return false;
+      return this._handleError(error, false);
     }
   }
 
@@ -598,12 +1067,13 @@ async getPlatformIdentifier(address, platform) {
   async getTopEntriesByCategory(category, count = 10) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const entries = await this.contracts.leaderboard.getTopEntriesByCategory(category, count);
       return entries.map(entry => this._formatLeaderboardEntry(entry));
     } catch (error) {
+      if (this.config.strict) throw toPasslyError(error);
       console.warn(`Failed to get top entries for category ${category}:`, error.message);
       return null;
     }
@@ -618,14 +1088,14 @@ async getPlatformIdentifier(address, platform) {
   async getCategoryRank(addressOrPassportId, category) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const rank = await this.contracts.leaderboard.getPassportRankByCategory(passportId, category);
-      return rank.toNumber();
+      return this._toNumeric(rank, 'rank');
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -638,14 +1108,14 @@ async getPlatformIdentifier(address, platform) {
   async getCategoryLeaderboardEntry(addressOrPassportId, category) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const entry = await this.contracts.leaderboard.getPassportEntryByCategory(passportId, category);
       return this._formatLeaderboardEntry(entry);
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -657,19 +1127,19 @@ async getPlatformIdentifier(address, platform) {
   async getLeaderboardStats(category) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const [totalEntries, isActive, maxEntries] = await this.contracts.leaderboard.getLeaderboardStats(category);
       
       return {
         category,
-        totalEntries: totalEntries.toNumber(),
+        totalEntries: this._toNumeric(totalEntries, 'totalEntries'),
         isActive,
-        maxEntries: maxEntries.toNumber()
+        maxEntries: this._toNumeric(maxEntries, 'maxEntries')
       };
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -680,15 +1150,52 @@ async getPlatformIdentifier(address, platform) {
   async getLeaderboardCategories() {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return [];
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', []);
     
     try {
       return await this.contracts.leaderboard.getSupportedCategories();
     } catch (error) {
-      return [];
+      return this._handleError(error, []);
     }
   }
 
+  /**
+   * Get one page of the global or a category leaderboard
+   * @param {Object} [options] - category, pageSize (default 50) and cursor (a previous page's nextCursor)
+   * @returns {Promise<Object>} - { entries, nextCursor, total }; nextCursor is null on the last page
+   */
+  async getLeaderboardPage(options = {}) {
+    return await getLeaderboardPage(this, options);
+  }
+
+  /**
+   * Iterate over every entry of the global or a category leaderboard, in rank order
+   * @param {Object} [options] - category, pageSize, maxPageSize, cursor and limit
+   * @returns {AsyncGenerator<Object>} - Leaderboard entries, for use with for await
+   */
+  iterateLeaderboard(options = {}) {
+    return iterateLeaderboard(this, options);
+  }
+
+  /**
+   * Get the entries ranked just above and below a passport
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} [options] - category and radius (entries on each side, default 5)
+   * @returns {Promise<Object|null>} - { passportId, rank, entry, above, below }, or null if the passport is not ranked
+   */
+  async getLeaderboardNeighbours(addressOrPassportId, options = {}) {
+    return await getLeaderboardNeighbours(this, addressOrPassportId, options);
+  }
+
+  /**
+   * Report the biggest rank climbers and fallers, comparing each entry's rank with its previousRank
+   * @param {Object} [options] - category, count (default 10) and scan (entries to scan from the top)
+   * @returns {Promise<Object>} - { category, scanned, climbers, fallers, newEntries }
+   */
+  async getRankMovements(options = {}) {
+    return await getRankMovements(this, options);
+  }
+
   /**
    * Get comprehensive leaderboard data for a passport
    * @param {string|number} addressOrPassportId - Wallet address or passport ID
@@ -697,23 +1204,23 @@ async getPlatformIdentifier(address, platform) {
   async getCompleteLeaderboardData(addressOrPassportId) {
     this._ensureConnected();
     
-    if (!this.contracts.leaderboard) return null;
+    if (!this.contracts.leaderboard) return this._contractUnavailable('leaderboard', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       
       // Get passport's category from passport data
-      const passportData = await this.getPassport(addressOrPassportId);
+      const passportData = await this._readPassportData(passportId);
       if (!passportData) return null;
       
       const category = passportData.category;
       
       // Gather all leaderboard data in parallel
       const [globalEntry, categoryEntry, isInBoard, categories] = await Promise.all([
-        this.getPassportLeaderboardEntry(passportId).catch(() => null),
-        this.getCategoryLeaderboardEntry(passportId, category).catch(() => null),
-        this.isInLeaderboard(passportId).catch(() => false),
-        this.getLeaderboardCategories().catch(() => [])
+        this.getPassportLeaderboardEntry(passportId).catch(error => this._handleError(error, null)),
+        this.getCategoryLeaderboardEntry(passportId, category).catch(error => this._handleError(error, null)),
+        this.isInLeaderboard(passportId).catch(error => this._handleError(error, false)),
+        this.getLeaderboardCategories().catch(error => this._handleError(error, []))
       ]);
       
       return {
@@ -725,7 +1232,7 @@ async getPlatformIdentifier(address, platform) {
         availableCategories: categories
       };
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -742,7 +1249,7 @@ async getPlatformIdentifier(address, platform) {
   async getVerificationHistory(addressOrPassportId, platform) {
     this._ensureConnected();
     
-    if (!this.contracts.archives) return null;
+    if (!this.contracts.archives) return this._contractUnavailable('archives', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
@@ -750,14 +1257,14 @@ async getPlatformIdentifier(address, platform) {
       
       return history.map(entry => ({
         identifier: entry.identifier,
-        verifiedAt: new Date(entry.verifiedAt.toNumber() * 1000),
-        revokedAt: entry.revokedAt.toNumber() > 0 ? new Date(entry.revokedAt.toNumber() * 1000) : null,
+        verifiedAt: this._toDate(entry.verifiedAt, 'verifiedAt'),
+        revokedAt: entry.revokedAt.isZero() ? null : this._toDate(entry.revokedAt, 'revokedAt'),
         proofHash: entry.proofHash,
         wasRevoked: entry.wasRevoked,
         revokeReason: entry.revokeReason
       }));
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -770,30 +1277,66 @@ async getPlatformIdentifier(address, platform) {
   async getPlatformHistory(addressOrPassportId, platform) {
     this._ensureConnected();
     
-    if (!this.contracts.archives) return null;
+    if (!this.contracts.archives) return this._contractUnavailable('archives', null);
     
     try {
       const passportId = await this._resolvePassportId(addressOrPassportId);
       const history = await this.contracts.archives.getPlatformHistory(passportId, platform);
       
       return {
-        totalVerifications: history.totalVerifications.toNumber(),
-        totalRevocations: history.totalRevocations.toNumber(),
+        totalVerifications: this._toNumeric(history.totalVerifications, 'totalVerifications'),
+        totalRevocations: this._toNumeric(history.totalRevocations, 'totalRevocations'),
         historicalIdentifiers: history.historicalIdentifiers,
-        firstVerificationAt: history.firstVerificationAt.toNumber() > 0 ? 
-          new Date(history.firstVerificationAt.toNumber() * 1000) : null,
-        lastRevocationAt: history.lastRevocationAt.toNumber() > 0 ? 
-          new Date(history.lastRevocationAt.toNumber() * 1000) : null
+        firstVerificationAt: history.firstVerificationAt.isZero() ? null : this._toDate(history.firstVerificationAt, 'firstVerificationAt'),
+        lastRevocationAt: history.lastRevocationAt.isZero() ? null : this._toDate(history.lastRevocationAt, 'lastRevocationAt')
       };
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
-  // =============================================================================
-  // PLATFORM CONFIGURATION FUNCTIONS
-  // =============================================================================
-
+  /**
+   * Get every identifier a passport has ever verified on a platform
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {string} platform - The platform name
+   * @returns {Promise<string[]|null>} - Historical identifiers or null if no passport/archives contract
+   */
+  async getHistoricalIdentifiers(addressOrPassportId, platform) {
+    this._ensureConnected();
+    
+    if (!this.contracts.archives) return this._contractUnavailable('archives', null);
+    
+    try {
+      const passportId = await this._resolvePassportId(addressOrPassportId);
+      return await this.contracts.archives.getHistoricalIdentifiers(passportId, platform);
+    } catch (error) {
+      return this._handleError(error, null);
+    }
+  }
+
+  /**
+   * Get every passport that has ever used an identifier on a platform
+   * @param {string} platform - The platform name
+   * @param {string} identifier - The account identifier
+   * @returns {Promise<number[]|null>} - Passport IDs or null if no archives contract
+   */
+  async getIdentifierUsage(platform, identifier) {
+    this._ensureConnected();
+    
+    if (!this.contracts.archives) return this._contractUnavailable('archives', null);
+    
+    try {
+      const passportIds = await this.contracts.archives.getIdentifierUsage(platform, identifier);
+      return passportIds.map(passportId => this._toNumeric(passportId, 'passportId'));
+    } catch (error) {
+      return this._handleError(error, null);
+    }
+  }
+
+  // =============================================================================
+  // PLATFORM CONFIGURATION FUNCTIONS
+  // =============================================================================
+
   /**
    * Get platform configuration
    * @param {string} platform - The platform name
@@ -802,7 +1345,7 @@ async getPlatformIdentifier(address, platform) {
   async getPlatformConfig(platform) {
     this._ensureConnected();
     
-    if (!this.contracts.platforms) return null;
+    if (!this.contracts.platforms) return this._contractUnavailable('platforms', null);
     
     try {
       const [isSupported, platformType, requiredPlatforms, pointReward, enablePointPunishment, punishmentPeriodDays] = 
@@ -812,12 +1355,12 @@ async getPlatformIdentifier(address, platform) {
         isSupported,
         platformType,
         requiredPlatforms,
-        pointReward: pointReward.toNumber(),
+        pointReward: this._toNumeric(pointReward, 'pointReward'),
         enablePointPunishment,
-        punishmentPeriodDays: punishmentPeriodDays.toNumber()
+        punishmentPeriodDays: this._toNumeric(punishmentPeriodDays, 'punishmentPeriodDays')
       };
     } catch (error) {
-      return null;
+      return this._handleError(error, null);
     }
   }
 
@@ -836,6 +1379,44 @@ async getPlatformIdentifier(address, platform) {
     return [];
   }
 
+  /**
+   * Get all supported platform types
+   * @returns {Promise<string[]>} - List of supported platform types (e.g. "social", "developer")
+   */
+  async getSupportedPlatformTypes() {
+    this._ensureConnected();
+    
+    if (this.contracts.platforms) {
+      return await this.contracts.platforms.getSupportedPlatformTypes();
+    }
+    
+    return [];
+  }
+
+  /**
+   * Get the platform type of each platform from its on-chain configuration
+   * @param {string[]} platforms - Platform names
+   * @returns {Promise<Object>} - Object mapping each platform to its type, or null if unknown
+   */
+  async getPlatformTypes(platforms) {
+    this._ensureConnected();
+    
+    if (!this.contracts.platforms) {
+      return Object.fromEntries(platforms.map(platform => [platform, FALLBACK_PLATFORM_TYPES[platform] || null]));
+    }
+    
+    // A config that could not be read (lenient mode) leaves the type unknown rather than guessed
+    const configs = await Promise.all(platforms.map(platform => this.getPlatformConfig(platform)));
+    
+    const types = {};
+    platforms.forEach((platform, index) => {
+      const config = configs[index];
+      types[platform] = config && config.platformType ? config.platformType : null;
+    });
+    
+    return types;
+  }
+
   /**
    * Get supported categories (from Passly contract)
    * @returns {Promise<string[]>} - List of supported categories
@@ -845,6 +1426,16 @@ async getPlatformIdentifier(address, platform) {
     return await this.contracts.passly.getSupportedCategories();
   }
 
+  /**
+   * Check if a category is supported (from Passly contract)
+   * @param {string} category - The category name
+   * @returns {Promise<boolean>} - Whether the category is supported
+   */
+  async isCategorySupported(category) {
+    this._ensureConnected();
+    return await this.contracts.passly.isCategorySupported(category);
+  }
+
   /**
    * Check if a platform is supported
    * @param {string} platform - The platform name
@@ -860,6 +1451,499 @@ async getPlatformIdentifier(address, platform) {
     return false;
   }
 
+  // =============================================================================
+  // PLATFORM DEPENDENCY FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Build the dependency graph of every supported platform, with a verification order and any cycles
+   * @returns {Promise<Object>} - { platforms, order, cycles, unknownRequirements }
+   */
+  async getPlatformDependencyGraph() {
+    return await buildDependencyGraph(this);
+  }
+
+  /**
+   * List the platforms a passport can verify next
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} [options] - graph, to reuse a graph from getPlatformDependencyGraph
+   * @returns {Promise<string[]|null>} - Platforms whose requirements are all met, or null if no passport
+   */
+  async getVerifiablePlatforms(addressOrPassportId, options = {}) {
+    return await getVerifiablePlatforms(this, addressOrPassportId, options);
+  }
+
+  /**
+   * Explain what a passport still has to verify before it can verify a platform
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {string} platform - The platform to verify
+   * @param {Object} [options] - graph, to reuse a graph from getPlatformDependencyGraph
+   * @returns {Promise<Object|null>} - { platform, verified, canVerify, missing, path }, or null if no passport
+   */
+  async getMissingDependencies(addressOrPassportId, platform, options = {}) {
+    return await getMissingDependencies(this, addressOrPassportId, platform, options);
+  }
+
+  /**
+   * Work out which verifications and points a passport would lose by revoking a platform
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {string} platform - The platform to revoke
+   * @param {Object} [options] - graph, and at (Date of the revocation)
+   * @returns {Promise<Object|null>} - { platform, lostPlatforms, remainingPlatforms, points, pointsLost }, or null if no passport
+   */
+  async getRevocationImpact(addressOrPassportId, platform, options = {}) {
+    return await getRevocationImpact(this, addressOrPassportId, platform, options);
+  }
+
+  // =============================================================================
+  // NETWORK FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Register a network (e.g. a testnet deployment) so it can be selected with config.network
+   * @param {Object} network - Network definition (see defineNetwork)
+   * @returns {Object} - The complete registered network
+   */
+  registerNetwork(network) {
+    const definition = defineNetwork(network);
+    this.networks.set(definition.name, definition);
+    return definition;
+  }
+
+  /**
+   * Get a registered network by name
+   * @param {string} name - The network name (e.g., "base")
+   * @returns {Object} - The network definition
+   */
+  getNetwork(name) {
+    const network = this.networks.get(name);
+    if (!network) {
+      throw new Error(`Unknown network: ${name}`);
+    }
+    return network;
+  }
+
+  /**
+   * Get the names of all registered networks
+   * @returns {string[]} - Network names
+   */
+  getNetworkNames() {
+    return [...this.networks.keys()];
+  }
+
+  /**
+   * Get the health of each RPC endpoint of the built-in provider
+   * @returns {Array<Object>|null} - Per-endpoint health, or null when a custom provider is used
+   */
+  getProviderHealth() {
+    this._ensureConnected();
+    const provider = this.config.provider;
+    return provider instanceof ResilientProvider ? provider.getHealth() : null;
+  }
+
+  /**
+   * Get an SDK instance connected to another network, sharing this instance's options
+   * @param {string} networkName - The network to connect to
+   * @param {Object} [options] - Config overrides for that network, such as provider
+   * @returns {Promise<PasslySDK>} - A connected SDK instance for the network
+   */
+  async forNetwork(networkName, options = {}) {
+    const network = this.getNetwork(networkName);
+
+    const reusable = Object.keys(options).length === 0;
+    if (reusable && this.isConnected && this.network.name === network.name && this.blockTag === undefined) {
+      return this;
+    }
+    if (reusable && this._networkInstances.has(network.name)) {
+      return this._networkInstances.get(network.name);
+    }
+
+    // Providers, signers and addresses belong to a chain; everything else carries over
+    const {
+      provider, signer, addresses,
+      contractAddress, platformsAddress, archivesAddress, rewardsAddress, leaderboardAddress,
+      ...shared
+    } = this.config;
+
+    const instance = new this.constructor({ ...shared, network: network.name, ...options });
+    instance.networks = this.networks;
+    instance.scoringModels = this.scoringModels;
+    await instance.connect();
+
+    if (reusable) {
+      this._networkInstances.set(network.name, instance);
+    }
+    return instance;
+  }
+
+  /**
+   * Look up the same wallet's passport on several networks at once
+   * @param {string} address - The wallet address
+   * @param {string[]} [networkNames] - Networks to query (defaults to every registered network with a Passly deployment)
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.providers] - Providers to use, keyed by network name
+   * @returns {Promise<Array<Object>>} - One { network, chainId, passport } entry per network; passport is null without one
+   */
+  async getPassportAcrossNetworks(address, networkNames, options = {}) {
+    const providers = options.providers || {};
+    const names = networkNames || [...this.networks.values()]
+      .filter(network => network.addresses.passly)
+      .map(network => network.name);
+
+    return await Promise.all(names.map(async name => {
+      const network = this.getNetwork(name);
+      try {
+        const instance = await this.forNetwork(name, providers[name] ? { provider: providers[name] } : {});
+        return { network: name, chainId: network.chainId, passport: await instance.getPassport(address) };
+      } catch (error) {
+        return { network: name, chainId: network.chainId, passport: this._handleError(error, null), error: error.message };
+      }
+    }));
+  }
+
+  // =============================================================================
+  // EVENT SUBSCRIPTIONS
+  // =============================================================================
+
+  /**
+   * Subscribe to normalised Passly events (verifications, revocations, category, points and rank changes)
+   * @param {Function} handler - Called with each event; events undone by a reorg are re-sent with removed: true
+   * @param {Object} [options] - Event types, start block, poll interval, confirmations and error handling
+   * @returns {PasslyEventFeed} - The running feed; call stop() to unsubscribe
+   */
+  subscribe(handler, options = {}) {
+    this._ensureConnected();
+    return new PasslyEventFeed(this, handler, options).start();
+  }
+
+  /**
+   * Subscribe to events for a single passport
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Function} handler - Called with each event for this passport
+   * @param {Object} [options] - Same options as subscribe()
+   * @returns {Promise<PasslyEventFeed>} - The running feed; call stop() to unsubscribe
+   */
+  async watchPassport(addressOrPassportId, handler, options = {}) {
+    this._ensureConnected();
+    const passportId = await this._resolvePassportId(addressOrPassportId);
+    return this.subscribe(handler, { ...options, passportId });
+  }
+
+  /**
+   * Create a local indexer that rebuilds Passly state from contract logs
+   * @param {Object} [options] - Store, start block, batch size and confirmation options
+   * @returns {PasslyIndexer} - The indexer; call sync() to index and query() to search
+   */
+  createIndexer(options = {}) {
+    this._ensureConnected();
+    return new PasslyIndexer(this, options);
+  }
+
+  // =============================================================================
+  // CACHE FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Drop all cached reads of a passport. Event subscriptions and write
+   * transactions do this automatically for the passports they touch.
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @returns {Promise<void>}
+   */
+  async invalidatePassport(addressOrPassportId) {
+    this._ensureConnected();
+    if (!this.cache) return;
+
+    const isAddress = typeof addressOrPassportId === 'string' && ethers.utils.isAddress(addressOrPassportId);
+    if (isAddress) {
+      // Drop the cached address lookup first so the passport ID is resolved fresh
+      await this.cache.invalidateAddress(addressOrPassportId);
+    }
+
+    const passportId = isAddress ? await this.getPassportId(addressOrPassportId) : this._toNumeric(addressOrPassportId, 'passportId');
+    await this._invalidateCache({ passportIds: [passportId] });
+  }
+
+  /**
+   * Drop every cached read
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    this._ensureConnected();
+    if (this.cache) {
+      await this.cache.clear();
+    }
+  }
+
+  // =============================================================================
+  // AUTHENTICATION FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Build a Sign-In with Ethereum (EIP-4361) message for a wallet to sign
+   * @param {string} address - The wallet address signing in
+   * @param {Object} options - Message fields: domain and uri are required; nonce defaults to a new random nonce
+   * @returns {Object} - The message and its nonce (store the nonce to check it in signIn)
+   */
+  createSignInMessage(address, options = {}) {
+    const nonce = options.nonce || generateNonce();
+    const message = createSiweMessage({
+      chainId: this.network ? this.network.chainId : undefined,
+      ...options,
+      address,
+      nonce
+    });
+    return { message, nonce };
+  }
+
+  /**
+   * Verify a signed sign-in message and load the signer's Passly identity
+   * @param {string} message - The signed SIWE message
+   * @param {string} signature - The wallet's signature
+   * @param {Object} options - Expected domain and nonce, plus chainId, requirePassport, strengthModel and jwt options
+   * @returns {Promise<Object>} - Session with the address, passport, active verifications, strength and optional JWT
+   */
+  async signIn(message, signature, options = {}) {
+    return await signIn(this, message, signature, options);
+  }
+
+  // =============================================================================
+  // VERIFIABLE CREDENTIAL FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Export a passport's verifications as W3C Verifiable Credentials signed by the configured signer
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} [options] - platforms to include and includeInactive
+   * @returns {Promise<Object[]|null>} - One credential per verification, or null if no passport
+   */
+  async issueCredentials(addressOrPassportId, options = {}) {
+    return await issueCredentials(this, addressOrPassportId, options);
+  }
+
+  /**
+   * Export a passport's verifications as a Verifiable Presentation signed by the configured signer
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} [options] - Credential options plus challenge and domain
+   * @returns {Promise<Object|null>} - The presentation, or null if no passport
+   */
+  async createPresentation(addressOrPassportId, options = {}) {
+    return await createPresentation(this, addressOrPassportId, options);
+  }
+
+  /**
+   * Verify the signature of a credential or presentation, optionally re-checking it on-chain
+   * @param {Object} document - The credential or presentation
+   * @param {Object} options - trustedIssuers (required), checkOnChain, challenge and domain
+   * @returns {Promise<Object>} - Result with valid, the signer, and the reasons it is invalid
+   */
+  async verifyCredential(document, options = {}) {
+    return await verifyCredential(document, { ...options, sdk: this });
+  }
+
+  // =============================================================================
+  // ATTESTATION FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Sign an EIP-712 attestation of an address's passport fields at a block, using the configured signer as attester
+   * @param {string} address - The wallet address to attest
+   * @param {string[]} [fields] - Fields to include: passportId, platforms, category, verificationCount, totalPoints, createdAt, strength
+   * @param {Object} [options] - expiresIn (seconds), blockNumber and strengthModel
+   * @returns {Promise<Object>} - The signed attestation
+   */
+  async createAttestation(address, fields = DEFAULT_ATTESTATION_FIELDS, options = {}) {
+    return await createAttestation(this, address, fields, options);
+  }
+
+  /**
+   * Verify an attestation's signature, attester and expiry
+   * @param {Object} attestation - An attestation from createAttestation
+   * @param {string[]} trustedAttesters - Addresses whose attestations are accepted
+   * @param {Object} [options] - chainId, minBlockNumber and time
+   * @returns {Object} - Result with valid, the attester, the reasons it is invalid and the attested claims
+   */
+  verifyAttestation(attestation, trustedAttesters, options = {}) {
+    return verifyAttestation(attestation, trustedAttesters, options);
+  }
+
+  // =============================================================================
+  // SNAPSHOT FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Build a Merkle snapshot of passport holders for an airdrop or allowlist claim contract
+   * @param {Object} source - { leaderboard: { category, from, to } }, { indexer, filter, options } or { addresses }
+   * @param {Object} [options] - basis (points or strength), weight, strengthModel, blockNumber, includeZero and concurrency
+   * @returns {Promise<Object>} - The snapshot with its root, per-address amounts and proofs, in OpenZeppelin StandardMerkleTree format
+   */
+  async buildSnapshot(source, options = {}) {
+    return await buildSnapshot(this, source, options);
+  }
+
+  /**
+   * Verify a snapshot's tree and recompute its root from on-chain data at the snapshot block
+   * @param {Object|string} snapshot - A snapshot or its exported JSON
+   * @param {Object} [options] - The weight function the snapshot was built with, and concurrency
+   * @returns {Promise<Object>} - Result with valid, the published and recomputed roots, mismatched entries and reasons
+   */
+  async verifySnapshot(snapshot, options = {}) {
+    return await verifySnapshot(this, snapshot, options);
+  }
+
+  // =============================================================================
+  // SCREENING & ANALYSIS FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Screen many addresses against passport requirements (e.g. for allowlists and airdrops)
+   * @param {string[]} addresses - Wallet addresses to screen
+   * @param {Object} [criteria] - Requirements such as platforms, minPoints, minStrength or maxRank
+   * @param {Object} [options] - Concurrency, progress, checkpoint and abort options
+   * @returns {Promise<Object>} - Per-address pass/fail results with reasons, plus a summary
+   */
+  async screenAddresses(addresses, criteria = {}, options = {}) {
+    return await screenAddresses(this, addresses, criteria, options);
+  }
+
+  /**
+   * Find passports that share identifier history with a passport
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} [options] - Depth, platform and size limits for the graph
+   * @returns {Promise<Object>} - Linkage graph with edge reasons and timestamps
+   */
+  async getSybilLinks(addressOrPassportId, options = {}) {
+    return await buildSybilGraph(this, addressOrPassportId, options);
+  }
+
+  /**
+   * Evaluate a declarative gating policy for an address
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {Object} policy - JSON policy of all/any/not combinators and leaf clauses
+   * @param {Object} [options] - includePassport to load the complete passport even when no clause needs it
+   * @returns {Promise<Object>} - Pass/fail decision with the passport and an explanation tree
+   */
+  async evaluatePolicy(addressOrPassportId, policy, options = {}) {
+    return await evaluatePolicy(this, addressOrPassportId, policy, options);
+  }
+
+  // =============================================================================
+  // TRANSACTION FUNCTIONS (REQUIRE SIGNER)
+  // =============================================================================
+
+  /**
+   * Mint a new passport for the configured signer
+   * @param {string} category - The passport category (must be supported)
+   * @param {string} [referralCode] - Optional referral code to apply at creation
+   * @param {Object} [overrides] - Optional ethers transaction overrides
+   * @returns {Promise<Object>} - Transaction receipt including the new passport ID
+   */
+  async createPassport(category, referralCode = '', overrides = {}) {
+    this._ensureSigner();
+
+    const address = await this.config.signer.getAddress();
+    if (await this.hasPassport(address)) {
+      throw new Error(`Address ${address} already has a passport`);
+    }
+
+    if (!(await this.isCategorySupported(category))) {
+      throw new Error(`Unsupported category: ${category}`);
+    }
+
+    if (referralCode) {
+      if (!this.contracts.rewards) {
+        throw new ContractUnavailableError('rewards');
+      }
+      const validation = await this.validateReferralCode(referralCode);
+      if (!validation || !validation.isValid) {
+        throw new Error(`Invalid referral code: ${referralCode}`);
+      }
+    }
+
+    const receipt = await this._sendTransaction(
+      this.contracts.passly.createPassport(category, referralCode, overrides),
+      { action: 'createPassport', category, referralCode: referralCode || null }
+    );
+
+    return {
+      ...receipt,
+      passportId: await this.getPassportId(address)
+    };
+  }
+
+  /**
+   * Change the category of the signer's passport
+   * @param {string} category - The new category (must be supported)
+   * @param {Object} [overrides] - Optional ethers transaction overrides
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async setCategory(category, overrides = {}) {
+    this._ensureSigner();
+
+    const passportId = await this._resolveSignerPassportId();
+
+    if (!(await this.isCategorySupported(category))) {
+      throw new Error(`Unsupported category: ${category}`);
+    }
+
+    return await this._sendTransaction(
+      this.contracts.passly.setCategory(passportId, category, overrides),
+      { action: 'setCategory', passportId, category }
+    );
+  }
+
+  /**
+   * Apply a referral code to the signer's passport
+   * @param {string} referralCode - The referral code to apply
+   * @param {Object} [overrides] - Optional ethers transaction overrides
+   * @returns {Promise<Object>} - Transaction receipt including the referrer's passport ID
+   */
+  async applyReferralCode(referralCode, overrides = {}) {
+    this._ensureSigner();
+
+    if (!this.contracts.rewards) {
+      throw new ContractUnavailableError('rewards');
+    }
+
+    const passportId = await this._resolveSignerPassportId();
+    const validation = await this.validateReferralCode(referralCode);
+
+    if (!validation || !validation.isValid) {
+      throw new Error(`Invalid referral code: ${referralCode}`);
+    }
+
+    if (validation.ownerPassportId === passportId) {
+      throw new Error('Cannot apply your own referral code');
+    }
+
+    return await this._sendTransaction(
+      this.contracts.rewards.applyReferralCode(passportId, referralCode, overrides),
+      { action: 'applyReferralCode', passportId, referralCode, referrerPassportId: validation.ownerPassportId }
+    );
+  }
+
+  /**
+   * Revoke one of the signer's platform verifications
+   * @param {string} platform - The platform to revoke (e.g., "twitter")
+   * @param {Object} [overrides] - Optional ethers transaction overrides
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async revokeVerification(platform, overrides = {}) {
+    this._ensureSigner();
+
+    const passportId = await this._resolveSignerPassportId();
+    const normalizedPlatform = platform.toLowerCase();
+    const verifications = await this.getVerifications(passportId);
+
+    if (!verifications[normalizedPlatform] || !verifications[normalizedPlatform].active) {
+      throw new Error(`No active ${normalizedPlatform} verification to revoke`);
+    }
+
+    return await this._sendTransaction(
+      this.contracts.passly.revokeVerification(passportId, normalizedPlatform, overrides),
+      { action: 'revokeVerification', passportId, platform: normalizedPlatform }
+    );
+  }
+
   // =============================================================================
   // CONVENIENCE & UTILITY FUNCTIONS
   // =============================================================================
@@ -905,9 +1989,9 @@ async getPlatformIdentifier(address, platform) {
     if (!passport) return null;
 
     const [pointBreakdown, referralInfo, leaderboardData] = await Promise.all([
-      this.getPointBreakdown(address).catch(() => null),
-      this.getReferralInfo(address).catch(() => null),
-      this.getCompleteLeaderboardData(address).catch(() => null)
+      this.getPointBreakdown(address).catch(error => this._handleError(error, null)),
+      this.getReferralInfo(address).catch(error => this._handleError(error, null)),
+      this.getCompleteLeaderboardData(address).catch(error => this._handleError(error, null))
     ]);
 
     return {
@@ -919,70 +2003,58 @@ async getPlatformIdentifier(address, platform) {
   }
 
   /**
-   * Calculate verification strength score for a user (0-100)
-   * @param {string} address - The wallet address
+   * Calculate verification strength score for a user (0-100 with the default model)
+   * @param {string|number} addressOrPassportId - Wallet address or passport ID
+   * @param {string} [modelName='default'] - Name of a registered scoring model
    * @returns {Promise<Object|null>} - Verification strength data or null if no passport
    */
-  async getVerificationStrength(address) {
-    const passport = await this.getPassport(address);
-    if (!passport) return null;
+  async getVerificationStrength(addressOrPassportId, modelName = DEFAULT_SCORING_MODEL.name) {
+    const model = this.getScoringModel(modelName);
 
-    let score = 0;
-    let breakdown = {
-      platformCount: 0,
-      ageBonus: 0,
-      diversityBonus: 0,
-      pointsBonus: 0,
-      totalScore: 0
-    };
+    const passport = await this._loadPassport(addressOrPassportId).catch(error => this._handleError(error, null));
+    if (!passport) return null;
 
-    // Base score: 15 points per verified platform (max 75 points for 5+ platforms)
-    const activePlatforms = passport.platforms.filter(platform => 
-      passport.verifications[platform].active
-    );
-    breakdown.platformCount = Math.min(activePlatforms.length * 15, 75);
-    score += breakdown.platformCount;
+    return await calculateStrength(this, passport, model);
+  }
 
-    // Age bonus: up to 10 points based on passport age
-    const now = new Date();
-    const ageInDays = Math.floor((now - passport.createdAt) / (1000 * 60 * 60 * 24));
-    breakdown.ageBonus = Math.min(Math.floor(ageInDays / 30), 10);
-    score += breakdown.ageBonus;
+  /**
+   * Helper to calculate verification strength from already loaded passport data
+   * @private
+   */
+  async _calculateVerificationStrength(passport, modelName = DEFAULT_SCORING_MODEL.name) {
+    return await calculateStrength(this, passport, this.getScoringModel(modelName));
+  }
 
-    // Diversity bonus: 10 points if they have multiple platform types
-    const socialPlatforms = ['twitter', 'discord', 'telegram', 'instagram'];
-    const devPlatforms = ['github', 'gitlab'];
-    const chainPlatforms = ['solana', 'ethereum'];
-    
-    const types = [
-      activePlatforms.some(p => socialPlatforms.includes(p)),
-      activePlatforms.some(p => devPlatforms.includes(p)),
-      activePlatforms.some(p => chainPlatforms.includes(p))
-    ].filter(Boolean);
-    
-    if (types.length >= 2) {
-      breakdown.diversityBonus = 10;
-      score += 10;
-    }
+  /**
+   * Register a named scoring model for getVerificationStrength
+   * @param {Object} model - Model definition (see defineScoringModel); missing fields use the defaults
+   * @returns {Object} - The complete registered model
+   */
+  registerScoringModel(model) {
+    const definition = defineScoringModel(model);
+    this.scoringModels.set(definition.name, definition);
+    return definition;
+  }
 
-    // Points bonus: up to 5 points based on total points
-    if (passport.totalPoints > 0) {
-      breakdown.pointsBonus = Math.min(Math.floor(passport.totalPoints / 100), 5);
-      score += breakdown.pointsBonus;
+  /**
+   * Get a registered scoring model by name
+   * @param {string} [name='default'] - The model name
+   * @returns {Object} - The scoring model
+   */
+  getScoringModel(name = DEFAULT_SCORING_MODEL.name) {
+    const model = this.scoringModels.get(name);
+    if (!model) {
+      throw new Error(`Unknown scoring model: ${name}`);
     }
+    return model;
+  }
 
-    breakdown.totalScore = Math.min(score, 100);
-
-    return {
-      score: breakdown.totalScore,
-      grade: breakdown.totalScore >= 80 ? 'A' : 
-             breakdown.totalScore >= 60 ? 'B' : 
-             breakdown.totalScore >= 40 ? 'C' : 
-             breakdown.totalScore >= 20 ? 'D' : 'F',
-      breakdown,
-      activePlatforms: activePlatforms.length,
-      accountAge: ageInDays
-    };
+  /**
+   * Get the names of all registered scoring models
+   * @returns {string[]} - Registered model names
+   */
+  getScoringModelNames() {
+    return [...this.scoringModels.keys()];
   }
 
   /**
@@ -993,9 +2065,9 @@ async getPlatformIdentifier(address, platform) {
     this._ensureConnected();
     
     const [supportedPlatforms, supportedCategories, leaderboardCategories] = await Promise.all([
-      this.getSupportedPlatforms().catch(() => []),
-      this.getSupportedCategories().catch(() => []),
-      this.getLeaderboardCategories().catch(() => [])
+      this.getSupportedPlatforms().catch(error => this._handleError(error, [])),
+      this.getSupportedCategories().catch(error => this._handleError(error, [])),
+      this.getLeaderboardCategories().catch(error => this._handleError(error, []))
     ]);
 
     let pointConfig = null;
@@ -1003,12 +2075,13 @@ async getPlatformIdentifier(address, platform) {
       try {
         const [dailyHolding, referral, referee] = await this.contracts.rewards.getPointConfig();
         pointConfig = {
-          dailyHolding: dailyHolding.toNumber(),
-          referral: referral.toNumber(),
-          referee: referee.toNumber()
+          dailyHolding: this._toNumeric(dailyHolding, 'dailyHolding'),
+          referral: this._toNumeric(referral, 'referral'),
+          referee: this._toNumeric(referee, 'referee')
         };
       } catch (error) {
         // Ignore if not available
+        this._handleError(error, null);
       }
     }
 
@@ -1017,6 +2090,10 @@ async getPlatformIdentifier(address, platform) {
       supportedCategories,
       leaderboardCategories,
       pointConfig,
+      network: {
+        name: this.network.name,
+        chainId: this.network.chainId
+      },
       contracts: {
         passly: this.config.addresses.passly,
         platforms: this.config.addresses.platforms || null,
@@ -1055,33 +2132,73 @@ async getAllProofHashes(address) {
   
   try {
     const passportId = await this.getPassportId(address);
-    if (!passportId) return null;
+    if (!passportId) throw new PassportNotFoundError(address);
     
     const platforms = await this.contracts.passly.getVerifiedPlatforms(passportId);
     const proofHashes = {};
     
-    for (const platform of platforms) {
-      try {
-        const [, , proofHash, active] = await this.contracts.passly.getVerification(
-          passportId, 
-          platform
-        );
-        
-        // Only include active verifications
-        if (active) {
-          proofHashes[platform] = proofHash;
-        }
-      } catch (error) {
+    // Fetch every platform in parallel so the reads share a multicall batch
+    const results = await Promise.all(platforms.map(platform =>
+      this.contracts.passly.getVerification(passportId, platform).catch(error => {
+        if (this.config.strict) throw toPasslyError(error);
         // Skip platforms that fail to load
         console.warn(`Failed to load proof hash for platform ${platform}:`, error.message);
+        return null;
+      })
+    ));
+    
+    platforms.forEach((platform, index) => {
+      if (!results[index]) return;
+      
+      // Only include active verifications
+      const [, , proofHash, active] = results[index];
+      if (active) {
+        proofHashes[platform] = proofHash;
       }
-    }
+    });
     
     return Object.keys(proofHashes).length > 0 ? proofHashes : null;
   } catch (error) {
-    return null;
+    return this._handleError(error, null);
   }
 }
 }
 
-export default PasslySDK;
\ No newline at end of file
+export {
+  PasslyError,
+  PassportNotFoundError,
+  ContractUnavailableError,
+  NetworkMismatchError,
+  NumericOverflowError,
+  SignInError,
+  RpcError,
+  ContractRevertError,
+  DecodeError
+} from './errors.js';
+export { NETWORKS, defineNetwork } from './networks.js';
+export { NUMERIC_MODES } from './numbers.js';
+export { ResilientProvider } from './provider.js';
+export { CacheManager, MemoryCache, LruCache, DEFAULT_CACHE_TTLS } from './cache.js';
+export { PasslyEventFeed, EVENT_TYPES } from './events.js';
+export { PasslyIndexer, MemoryStore, JsonFileStore } from './indexer.js';
+export { validatePolicy } from './policy.js';
+export { punishmentApplies } from './dependencies.js';
+export {
+  generateNonce,
+  createSiweMessage,
+  parseSiweMessage,
+  verifySiweMessage,
+  signSessionToken,
+  verifySessionToken
+} from './auth.js';
+export { verifyCredential, toDidPkh, CREDENTIAL_CONTEXTS, CREDENTIAL_TYPE } from './credentials.js';
+export { verifyAttestation, ATTESTATION_FIELDS, DEFAULT_ATTESTATION_FIELDS } from './attestations.js';
+export { exportSnapshot, getSnapshotProof, verifySnapshotProof, SNAPSHOT_FORMAT } from './snapshot.js';
+export { createGate, expressGate, fastifyGate, koaGate, getSharedSdk, requirementsToPolicy } from './middleware.js';
+export {
+  DEFAULT_SCORING_MODEL,
+  defineScoringModel,
+  revocationPenaltyFactor,
+  referralBonusFactor
+} from './scoring.js';
+export default PasslySDK;
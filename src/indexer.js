@@ -0,0 +1,418 @@
+import { normalizeLog } from './events.js';
+import { addNumeric, compareNumeric, toNumeric } from './numbers.js';
+
+/**
+ * Local indexer that rebuilds Passly state from contract logs
+ *
+ * The contract views only answer questions about one passport at a time. The
+ * indexer replays the Passly, Archives, Rewards and Leaderboard events from a
+ * start block into a store, so that questions across all passports ("every
+ * developer with github verified") can be answered locally.
+ *
+ * Stores implement a small async interface:
+ *   getCheckpoint() / setCheckpoint(blockNumber)
+ *   getPassport(passportId) / putPassport(record)
+ *   listPassports()
+ * The checkpoint is only advanced after every record touched by a block range
+ * has been written, so an interrupted sync resumes without gaps.
+ */
+
+/**
+ * In-memory store. State is lost when the process exits.
+ */
+export class MemoryStore {
+  constructor() {
+    this.passports = new Map();
+    this.checkpoint = null;
+  }
+
+  async getCheckpoint() {
+    return this.checkpoint;
+  }
+
+  async setCheckpoint(blockNumber) {
+    this.checkpoint = blockNumber;
+  }
+
+  async getPassport(passportId) {
+    return this.passports.get(String(passportId)) || null;
+  }
+
+  async putPassport(record) {
+    this.passports.set(String(record.passportId), record);
+  }
+
+  async listPassports() {
+    return [...this.passports.values()];
+  }
+}
+
+/**
+ * Store persisted to a JSON file. The file is rewritten on every checkpoint.
+ * Node.js only; `fs` is loaded lazily so browser bundles are unaffected.
+ */
+export class JsonFileStore extends MemoryStore {
+  /**
+   * @param {string} path - Path of the JSON file
+   */
+  constructor(path) {
+    super();
+    this.path = path;
+    this.loaded = null;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = import('fs').then(({ promises }) => {
+        this.fs = promises;
+        return promises.readFile(this.path, 'utf8');
+      }).then(contents => {
+        const state = JSON.parse(contents);
+        this.checkpoint = state.checkpoint;
+        this.passports = new Map(state.passports.map(record => [String(record.passportId), record]));
+      }).catch(error => {
+        // A missing file just means nothing has been indexed yet
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  async getCheckpoint() {
+    await this._load();
+    return super.getCheckpoint();
+  }
+
+  async setCheckpoint(blockNumber) {
+    await this._load();
+    await super.setCheckpoint(blockNumber);
+
+    // Write to a temporary file first so a crash never leaves a truncated store.
+    // BigInt values are written as strings and converted back by the indexer.
+    const contents = JSON.stringify(
+      { checkpoint: this.checkpoint, passports: [...this.passports.values()] },
+      (key, value) => typeof value === 'bigint' ? value.toString() : value
+    );
+    await this.fs.writeFile(`${this.path}.tmp`, contents);
+    await this.fs.rename(`${this.path}.tmp`, this.path);
+  }
+
+  async getPassport(passportId) {
+    await this._load();
+    return super.getPassport(passportId);
+  }
+
+  async putPassport(record) {
+    await this._load();
+    return super.putPassport(record);
+  }
+
+  async listPassports() {
+    await this._load();
+    return super.listPassports();
+  }
+}
+
+/**
+ * Create an empty passport record
+ * @private
+ */
+function emptyRecord(passportId, numeric) {
+  return {
+    passportId,
+    owner: null,
+    category: null,
+    createdAtBlock: null,
+    verifications: {},
+    identifierHistory: {},
+    points: toNumeric(0, numeric),
+    referredBy: null,
+    referrals: [],
+    rank: null,
+    previousRank: null,
+    score: null,
+    updatedAtBlock: null
+  };
+}
+
+/**
+ * Convert the integers of a stored record to the SDK's numeric mode.
+ * Stores may hand back records written in another mode (or as JSON strings).
+ * @private
+ */
+function convertRecord(record, numeric) {
+  if (!record) return null;
+
+  const convert = (value, field) => value === null ? null : toNumeric(value, numeric, field);
+  return {
+    ...record,
+    passportId: convert(record.passportId, 'passportId'),
+    points: convert(record.points, 'points'),
+    referredBy: convert(record.referredBy, 'referredBy'),
+    referrals: record.referrals.map(passportId => convert(passportId, 'passportId')),
+    rank: convert(record.rank, 'rank'),
+    previousRank: convert(record.previousRank, 'previousRank'),
+    score: convert(record.score, 'score')
+  };
+}
+
+/**
+ * Whether a record holds a leaderboard rank (rank 0 means not ranked)
+ * @private
+ */
+function isRanked(record) {
+  return record.rank !== null && BigInt(record.rank) > 0n;
+}
+
+/**
+ * Replays Passly events into a store and answers queries across passports
+ */
+export class PasslyIndexer {
+  /**
+   * @param {PasslySDK} sdk - A connected SDK instance
+   * @param {Object} [options] - Indexer options
+   * @param {Object} [options.store] - Store instance (defaults to a MemoryStore)
+   * @param {number} [options.startBlock=0] - Block to start from when the store has no checkpoint
+   * @param {number} [options.batchSize=2000] - Blocks fetched per getLogs call
+   * @param {number} [options.confirmations=0] - Blocks to stay behind the chain head to avoid reorgs
+   * @param {Function} [options.onProgress] - Called with { fromBlock, toBlock, targetBlock, events } after each batch
+   */
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.store = options.store || new MemoryStore();
+    this.startBlock = options.startBlock || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.confirmations = options.confirmations || 0;
+    this.onProgress = options.onProgress;
+    this.numeric = sdk.numeric || 'number';
+  }
+
+  /**
+   * Index every block from the last checkpoint up to the chain head (or toBlock)
+   * @param {Object} [options] - Sync options
+   * @param {number} [options.toBlock] - Last block to index
+   * @returns {Promise<Object>} - The new checkpoint and number of events applied
+   */
+  async sync(options = {}) {
+    const provider = this.sdk.config.provider;
+    const latest = await provider.getBlockNumber();
+    const targetBlock = Math.min(
+      options.toBlock === undefined ? Infinity : options.toBlock,
+      latest - this.confirmations
+    );
+
+    const checkpoint = await this.store.getCheckpoint();
+    let fromBlock = checkpoint === null ? this.startBlock : checkpoint + 1;
+    let applied = 0;
+
+    while (fromBlock <= targetBlock) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, targetBlock);
+      const events = await this._fetchEvents(fromBlock, toBlock);
+
+      const touched = new Map();
+      for (const event of events) {
+        await this._apply(event, touched);
+      }
+
+      for (const record of touched.values()) {
+        await this.store.putPassport(record);
+      }
+      await this.store.setCheckpoint(toBlock);
+
+      applied += events.length;
+      if (this.onProgress) {
+        this.onProgress({ fromBlock, toBlock, targetBlock, events: events.length });
+      }
+
+      fromBlock = toBlock + 1;
+    }
+
+    return {
+      checkpoint: await this.store.getCheckpoint(),
+      events: applied
+    };
+  }
+
+  /**
+   * Fetch and normalise the events of every Passly contract in a block range
+   * @private
+   */
+  async _fetchEvents(fromBlock, toBlock) {
+    const provider = this.sdk.config.provider;
+    const contracts = ['passly', 'archives', 'rewards', 'leaderboard']
+      .map(name => this.sdk.contracts[name])
+      .filter(Boolean);
+
+    const results = await Promise.all(contracts.map(async contract => {
+      const logs = await provider.getLogs({ address: contract.address, fromBlock, toBlock });
+      return logs.map(log => normalizeLog(contract, log, this.numeric)).filter(Boolean);
+    }));
+
+    return results
+      .flat()
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Apply one event to the passport records it touches
+   * @private
+   */
+  async _apply(event, touched) {
+    const load = async passportId => {
+      const key = String(passportId);
+      if (!touched.has(key)) {
+        const stored = convertRecord(await this.store.getPassport(passportId), this.numeric);
+        touched.set(key, stored || emptyRecord(passportId, this.numeric));
+      }
+      return touched.get(key);
+    };
+
+    const record = await load(event.passportId);
+    const { data } = event;
+    record.updatedAtBlock = event.blockNumber;
+
+    switch (event.type) {
+      case 'passportCreated':
+        record.owner = data.owner;
+        record.category = data.category;
+        record.createdAtBlock = event.blockNumber;
+        break;
+
+      case 'verificationAdded':
+        record.verifications[data.platform] = {
+          identifier: data.identifier,
+          proofHash: data.proofHash,
+          active: true,
+          verifiedAtBlock: event.blockNumber,
+          revokedAtBlock: null,
+          revokeReason: null
+        };
+        record.identifierHistory[data.platform] = [
+          ...new Set([...(record.identifierHistory[data.platform] || []), data.identifier])
+        ];
+        break;
+
+      case 'verificationRevoked':
+        if (record.verifications[data.platform]) {
+          record.verifications[data.platform].active = false;
+          record.verifications[data.platform].revokedAtBlock = event.blockNumber;
+          record.verifications[data.platform].revokeReason = data.reason;
+        }
+        break;
+
+      case 'verificationArchived':
+        record.identifierHistory[data.platform] = [
+          ...new Set([...(record.identifierHistory[data.platform] || []), data.identifier])
+        ];
+        break;
+
+      case 'passportTransferred':
+        record.owner = data.to;
+        break;
+
+      case 'categoryChanged':
+        record.category = data.category;
+        break;
+
+      case 'pointsChanged':
+        record.points = addNumeric(record.points, data.delta, this.numeric, 'points');
+        break;
+
+      case 'referralApplied': {
+        record.referredBy = data.referrerPassportId;
+        const referrer = await load(data.referrerPassportId);
+        if (!referrer.referrals.includes(event.passportId)) {
+          referrer.referrals.push(event.passportId);
+        }
+        break;
+      }
+
+      case 'rankChanged':
+        record.previousRank = data.previousRank;
+        record.rank = data.rank;
+        record.score = data.score;
+        break;
+    }
+  }
+
+  /**
+   * Get the indexed record of a passport
+   * @param {number|bigint|string} passportId - The passport ID
+   * @returns {Promise<Object|null>} - The indexed record or null if unknown
+   */
+  async getPassport(passportId) {
+    return convertRecord(await this.store.getPassport(passportId), this.numeric);
+  }
+
+  /**
+   * Query indexed passports
+   * @param {Object} [filter] - Conditions every returned passport must meet
+   * @param {string[]} [filter.platforms] - Platforms that must all be actively verified
+   * @param {string[]} [filter.anyPlatforms] - Platforms of which at least one must be actively verified
+   * @param {string|string[]} [filter.category] - Allowed categories
+   * @param {string} [filter.owner] - Owner address
+   * @param {number} [filter.minPoints] - Minimum indexed points
+   * @param {number} [filter.maxRank] - Worst acceptable global rank (unranked passports are excluded)
+   * @param {Object} [options] - Result options
+   * @param {string} [options.sortBy='passportId'] - One of passportId, points, rank
+   * @param {number} [options.offset=0] - Results to skip
+   * @param {number} [options.limit] - Maximum results to return
+   * @returns {Promise<Object[]>} - Matching passport records
+   */
+  async query(filter = {}, options = {}) {
+    const categories = filter.category === undefined
+      ? null
+      : Array.isArray(filter.category) ? filter.category : [filter.category];
+    const isActive = (record, platform) =>
+      record.verifications[platform] && record.verifications[platform].active;
+
+    const records = (await this.store.listPassports()).map(record => convertRecord(record, this.numeric));
+    const matches = records.filter(record => {
+      if (filter.platforms && !filter.platforms.every(platform => isActive(record, platform.toLowerCase()))) return false;
+      if (filter.anyPlatforms && !filter.anyPlatforms.some(platform => isActive(record, platform.toLowerCase()))) return false;
+      if (categories && !categories.includes(record.category)) return false;
+      if (filter.owner && (!record.owner || record.owner.toLowerCase() !== filter.owner.toLowerCase())) return false;
+      if (filter.minPoints !== undefined && compareNumeric(record.points, filter.minPoints) < 0) return false;
+      if (filter.maxRank !== undefined && (!isRanked(record) || compareNumeric(record.rank, filter.maxRank) > 0)) return false;
+      return true;
+    });
+
+    const sortBy = options.sortBy || 'passportId';
+    const comparators = {
+      passportId: (a, b) => compareNumeric(a.passportId, b.passportId),
+      points: (a, b) => compareNumeric(b.points, a.points),
+      // Unranked passports sort last
+      rank: (a, b) => isRanked(b) - isRanked(a) || (isRanked(a) ? compareNumeric(a.rank, b.rank) : 0)
+    };
+    if (!comparators[sortBy]) {
+      throw new Error(`Unknown sort field: ${sortBy}`);
+    }
+    matches.sort(comparators[sortBy]);
+
+    const offset = options.offset || 0;
+    return matches.slice(offset, options.limit === undefined ? undefined : offset + options.limit);
+  }
+
+  /**
+   * Find passports that currently or previously verified an identifier
+   * @param {string} platform - The platform name
+   * @param {string} identifier - The account identifier
+   * @returns {Promise<Object[]>} - Matching records with whether the verification is still active
+   */
+  async findByIdentifier(platform, identifier) {
+    const records = (await this.store.listPassports()).map(record => convertRecord(record, this.numeric));
+
+    return records
+      .filter(record => (record.identifierHistory[platform] || []).includes(identifier))
+      .map(record => ({
+        passportId: record.passportId,
+        owner: record.owner,
+        active: !!(record.verifications[platform] &&
+          record.verifications[platform].active &&
+          record.verifications[platform].identifier === identifier)
+      }));
+  }
+}
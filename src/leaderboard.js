@@ -0,0 +1,228 @@
+import { ContractUnavailableError } from './errors.js';
+import { compareNumeric, toNumeric } from './numbers.js';
+
+/**
+ * Leaderboard paging, windows and rank movements
+ *
+ * The Leaderboard contract only returns the top N entries, so a page at
+ * offset O is read as the top O + size entries. The async iterator grows its
+ * window geometrically instead (up to maxPageSize entries), so walking a
+ * board of N entries transfers about 2N entries rather than N^2 / size.
+ *
+ * Boards can change between reads. Entries already yielded are skipped by
+ * passport ID but still advance the offset, so a passport that climbs from
+ * below the offset to above it between two reads is not yielded.
+ *
+ * A `category` of undefined or "global" means the global leaderboard.
+ */
+
+const DEFAULT_MAX_PAGE_SIZE = 1000;
+
+/**
+ * @private
+ */
+function isGlobal(category) {
+  return category === undefined || category === null || category === 'global';
+}
+
+/**
+ * @private
+ */
+function ensureLeaderboard(sdk) {
+  sdk._ensureConnected();
+  if (!sdk.contracts.leaderboard) {
+    throw new ContractUnavailableError('leaderboard');
+  }
+}
+
+/**
+ * Read the top `count` entries of a board
+ * @private
+ */
+async function readTop(sdk, category, count) {
+  const entries = isGlobal(category)
+    ? await sdk.contracts.leaderboard.getTopEntries(count)
+    : await sdk.contracts.leaderboard.getTopEntriesByCategory(category, count);
+  return entries.map(entry => sdk._formatLeaderboardEntry(entry));
+}
+
+/**
+ * Number of entries on a board, capped by its maxEntries
+ * @private
+ */
+async function boardSize(sdk, category) {
+  const [totalEntries, , maxEntries] = await sdk.contracts.leaderboard.getLeaderboardStats(isGlobal(category) ? 'global' : category);
+  const size = maxEntries.isZero() || totalEntries.lt(maxEntries) ? totalEntries : maxEntries;
+  return toNumeric(size, 'number', 'totalEntries');
+}
+
+/**
+ * @private
+ */
+function encodeCursor(category, offset) {
+  return `${isGlobal(category) ? 'global' : category}:${offset}`;
+}
+
+/**
+ * @private
+ */
+function decodeCursor(cursor, category) {
+  const separator = cursor.lastIndexOf(':');
+  const board = cursor.slice(0, separator);
+  const offset = Number(cursor.slice(separator + 1));
+
+  if (separator < 0 || !Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid leaderboard cursor: ${cursor}`);
+  }
+  if (board !== (isGlobal(category) ? 'global' : category)) {
+    throw new Error(`Cursor ${cursor} belongs to the ${board} leaderboard`);
+  }
+  return offset;
+}
+
+/**
+ * Get one page of a leaderboard
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {Object} [options] - Page options
+ * @param {string} [options.category] - Category name (global leaderboard when omitted)
+ * @param {number} [options.pageSize=50] - Entries per page
+ * @param {string} [options.cursor] - Cursor from a previous page's nextCursor
+ * @returns {Promise<Object>} - { entries, nextCursor, total }; nextCursor is null on the last page
+ */
+export async function getLeaderboardPage(sdk, options = {}) {
+  ensureLeaderboard(sdk);
+
+  const pageSize = options.pageSize || 50;
+  const offset = options.cursor ? decodeCursor(options.cursor, options.category) : 0;
+  const total = await boardSize(sdk, options.category);
+
+  const end = Math.min(offset + pageSize, total);
+  const entries = end > offset ? (await readTop(sdk, options.category, end)).slice(offset) : [];
+
+  return {
+    entries,
+    nextCursor: offset + entries.length < total && entries.length > 0 ? encodeCursor(options.category, offset + entries.length) : null,
+    total
+  };
+}
+
+/**
+ * Iterate over every entry of a leaderboard, in rank order
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {Object} [options] - Iteration options
+ * @param {string} [options.category] - Category name (global leaderboard when omitted)
+ * @param {number} [options.pageSize=50] - Size of the first read; later reads double it
+ * @param {number} [options.maxPageSize=1000] - Most new entries requested in one read
+ * @param {string} [options.cursor] - Start after the position of a page cursor
+ * @param {number} [options.limit] - Stop after this many entries
+ * @returns {AsyncGenerator<Object>} - Leaderboard entries; a passport that moves up past the
+ *   offset between two reads is missed
+ */
+export async function* iterateLeaderboard(sdk, options = {}) {
+  ensureLeaderboard(sdk);
+
+  const total = await boardSize(sdk, options.category);
+  let offset = options.cursor ? decodeCursor(options.cursor, options.category) : 0;
+  const stop = options.limit === undefined ? total : Math.min(total, offset + options.limit);
+  const maxPageSize = options.maxPageSize || DEFAULT_MAX_PAGE_SIZE;
+  let window = Math.min(Math.max(options.pageSize || 50, offset), maxPageSize);
+  const seen = new Set();
+
+  while (offset < stop) {
+    const end = Math.min(offset + window, stop);
+    const entries = (await readTop(sdk, options.category, end)).slice(offset);
+    if (entries.length === 0) return;
+
+    // Duplicates still count towards the offset: the board shifted under the read
+    for (const entry of entries) {
+      const key = String(entry.passportId);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      yield entry;
+    }
+
+    offset += entries.length;
+    window = Math.min(window * 2, maxPageSize);
+  }
+}
+
+/**
+ * Get the entries ranked just above and below a passport
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object} [options] - Window options
+ * @param {string} [options.category] - Category name (global leaderboard when omitted)
+ * @param {number} [options.radius=5] - Entries on each side
+ * @returns {Promise<Object|null>} - { passportId, rank, entry, above, below }, or null if the passport is not ranked
+ */
+export async function getLeaderboardNeighbours(sdk, addressOrPassportId, options = {}) {
+  ensureLeaderboard(sdk);
+
+  const radius = options.radius === undefined ? 5 : options.radius;
+  const passportId = await sdk._resolvePassportId(addressOrPassportId);
+  const rank = isGlobal(options.category)
+    ? await sdk.contracts.leaderboard.getPassportRank(passportId)
+    : await sdk.contracts.leaderboard.getPassportRankByCategory(passportId, options.category);
+  if (rank.isZero()) return null;
+
+  const position = toNumeric(rank, 'number', 'rank') - 1;
+  const entries = await readTop(sdk, options.category, position + radius + 1);
+  const index = entries.findIndex(entry => String(entry.passportId) === String(passportId));
+  // The board may have moved since the rank was read; fall back to the rank's position
+  const at = index >= 0 ? index : position;
+
+  return {
+    passportId,
+    rank: sdk._toNumeric(rank, 'rank'),
+    entry: entries[at] || null,
+    above: entries.slice(Math.max(0, at - radius), at),
+    below: entries.slice(at + 1, at + 1 + radius)
+  };
+}
+
+/**
+ * Report the biggest rank climbers and fallers since the previous ranking
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {Object} [options] - Report options
+ * @param {string} [options.category] - Category name (global leaderboard when omitted)
+ * @param {number} [options.count=10] - Climbers and fallers to list
+ * @param {number} [options.scan] - Entries to scan from the top (the whole board by default)
+ * @returns {Promise<Object>} - { category, scanned, climbers, fallers, newEntries }
+ */
+export async function getRankMovements(sdk, options = {}) {
+  ensureLeaderboard(sdk);
+
+  const count = options.count || 10;
+  const entries = [];
+  for await (const entry of iterateLeaderboard(sdk, { category: options.category, limit: options.scan })) {
+    entries.push(entry);
+  }
+
+  const moved = [];
+  const newEntries = [];
+  for (const entry of entries) {
+    if (Number(entry.previousRank) === 0) {
+      newEntries.push(entry);
+      continue;
+    }
+    // Positive when the passport climbed (its rank number went down)
+    const movement = BigInt(entry.previousRank) - BigInt(entry.rank);
+    if (movement !== 0n) {
+      moved.push({ ...entry, movement: toNumeric(movement, sdk.numeric, 'movement') });
+    }
+  }
+
+  return {
+    category: isGlobal(options.category) ? 'global' : options.category,
+    scanned: entries.length,
+    climbers: moved
+      .filter(entry => BigInt(entry.movement) > 0n)
+      .sort((a, b) => compareNumeric(b.movement, a.movement) || compareNumeric(a.rank, b.rank))
+      .slice(0, count),
+    fallers: moved
+      .filter(entry => BigInt(entry.movement) < 0n)
+      .sort((a, b) => compareNumeric(a.movement, b.movement) || compareNumeric(a.rank, b.rank))
+      .slice(0, count),
+    newEntries
+  };
+}
@@ -0,0 +1,305 @@
+import { ethers } from 'ethers';
+import PasslySDK from './index.js';
+import { RpcError } from './errors.js';
+import { validatePolicy } from './policy.js';
+import { verifySiweMessage } from './auth.js';
+
+/**
+ * HTTP middleware that gates routes on passport requirements
+ *
+ * A gate resolves the requester's wallet address, evaluates the route's
+ * requirements as a policy (see policy.js) and either attaches the passport
+ * to the request or answers with a structured 403 listing the unmet clauses.
+ * Reads are strict, so an RPC outage answers 503 instead of being mistaken
+ * for a missing passport.
+ * The framework adapters only translate between the gate and Express,
+ * Fastify or Koa. Gates given the same `sdk` (or the same `config` object)
+ * share one connected SDK and its read cache.
+ *
+ * Addresses are read from, in order of `addressFrom`:
+ *   session - `session.address` or `session.siwe.address`
+ *   siwe    - a signed SIWE message in the `x-siwe-message` (base64) and
+ *             `x-siwe-signature` headers. A signature alone can be replayed,
+ *             so the gate must be given the expected `domain` and a
+ *             `verifyNonce` callback backed by server state, and messages
+ *             without an expiration time are only accepted for `maxAge`
+ *             seconds after they were issued. Off by default.
+ *   header  - the `x-wallet-address` header. Not authenticated: only enable
+ *             it behind a proxy that sets the header itself.
+ */
+
+export const DEFAULT_ADDRESS_SOURCES = ['session'];
+
+const DEFAULT_SIWE_MAX_AGE = 300;
+
+// Shorthand requirement names and the policy clause each one becomes
+const REQUIREMENT_CLAUSES = {
+  platforms: platforms => platforms.map(platform => ({ platform })),
+  anyPlatforms: platforms => [{ any: platforms.map(platform => ({ platform })) }],
+  category: category => [{ category }],
+  categories: categories => [{ category: categories }],
+  minVerifications: min => [{ verificationCount: { min } }],
+  minAccountAgeDays: min => [{ accountAgeDays: { min } }],
+  minPoints: min => [{ points: { min } }],
+  maxRank: max => [{ globalRank: { max } }]
+};
+
+const DEFAULT_CONFIG = {};
+const sharedSdks = new WeakMap();
+
+/**
+ * Build a policy from shorthand requirements such as { platforms, minStrength, category }
+ * @param {Object} requirements - Shorthand requirements
+ * @returns {Object} - An `all` policy with one clause per requirement (empty requirements only require a passport)
+ */
+export function requirementsToPolicy(requirements = {}) {
+  const clauses = [];
+
+  for (const [name, value] of Object.entries(requirements)) {
+    if (value === undefined || name === 'strengthModel') continue;
+
+    if (name === 'minStrength') {
+      clauses.push({ strength: { min: value, model: requirements.strengthModel } });
+    } else if (name === 'minGrade') {
+      clauses.push({ strengthGrade: { min: value, model: requirements.strengthModel } });
+    } else if (REQUIREMENT_CLAUSES[name]) {
+      clauses.push(...REQUIREMENT_CLAUSES[name](value));
+    } else {
+      throw new Error(`Unknown requirement: ${name}`);
+    }
+  }
+
+  return { all: clauses };
+}
+
+/**
+ * Get a connected SDK shared by every gate created with the same config object, with caching on by default
+ * @param {Object} [config] - PasslySDK config
+ * @returns {Promise<PasslySDK>} - The connected SDK
+ */
+export function getSharedSdk(config = DEFAULT_CONFIG) {
+  if (!sharedSdks.has(config)) {
+    const connecting = new PasslySDK({ cache: true, ...config }).connect();
+    // A failed connection is retried by the next request instead of being kept
+    connecting.catch(() => sharedSdks.delete(config));
+    sharedSdks.set(config, connecting);
+  }
+  return sharedSdks.get(config);
+}
+
+/**
+ * Read a header from a Node.js-style headers object
+ * @private
+ */
+function readHeader(headers, name) {
+  const value = headers && headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Get the address a SIWE message signs in, if the message is signed by that address,
+ * issued for this domain, still fresh and carries a nonce this server issued
+ * @private
+ */
+async function verifySiweHeaders(headers, options) {
+  const encoded = readHeader(headers, 'x-siwe-message');
+  const signature = readHeader(headers, 'x-siwe-signature');
+  if (!encoded || !signature) return null;
+
+  let fields;
+  try {
+    const message = Buffer.from(encoded, 'base64').toString('utf8');
+    fields = verifySiweMessage(message, signature, { domain: options.domain });
+  } catch (error) {
+    return null;
+  }
+
+  const maxAge = options.maxAge === undefined ? DEFAULT_SIWE_MAX_AGE : options.maxAge;
+  if (!fields.expirationTime && Date.parse(fields.issuedAt) + maxAge * 1000 <= Date.now()) {
+    return null;
+  }
+  if (!(await options.verifyNonce(fields.nonce, fields))) {
+    return null;
+  }
+  return fields.address;
+}
+
+/**
+ * Resolve the requester's address from the configured sources
+ * @private
+ */
+async function resolveAddress(request, sources, options) {
+  for (const source of sources) {
+    let address = null;
+
+    if (source === 'session' && request.session) {
+      address = request.session.address || (request.session.siwe && request.session.siwe.address);
+    } else if (source === 'siwe') {
+      address = await verifySiweHeaders(request.headers, options);
+    } else if (source === 'header') {
+      address = readHeader(request.headers, options.header || 'x-wallet-address');
+    }
+
+    if (address && ethers.utils.isAddress(address)) {
+      return ethers.utils.getAddress(address);
+    }
+  }
+  return null;
+}
+
+/**
+ * Make a response body safe for JSON serialisation (bigint IDs and points become strings)
+ * @private
+ */
+function toJsonSafe(value) {
+  return JSON.parse(JSON.stringify(value, (key, nested) => typeof nested === 'bigint' ? nested.toString() : nested));
+}
+
+/**
+ * Create a framework-independent passport gate
+ * @param {Object} [options] - Gate options
+ * @param {PasslySDK|Promise<PasslySDK>} [options.sdk] - Connected SDK to use (defaults to the shared SDK for options.config)
+ * @param {Object} [options.config] - Config of the shared SDK when no sdk is given
+ * @param {Object} [options.requirements] - Shorthand requirements: platforms, anyPlatforms, category, categories, minVerifications, minAccountAgeDays, minStrength, minGrade, strengthModel, minPoints, maxRank
+ * @param {Object} [options.policy] - Full policy; combined with the requirements when both are given
+ * @param {string[]} [options.addressFrom=['session']] - Address sources in order: session, siwe, header
+ * @param {string} [options.header='x-wallet-address'] - Header read by the header source
+ * @param {string} [options.domain] - Domain SIWE header messages must be issued for (required by the siwe source)
+ * @param {Function} [options.verifyNonce] - (nonce, fields) => boolean, whether this server issued the nonce of a SIWE header message (required by the siwe source)
+ * @param {number} [options.maxAge=300] - Seconds a SIWE header message without an expiration time is accepted after it was issued
+ * @param {Function} [options.getAddress] - Custom resolver (request) => address, used instead of addressFrom
+ * @returns {Object} - Gate with a check(request) method
+ */
+export function createGate(options = {}) {
+  const policies = [];
+  if (options.requirements) policies.push(requirementsToPolicy(options.requirements));
+  if (options.policy) policies.push(options.policy);
+  const policy = policies.length === 1 ? policies[0] : { all: policies };
+  validatePolicy(policy);
+
+  const sources = options.addressFrom || DEFAULT_ADDRESS_SOURCES;
+  if (!options.getAddress && sources.includes('siwe')) {
+    if (!options.domain) {
+      throw new Error('The siwe address source needs the domain messages must be issued for');
+    }
+    if (typeof options.verifyNonce !== 'function') {
+      throw new Error('The siwe address source needs a verifyNonce callback to reject replayed messages');
+    }
+  }
+
+  return {
+    policy,
+
+    /**
+     * Check a request against the gate's requirements
+     * @param {Object} request - Object with `headers` and optionally `session`
+     * @returns {Promise<Object>} - { allowed, address, passport, decision } or { allowed: false, status, body }
+     * @throws {PasslyError} - When a read fails for another reason than the RPC being unavailable
+     */
+    async check(request) {
+      const address = options.getAddress
+        ? await options.getAddress(request)
+        : await resolveAddress(request, sources, options);
+
+      if (!address) {
+        return {
+          allowed: false,
+          status: 401,
+          body: { error: 'address_required', message: 'Sign in with a wallet to access this resource' }
+        };
+      }
+
+      const sdk = (await (options.sdk || getSharedSdk(options.config)))._strictView();
+      let decision;
+      try {
+        // The passport is attached to the request, so load it whatever the policy reads
+        decision = await sdk.evaluatePolicy(address, policy, { includePassport: true });
+      } catch (error) {
+        if (!(error instanceof RpcError)) throw error;
+        return {
+          allowed: false,
+          status: 503,
+          address,
+          error,
+          body: { error: 'passport_unavailable', message: 'Passport data could not be read; try again later', address }
+        };
+      }
+
+      if (!decision.passed) {
+        return {
+          allowed: false,
+          status: 403,
+          address,
+          decision,
+          body: toJsonSafe({
+            error: 'passport_requirements_not_met',
+            message: decision.passport ? 'Passport does not meet the requirements' : 'No Passly passport for this address',
+            address,
+            passportId: decision.passportId,
+            unmet: decision.failures.map(({ clause, expected, actual }) => ({ clause, expected, actual }))
+          })
+        };
+      }
+
+      return { allowed: true, address, passport: decision.passport, decision };
+    }
+  };
+}
+
+/**
+ * Express (or Connect) middleware. Sets `req.passly` to { address, passport, decision }.
+ * @param {Object} [options] - Gate options (see createGate)
+ * @returns {Function} - Express middleware
+ */
+export function expressGate(options = {}) {
+  const gate = createGate(options);
+
+  return (req, res, next) => {
+    gate.check(req).then(result => {
+      if (!result.allowed) {
+        res.status(result.status).json(result.body);
+        return;
+      }
+      req.passly = { address: result.address, passport: result.passport, decision: result.decision };
+      next();
+    }).catch(next);
+  };
+}
+
+/**
+ * Fastify preHandler hook. Sets `request.passly` to { address, passport, decision }.
+ * @param {Object} [options] - Gate options (see createGate)
+ * @returns {Function} - Fastify preHandler
+ */
+export function fastifyGate(options = {}) {
+  const gate = createGate(options);
+
+  return async (request, reply) => {
+    const result = await gate.check(request);
+    if (!result.allowed) {
+      reply.code(result.status).send(result.body);
+      return reply;
+    }
+    request.passly = { address: result.address, passport: result.passport, decision: result.decision };
+  };
+}
+
+/**
+ * Koa middleware. Sets `ctx.state.passly` to { address, passport, decision }.
+ * @param {Object} [options] - Gate options (see createGate)
+ * @returns {Function} - Koa middleware
+ */
+export function koaGate(options = {}) {
+  const gate = createGate(options);
+
+  return async (ctx, next) => {
+    const result = await gate.check({ headers: ctx.headers, session: ctx.session });
+    if (!result.allowed) {
+      ctx.status = result.status;
+      ctx.body = result.body;
+      return;
+    }
+    ctx.state.passly = { address: result.address, passport: result.passport, decision: result.decision };
+    await next();
+  };
+}
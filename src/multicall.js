@@ -0,0 +1,233 @@
+import { ethers } from 'ethers';
+
+/**
+ * Multicall3 batching for Passly contract reads
+ *
+ * Read calls made in the same tick are collected and sent as a single
+ * `aggregate3` call. Each call succeeds or fails on its own, so one reverted
+ * read never takes down the rest of the batch.
+ */
+
+// Multicall3 is deployed at the same address on Base and most EVM networks
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)"
+];
+
+// Selector of the standard Error(string) revert payload
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+/**
+ * Decode revert data into an Error whose message matches what ethers
+ * would produce for the same call made directly
+ * @private
+ */
+function decodeRevert(contractInterface, returnData) {
+  let reason = null;
+  let errorName = null;
+
+  if (returnData && returnData.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      [reason] = ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(returnData, 4));
+    } catch (error) {
+      // Fall through to the generic message
+    }
+  } else if (returnData && returnData !== '0x') {
+    try {
+      errorName = contractInterface.parseError(returnData).name;
+      reason = errorName;
+    } catch (error) {
+      // Unknown custom error
+    }
+  }
+
+  const error = new Error(reason ? `execution reverted: ${reason}` : 'execution reverted');
+  error.code = ethers.errors.CALL_EXCEPTION;
+  error.reason = reason;
+  error.errorName = errorName;
+  error.data = returnData;
+  return error;
+}
+
+/**
+ * Collects contract reads and executes them through Multicall3
+ */
+export class MulticallBatcher {
+  /**
+   * @param {ethers.providers.Provider|ethers.Signer} provider - Provider or signer used for the aggregate calls
+   * @param {Object} [options] - Batching options
+   * @param {string} [options.address] - Multicall3 address override
+   * @param {number} [options.maxBatchSize=100] - Maximum calls per aggregate call
+   */
+  constructor(provider, options = {}) {
+    this.multicall = new ethers.Contract(options.address || MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    this.maxBatchSize = options.maxBatchSize || 100;
+    this.pending = [];
+    this.scheduled = false;
+  }
+
+  /**
+   * Queue a read call to be executed in the next batch
+   * @param {ethers.Contract} contract - The contract to call
+   * @param {string} method - The view function name
+   * @param {Array} args - The function arguments
+   * @param {number|string} [blockTag] - Block to read at (defaults to latest)
+   * @returns {Promise<*>} - The decoded result, shaped like a direct ethers call
+   */
+  call(contract, method, args, blockTag) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ contract, method, args, blockTag, resolve, reject });
+
+      if (!this.scheduled) {
+        this.scheduled = true;
+        Promise.resolve().then(() => this.flush());
+      }
+    });
+  }
+
+  /**
+   * Execute every queued call
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const queue = this.pending;
+    this.pending = [];
+    this.scheduled = false;
+
+    // Calls can only share an aggregate call if they read the same block
+    const byBlockTag = new Map();
+    for (const item of queue) {
+      const key = item.blockTag === undefined ? 'latest' : String(item.blockTag);
+      if (!byBlockTag.has(key)) byBlockTag.set(key, []);
+      byBlockTag.get(key).push(item);
+    }
+
+    const batches = [];
+    for (const items of byBlockTag.values()) {
+      for (let i = 0; i < items.length; i += this.maxBatchSize) {
+        batches.push(items.slice(i, i + this.maxBatchSize));
+      }
+    }
+
+    await Promise.all(batches.map(batch => this._executeBatch(batch)));
+  }
+
+  /**
+   * Run a single batch, falling back to direct calls if Multicall3 is unavailable
+   * @private
+   */
+  async _executeBatch(batch) {
+    // A lone call gains nothing from aggregation
+    if (batch.length === 1) {
+      return this._executeDirect(batch);
+    }
+
+    const calls = [];
+    try {
+      for (const item of batch) {
+        calls.push({
+          target: item.contract.address,
+          allowFailure: true,
+          callData: item.contract.interface.encodeFunctionData(item.method, item.args)
+        });
+      }
+    } catch (error) {
+      return this._executeDirect(batch);
+    }
+
+    const overrides = batch[0].blockTag === undefined ? {} : { blockTag: batch[0].blockTag };
+
+    let results;
+    try {
+      results = await this.multicall.callStatic.aggregate3(calls, overrides);
+    } catch (error) {
+      return this._executeDirect(batch);
+    }
+
+    batch.forEach((item, index) => {
+      const { success, returnData } = results[index];
+      const contractInterface = item.contract.interface;
+
+      if (!success) {
+        item.reject(decodeRevert(contractInterface, returnData));
+        return;
+      }
+
+      try {
+        const fragment = contractInterface.getFunction(item.method);
+        const decoded = contractInterface.decodeFunctionResult(fragment, returnData);
+        item.resolve(fragment.outputs.length === 1 ? decoded[0] : decoded);
+      } catch (error) {
+        item.reject(error);
+      }
+    });
+  }
+
+  /**
+   * Run each call of a batch on its own
+   * @private
+   */
+  async _executeDirect(batch) {
+    await Promise.all(batch.map(async item => {
+      try {
+        const overrides = item.blockTag === undefined ? {} : { blockTag: item.blockTag };
+        item.resolve(await item.contract.callStatic[item.method](...item.args, overrides));
+      } catch (error) {
+        item.reject(error);
+      }
+    }));
+  }
+}
+
+/**
+ * Wrap a contract so that its view functions are routed through a batcher.
+ * Write functions and all other properties are passed through untouched.
+ * @param {ethers.Contract} contract - The contract to wrap
+ * @param {MulticallBatcher} batcher - The batcher to route reads through
+ * @param {Object} [options] - Wrapper options
+ * @param {number|string} [options.blockTag] - Block every read is made at
+ * @returns {ethers.Contract} - A contract with batched reads
+ */
+export function withMulticall(contract, batcher, options = {}) {
+  const readMethods = new Set();
+  for (const fragment of Object.values(contract.interface.functions)) {
+    if (fragment.constant) {
+      readMethods.add(fragment.name);
+    }
+  }
+
+  // Proxy an empty object rather than the contract itself: ethers defines its
+  // methods as read-only properties, which a proxy may not replace
+  return new Proxy({}, {
+    get(target, property) {
+      if (typeof property === 'string' && readMethods.has(property)) {
+        return (...args) => {
+          const fragment = contract.interface.getFunction(property);
+          if (args.length > fragment.inputs.length) {
+            // Overrides other than a block tag (e.g. from or gasLimit) bypass the batch
+            // On a snapshot, overrides without their own block tag still read at the snapshot block
+            const overrides = args[args.length - 1] || {};
+            const callArgs = args.slice(0, fragment.inputs.length);
+            const blockTag = overrides.blockTag === undefined ? options.blockTag : overrides.blockTag;
+            if (Object.keys(overrides).some(key => key !== 'blockTag')) {
+              return contract[property](...callArgs, blockTag === undefined ? overrides : { ...overrides, blockTag });
+            }
+            return batcher.call(contract, property, callArgs, blockTag);
+          }
+          return batcher.call(contract, property, args, options.blockTag);
+        };
+      }
+
+      const value = contract[property];
+      return typeof value === 'function' ? value.bind(contract) : value;
+    },
+    set(target, property, value) {
+      contract[property] = value;
+      return true;
+    },
+    has(target, property) {
+      return property in contract;
+    }
+  });
+}
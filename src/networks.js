@@ -0,0 +1,63 @@
+/**
+ * Networks the Passly contracts are deployed on
+ *
+ * Each network has its chain ID, a default public RPC URL and the addresses of
+ * the five Passly contracts. Contracts without an address on a network are
+ * simply not configured there, just like a missing address override.
+ * Networks without a public deployment (testnets, local nodes) are registered
+ * by callers with their own addresses.
+ */
+
+export const DEFAULT_NETWORK = 'base';
+
+export const NETWORKS = Object.freeze({
+  base: Object.freeze({
+    name: 'base',
+    chainId: 8453,
+    rpcUrl: 'https://base.llamarpc.com',
+    testnet: false,
+    addresses: Object.freeze({
+      passly: '0xDAA115033325DCEBf0D32bbdD84afd26A2C29923',
+      platforms: '0x81b77ae447A5Fa45961c5032e3bC0Da452E6237F',
+      archives: '0x348E8c982f7DEAF3719A1a734F6752DA3c03737D',
+      rewards: '0x09F2006bdaF0342d33fF2855F901933e98b9c00e',
+      leaderboard: '0x23B22FB6929b0832819d477913AeBeccCC5a9E41'
+    })
+  })
+});
+
+const CONTRACT_NAMES = ['passly', 'platforms', 'archives', 'rewards', 'leaderboard'];
+
+/**
+ * Create a network definition, validating its fields
+ * @param {Object} network - Network definition
+ * @param {string} network.name - Unique network name
+ * @param {number} network.chainId - Chain ID the provider must report
+ * @param {string} [network.rpcUrl] - Default RPC URL, used when no provider is passed
+ * @param {boolean} [network.testnet=false] - Whether this is a test network
+ * @param {Object} [network.addresses] - Addresses of the passly, platforms, archives, rewards and leaderboard contracts
+ * @returns {Object} - The complete network definition
+ */
+export function defineNetwork(network) {
+  if (!network || typeof network.name !== 'string' || !network.name) {
+    throw new Error('Network needs a name');
+  }
+  if (!Number.isInteger(network.chainId) || network.chainId <= 0) {
+    throw new Error(`Network ${network.name} needs a positive integer chainId`);
+  }
+
+  const addresses = network.addresses || {};
+  for (const contractName of Object.keys(addresses)) {
+    if (!CONTRACT_NAMES.includes(contractName)) {
+      throw new Error(`Unknown contract "${contractName}" in network ${network.name}`);
+    }
+  }
+
+  return {
+    name: network.name,
+    chainId: network.chainId,
+    rpcUrl: network.rpcUrl || null,
+    testnet: Boolean(network.testnet),
+    addresses: { ...addresses }
+  };
+}
@@ -0,0 +1,83 @@
+import { ethers } from 'ethers';
+import { NumericOverflowError } from './errors.js';
+
+/**
+ * Conversion of on-chain integers to JavaScript values
+ *
+ * Every uint256 the contracts return (passport IDs, points, scores, ranks,
+ * counts) is converted with the SDK's numeric mode:
+ *   number - a JavaScript number; throws NumericOverflowError above 2^53 - 1
+ *   bigint - a native BigInt, exact for any value
+ *   string - a decimal string, exact and JSON-serialisable
+ * Timestamps always become Date objects.
+ */
+
+export const NUMERIC_MODES = ['number', 'bigint', 'string'];
+
+const MAX_SAFE = ethers.BigNumber.from(String(Number.MAX_SAFE_INTEGER));
+const MIN_SAFE = ethers.BigNumber.from(String(Number.MIN_SAFE_INTEGER));
+
+/**
+ * Check that a numeric mode is supported
+ * @param {string} mode - The numeric mode
+ * @returns {string} - The same mode, for chaining
+ */
+export function validateNumericMode(mode) {
+  if (!NUMERIC_MODES.includes(mode)) {
+    throw new Error(`Unknown numeric mode "${mode}". Use one of: ${NUMERIC_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Convert an integer to the given numeric mode
+ * @param {ethers.BigNumber|bigint|number|string} value - The value to convert
+ * @param {string} [mode='number'] - number, bigint or string
+ * @param {string} [field] - Name of the value, used in overflow errors
+ * @returns {number|bigint|string} - The converted value
+ */
+export function toNumeric(value, mode = 'number', field = 'value') {
+  // ethers rejects numbers from 2^53 - 1 up, so integers go through their decimal string
+  const bigNumber = ethers.BigNumber.from(typeof value === 'bigint' || Number.isSafeInteger(value) ? String(value) : value);
+
+  if (mode === 'bigint') return BigInt(bigNumber.toString());
+  if (mode === 'string') return bigNumber.toString();
+
+  if (bigNumber.gt(MAX_SAFE) || bigNumber.lt(MIN_SAFE)) {
+    throw new NumericOverflowError(field, bigNumber.toString());
+  }
+  return bigNumber.toNumber();
+}
+
+/**
+ * Convert a Unix timestamp in seconds to a Date
+ * @param {ethers.BigNumber} value - The timestamp
+ * @param {string} [field] - Name of the value, used in overflow errors
+ * @returns {Date} - The date
+ */
+export function toDate(value, field = 'timestamp') {
+  return new Date(toNumeric(value, 'number', field) * 1000);
+}
+
+/**
+ * Add two integers given in any numeric mode, returning the result in `mode`
+ * @param {number|bigint|string} a - First value
+ * @param {number|bigint|string} b - Second value
+ * @param {string} [mode='number'] - Mode of the result
+ * @param {string} [field] - Name of the value, used in overflow errors
+ * @returns {number|bigint|string} - The sum
+ */
+export function addNumeric(a, b, mode = 'number', field = 'value') {
+  return toNumeric(BigInt(a) + BigInt(b), mode, field);
+}
+
+/**
+ * Compare two integers given in any numeric mode, for use with Array.prototype.sort
+ * @param {number|bigint|string} a - First value
+ * @param {number|bigint|string} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+export function compareNumeric(a, b) {
+  const difference = BigInt(a) - BigInt(b);
+  return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+}
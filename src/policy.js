@@ -0,0 +1,326 @@
+/**
+ * Declarative gating policies
+ *
+ * A policy is a JSON-serialisable tree of clauses. Combinators (`all`, `any`,
+ * `not`) nest other clauses; every other clause is a leaf that checks one
+ * piece of passport data. For example:
+ *
+ *   {
+ *     all: [
+ *       { platform: 'github' },
+ *       { any: [{ platform: 'twitter' }, { platform: 'discord' }] },
+ *       { accountAgeDays: { min: 30 } },
+ *       { strengthGrade: { min: 'B' } },
+ *       { globalRank: { max: 1000 } }
+ *     ]
+ *   }
+ *
+ * `strength` and `strengthGrade` clauses accept an optional `model` naming a
+ * registered scoring model. Every policy requires a passport, so an empty
+ * `all` accepts any passport holder.
+ *
+ * Before evaluation the policy is walked to work out which data it needs, so
+ * a policy without rank clauses never touches the leaderboard contract, and
+ * one with only point and rank clauses never loads the passport itself.
+ * Category and age clauses read the passport data; platform, verification
+ * count and strength clauses also load the verifications.
+ */
+
+import { isPassportNotFound } from './errors.js';
+
+const GRADES = ['F', 'D', 'C', 'B', 'A'];
+
+const COMBINATORS = ['all', 'any', 'not'];
+
+const LEAF_CLAUSES = [
+  'platform',
+  'category',
+  'accountAgeDays',
+  'verificationCount',
+  'strength',
+  'strengthGrade',
+  'points',
+  'globalRank',
+  'categoryRank'
+];
+
+/**
+ * Get the clause type of a policy node
+ * @private
+ */
+function clauseType(clause) {
+  const keys = Object.keys(clause).filter(key => COMBINATORS.includes(key) || LEAF_CLAUSES.includes(key));
+  if (keys.length !== 1) {
+    throw new Error(`Invalid policy clause: ${JSON.stringify(clause)}`);
+  }
+  return keys[0];
+}
+
+/**
+ * Check that a rank is set and not 0 (unranked), whatever its numeric mode
+ * @private
+ */
+function isRanked(rank) {
+  return rank !== null && rank !== undefined && Number(rank) > 0;
+}
+
+/**
+ * Check that a value lies within an optional { min, max } range
+ * @private
+ */
+function inRange(value, range) {
+  // A value that could not be read satisfies no range
+  if (value === null || value === undefined) return false;
+  if (range.min !== undefined && value < range.min) return false;
+  if (range.max !== undefined && value > range.max) return false;
+  return true;
+}
+
+/**
+ * Describe a { min, max } range for explanations
+ * @private
+ */
+function describeRange(range) {
+  const parts = [];
+  if (range.min !== undefined) parts.push(`>= ${range.min}`);
+  if (range.max !== undefined) parts.push(`<= ${range.max}`);
+  return parts.join(' and ');
+}
+
+/**
+ * Validate a policy, throwing on unknown clauses or malformed values
+ * @param {Object} policy - The policy to validate
+ * @returns {Object} - The same policy, for chaining
+ */
+export function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Policy must be an object');
+  }
+
+  const type = clauseType(policy);
+  const value = policy[type];
+
+  if (type === 'all') {
+    if (!Array.isArray(value)) {
+      throw new Error('Policy clause "all" must be an array');
+    }
+    value.forEach(validatePolicy);
+  } else if (type === 'any') {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error('Policy clause "any" must be a non-empty array');
+    }
+    value.forEach(validatePolicy);
+  } else if (type === 'not') {
+    validatePolicy(value);
+  } else if (type === 'platform') {
+    if (typeof value !== 'string') {
+      throw new Error('Policy clause "platform" must be a platform name');
+    }
+  } else if (type === 'category') {
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+      throw new Error('Policy clause "category" must be a category name or list of names');
+    }
+  } else if (type === 'strengthGrade') {
+    if (!value || !GRADES.includes(value.min)) {
+      throw new Error(`Policy clause "strengthGrade" needs a min grade of ${GRADES.join(', ')}`);
+    }
+  } else if (type === 'categoryRank') {
+    if (!value || typeof value.category !== 'string' || value.max === undefined) {
+      throw new Error('Policy clause "categoryRank" needs a category and a max rank');
+    }
+  } else if (!value || typeof value !== 'object' || (value.min === undefined && value.max === undefined)) {
+    throw new Error(`Policy clause "${type}" needs a min and/or max value`);
+  }
+
+  return policy;
+}
+
+/**
+ * Collect the data sources a policy needs
+ * @private
+ */
+function collectRequirements(clause, requirements = {
+  passportData: false,
+  verifications: false,
+  points: false,
+  globalRank: false,
+  categories: new Set(),
+  strengthModels: new Set()
+}) {
+  const type = clauseType(clause);
+
+  if (type === 'all' || type === 'any') {
+    clause[type].forEach(child => collectRequirements(child, requirements));
+  } else if (type === 'not') {
+    collectRequirements(clause.not, requirements);
+  } else if (type === 'category' || type === 'accountAgeDays') {
+    requirements.passportData = true;
+  } else if (type === 'platform' || type === 'verificationCount') {
+    requirements.verifications = true;
+  } else if (type === 'points') {
+    requirements.points = true;
+  } else if (type === 'globalRank') {
+    requirements.globalRank = true;
+  } else if (type === 'categoryRank') {
+    requirements.categories.add(clause.categoryRank.category);
+  } else if (type === 'strength' || type === 'strengthGrade') {
+    // Strength is scored from the complete passport
+    requirements.verifications = true;
+    requirements.strengthModels.add(clause[type].model || 'default');
+  }
+
+  return requirements;
+}
+
+/**
+ * Evaluate a clause against loaded data, producing an explanation node
+ * @private
+ */
+function evaluateClause(clause, data) {
+  const type = clauseType(clause);
+  const value = clause[type];
+
+  if (type === 'all' || type === 'any') {
+    const children = value.map(child => evaluateClause(child, data));
+    const passed = type === 'all'
+      ? children.every(child => child.passed)
+      : children.some(child => child.passed);
+    return { clause: type, passed, children };
+  }
+
+  if (type === 'not') {
+    const child = evaluateClause(value, data);
+    return { clause: 'not', passed: !child.passed, children: [child] };
+  }
+
+  const leaf = (passed, actual, expected) => ({ clause: type, passed, expected, actual });
+
+  switch (type) {
+    case 'platform': {
+      const platform = value.toLowerCase();
+      return leaf(data.activePlatforms.includes(platform), data.activePlatforms, `${platform} verified`);
+    }
+
+    case 'category': {
+      const categories = Array.isArray(value) ? value : [value];
+      return leaf(categories.includes(data.passport.category), data.passport.category, `one of ${categories.join(', ')}`);
+    }
+
+    case 'accountAgeDays':
+      return leaf(inRange(data.accountAge, value), data.accountAge, describeRange(value));
+
+    case 'verificationCount':
+      return leaf(inRange(data.activePlatforms.length, value), data.activePlatforms.length, describeRange(value));
+
+    case 'strength': {
+      const strength = data.strengths[value.model || 'default'];
+      return leaf(inRange(strength.score, value), strength.score, describeRange(value));
+    }
+
+    case 'strengthGrade': {
+      const strength = data.strengths[value.model || 'default'];
+      return leaf(
+        GRADES.indexOf(strength.grade) >= GRADES.indexOf(value.min),
+        strength.grade,
+        `grade ${value.min} or better`
+      );
+    }
+
+    case 'points':
+      return leaf(inRange(data.points, value), data.points, describeRange(value));
+
+    case 'globalRank':
+      // Rank 0 means unranked, which satisfies no rank clause
+      return leaf(isRanked(data.globalRank) && inRange(data.globalRank, value), data.globalRank, describeRange(value));
+
+    case 'categoryRank': {
+      const rank = data.categoryRanks[value.category];
+      return leaf(isRanked(rank) && inRange(rank, value), rank, `${value.category} rank ${describeRange(value)}`);
+    }
+  }
+}
+
+/**
+ * Flatten the failing leaves of an explanation tree
+ * @private
+ */
+function collectFailures(node, failures = []) {
+  if (node.children) {
+    // A failing `not` is explained by its child passing, so report the `not` itself
+    if (node.clause === 'not') {
+      if (!node.passed) failures.push(node);
+      return failures;
+    }
+    if (!node.passed) node.children.forEach(child => collectFailures(child, failures));
+    return failures;
+  }
+
+  if (!node.passed) failures.push(node);
+  return failures;
+}
+
+/**
+ * Evaluate a gating policy for an address
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object} policy - The policy to evaluate
+ * @param {Object} [options] - Evaluation options
+ * @param {boolean} [options.includePassport=false] - Load the complete passport even when no clause needs it
+ * @returns {Promise<Object>} - Decision with the passport (null when it was not loaded), an explanation tree and the list of failed clauses
+ */
+export async function evaluatePolicy(sdk, addressOrPassportId, policy, options = {}) {
+  sdk._ensureConnected();
+  validatePolicy(policy);
+
+  const requirements = collectRequirements(policy);
+  const categories = [...requirements.categories];
+  const models = [...requirements.strengthModels];
+  // Without a rewards contract, points come from the passport data
+  const loadPassport = requirements.verifications || options.includePassport;
+  const loadData = !loadPassport && (requirements.passportData || (requirements.points && !sdk.contracts.rewards));
+
+  const noPassport = passportId => {
+    const explanation = { clause: 'passport', passed: false, expected: 'passport exists', actual: null };
+    return { passed: false, passportId, passport: null, explanation, failures: [explanation] };
+  };
+
+  // A missing passport fails the policy; failed reads and missing contracts are thrown
+  const reader = sdk._strictView();
+  const passportId = await reader._resolvePassportId(addressOrPassportId).catch(error => {
+    if (isPassportNotFound(error)) return null;
+    throw error;
+  });
+  if (passportId === null) return noPassport(null);
+
+  const [passport, breakdown, globalRank, categoryRanks] = await Promise.all([
+    loadPassport ? reader._readPassport(passportId) : loadData ? reader._readPassportData(passportId) : null,
+    requirements.points && sdk.contracts.rewards ? reader.getPointBreakdown(passportId) : null,
+    requirements.globalRank ? reader.getGlobalRank(passportId) : null,
+    Promise.all(categories.map(category => reader.getCategoryRank(passportId, category)))
+  ]);
+  if ((loadPassport || loadData) && !passport) return noPassport(null);
+
+  const strengths = await Promise.all(models.map(model => reader._calculateVerificationStrength(passport, model)));
+
+  const data = {
+    passport,
+    activePlatforms: loadPassport
+      ? passport.platforms.filter(platform => passport.verifications[platform] && passport.verifications[platform].active)
+      : [],
+    accountAge: passport ? Math.floor((sdk._now() - passport.createdAt) / (1000 * 60 * 60 * 24)) : null,
+    strengths: Object.fromEntries(models.map((model, index) => [model, strengths[index]])),
+    points: breakdown ? breakdown.total : passport ? passport.totalPoints : null,
+    globalRank,
+    categoryRanks: Object.fromEntries(categories.map((category, index) => [category, categoryRanks[index]]))
+  };
+
+  const explanation = evaluateClause(policy, data);
+
+  return {
+    passed: explanation.passed,
+    passportId,
+    passport: loadPassport ? passport : null,
+    explanation,
+    failures: collectFailures(explanation)
+  };
+}
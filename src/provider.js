@@ -0,0 +1,331 @@
+import { ethers } from 'ethers';
+import { errorChain } from './errors.js';
+import { delay } from './utils.js';
+
+/**
+ * Provider that spreads requests over several RPC endpoints
+ *
+ * In `fallback` mode each request goes to the healthiest endpoint and moves
+ * on to the next one when it fails or times out. In `quorum` mode reads are
+ * sent to every endpoint and a result is only accepted once `quorum`
+ * endpoints agree on it. Rate-limited requests are retried on the same
+ * endpoint with exponential backoff, and endpoints that keep failing are put
+ * in a cooldown so they stop slowing every call down.
+ */
+
+// Errors that every endpoint would return for the same request, so retrying elsewhere is pointless
+const DETERMINISTIC_ERROR_CODES = [
+  ethers.errors.CALL_EXCEPTION,
+  ethers.errors.INSUFFICIENT_FUNDS,
+  ethers.errors.NONCE_EXPIRED,
+  ethers.errors.REPLACEMENT_UNDERPRICED,
+  ethers.errors.UNPREDICTABLE_GAS_LIMIT,
+  ethers.errors.INVALID_ARGUMENT
+];
+
+// Reads whose results can be compared between endpoints; everything else uses fallback
+const QUORUM_METHODS = ['call', 'getLogs', 'getCode', 'getStorageAt', 'getBalance', 'getTransactionCount'];
+
+// JSON-RPC error code some providers use for "limit exceeded"
+const RATE_LIMIT_RPC_CODE = -32005;
+
+const TRANSPORT_ERROR_CODES = [
+  ethers.errors.SERVER_ERROR,
+  ethers.errors.TIMEOUT,
+  ethers.errors.NETWORK_ERROR
+];
+
+/**
+ * Check whether an error is a rate limit response
+ * @private
+ */
+function isRateLimited(error) {
+  return errorChain(error).some(entry =>
+    entry.status === 429 ||
+    entry.code === RATE_LIMIT_RPC_CODE ||
+    /rate limit|too many requests/i.test(entry.message || '')
+  );
+}
+
+/**
+ * Check whether an error would be the same on every endpoint.
+ * ethers reports any failed eth_call as CALL_EXCEPTION, so a wrapped HTTP or
+ * connection failure is told apart from an actual JSON-RPC error answer.
+ * @private
+ */
+function isDeterministic(error) {
+  if (!DETERMINISTIC_ERROR_CODES.includes(error.code) || isRateLimited(error)) {
+    return false;
+  }
+
+  const inner = error.error;
+  if (!inner || !TRANSPORT_ERROR_CODES.includes(inner.code)) {
+    return true;
+  }
+  // The node answered with a JSON-RPC error (e.g. a revert without data)
+  return !inner.status && Boolean(inner.error && typeof inner.error.code === 'number');
+}
+
+/**
+ * Reject with an ethers TIMEOUT error if a request takes too long
+ * @private
+ */
+function withTimeout(promise, timeout, method) {
+  if (!timeout) return promise;
+
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`RPC ${method} timed out after ${timeout}ms`);
+      error.code = ethers.errors.TIMEOUT;
+      error.timeout = timeout;
+      reject(error);
+    }, timeout);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create the tracking record of an endpoint
+ * @private
+ */
+function createEndpoint(urlOrProvider, network) {
+  const isUrl = typeof urlOrProvider === 'string';
+
+  return {
+    // ethers' built-in 429 retries are disabled so the backoff below is the only one
+    provider: isUrl
+      ? new ethers.providers.StaticJsonRpcProvider({ url: urlOrProvider, throttleCallback: async () => false }, network)
+      : urlOrProvider,
+    url: isUrl ? urlOrProvider : (urlOrProvider.connection && urlOrProvider.connection.url) || null,
+    successes: 0,
+    failures: 0,
+    rateLimited: 0,
+    consecutiveFailures: 0,
+    averageLatency: null,
+    lastError: null,
+    lastErrorAt: null,
+    cooldownUntil: 0
+  };
+}
+
+/**
+ * Detect the network from the first endpoint that answers
+ * @private
+ */
+async function detectFirstNetwork(endpoints) {
+  let lastError;
+  for (const endpoint of endpoints) {
+    try {
+      return await endpoint.provider.getNetwork();
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * ethers provider with multiple RPC endpoints, retries, timeouts and health tracking
+ */
+export class ResilientProvider extends ethers.providers.BaseProvider {
+  /**
+   * @param {Array<string|ethers.providers.Provider>} endpoints - RPC URLs or providers, in order of preference
+   * @param {Object} [options] - Provider options
+   * @param {Object} [options.network] - Network the endpoints are on, as { name, chainId }; trusted without a request, and detected from the endpoints if omitted
+   * @param {string} [options.mode='fallback'] - "fallback" or "quorum"
+   * @param {number} [options.quorum=2] - Matching responses needed in quorum mode
+   * @param {number} [options.timeout=10000] - Per-call timeout in milliseconds (0 disables it)
+   * @param {number} [options.maxRetries=3] - Retries of a rate-limited request on the same endpoint
+   * @param {number} [options.retryDelay=500] - Initial backoff delay in milliseconds
+   * @param {number} [options.maxRetryDelay=8000] - Upper bound of the backoff delay
+   * @param {number} [options.maxFailures=3] - Consecutive failures before an endpoint is put in cooldown
+   * @param {number} [options.cooldown=30000] - Milliseconds an unhealthy endpoint is skipped
+   */
+  constructor(endpoints, options = {}) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error('ResilientProvider needs at least one RPC endpoint');
+    }
+
+    const records = endpoints.map(endpoint => createEndpoint(endpoint, options.network));
+    super(options.network || detectFirstNetwork(records));
+
+    this.endpoints = records;
+    this.staticNetwork = options.network || null;
+    this.mode = options.mode || 'fallback';
+    this.quorum = options.quorum || 2;
+    this.timeout = options.timeout === undefined ? 10000 : options.timeout;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.retryDelay = options.retryDelay || 500;
+    this.maxRetryDelay = options.maxRetryDelay || 8000;
+    this.maxFailures = options.maxFailures || 3;
+    this.cooldown = options.cooldown === undefined ? 30000 : options.cooldown;
+
+    if (!['fallback', 'quorum'].includes(this.mode)) {
+      throw new Error(`Unknown provider mode: ${this.mode}`);
+    }
+  }
+
+  async detectNetwork() {
+    // A given network is trusted, like StaticJsonRpcProvider does, so getNetwork() needs no request
+    if (this.staticNetwork) {
+      return this.staticNetwork;
+    }
+    return await this._fallback('detectNetwork', endpoint => endpoint.provider.getNetwork());
+  }
+
+  async perform(method, params) {
+    const request = endpoint => endpoint.provider.perform(method, params);
+
+    if (this.mode === 'quorum' && QUORUM_METHODS.includes(method)) {
+      return await this._quorum(method, request);
+    }
+    return await this._fallback(method, request);
+  }
+
+  /**
+   * Get the health of every endpoint
+   * @returns {Array<Object>} - Per-endpoint counters, latency and cooldown state
+   */
+  getHealth() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: endpoint.cooldownUntil <= now,
+      successes: endpoint.successes,
+      failures: endpoint.failures,
+      rateLimited: endpoint.rateLimited,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      averageLatency: endpoint.averageLatency === null ? null : Math.round(endpoint.averageLatency),
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt ? new Date(endpoint.lastErrorAt) : null,
+      cooldownUntil: endpoint.cooldownUntil > now ? new Date(endpoint.cooldownUntil) : null
+    }));
+  }
+
+  /**
+   * Endpoints in the order they should be tried: healthy ones first, cooling down ones as a last resort
+   * @private
+   */
+  _orderedEndpoints() {
+    const now = Date.now();
+    const healthy = this.endpoints.filter(endpoint => endpoint.cooldownUntil <= now);
+    const cooling = this.endpoints
+      .filter(endpoint => endpoint.cooldownUntil > now)
+      .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    return [...healthy, ...cooling];
+  }
+
+  /**
+   * @private
+   */
+  async _fallback(method, request) {
+    let lastError;
+
+    for (const endpoint of this._orderedEndpoints()) {
+      try {
+        return await this._attempt(endpoint, method, request);
+      } catch (error) {
+        if (isDeterministic(error)) throw error;
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * @private
+   */
+  async _quorum(method, request) {
+    const endpoints = this._orderedEndpoints();
+    const needed = Math.min(this.quorum, endpoints.length);
+    const settled = await Promise.allSettled(endpoints.map(endpoint => this._attempt(endpoint, method, request)));
+
+    const votes = new Map();
+    for (const outcome of settled) {
+      if (outcome.status !== 'fulfilled') continue;
+
+      const key = JSON.stringify(outcome.value);
+      const vote = votes.get(key) || { value: outcome.value, count: 0 };
+      vote.count++;
+      votes.set(key, vote);
+
+      if (vote.count >= needed) {
+        return vote.value;
+      }
+    }
+
+    const deterministic = settled.find(outcome => outcome.status === 'rejected' && isDeterministic(outcome.reason));
+    if (deterministic) {
+      throw deterministic.reason;
+    }
+
+    const error = new Error(`RPC quorum of ${needed} not reached for ${method}`);
+    error.code = ethers.errors.SERVER_ERROR;
+    error.responses = settled.map(outcome => outcome.status === 'fulfilled'
+      ? { value: outcome.value }
+      : { error: outcome.reason.message });
+    throw error;
+  }
+
+  /**
+   * Send a request to one endpoint, backing off and retrying while it is rate limited
+   * @private
+   */
+  async _attempt(endpoint, method, request) {
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const result = await withTimeout(request(endpoint), this.timeout, method);
+        this._recordSuccess(endpoint, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        // A revert or bad input is a valid answer from a working endpoint
+        if (isDeterministic(error)) {
+          this._recordSuccess(endpoint, Date.now() - startedAt);
+          throw error;
+        }
+
+        if (isRateLimited(error) && attempt < this.maxRetries) {
+          endpoint.rateLimited++;
+          const backoff = Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay);
+          await delay(backoff / 2 + Math.random() * backoff / 2);
+          continue;
+        }
+
+        this._recordFailure(endpoint, error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordSuccess(endpoint, latency) {
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+    // Exponential moving average so recent calls dominate
+    endpoint.averageLatency = endpoint.averageLatency === null
+      ? latency
+      : endpoint.averageLatency * 0.8 + latency * 0.2;
+  }
+
+  /**
+   * @private
+   */
+  _recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = Date.now();
+
+    if (endpoint.consecutiveFailures >= this.maxFailures) {
+      endpoint.cooldownUntil = Date.now() + this.cooldown;
+    }
+  }
+}
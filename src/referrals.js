@@ -0,0 +1,277 @@
+import { ethers } from 'ethers';
+import { ContractUnavailableError } from './errors.js';
+import { addNumeric, compareNumeric, toNumeric } from './numbers.js';
+import { mapWithConcurrency } from './utils.js';
+
+/**
+ * Referral graph traversal and analytics
+ *
+ * Upward, a passport's referrer is the `referredBy` address of its referral
+ * info. Downward, `getUserReferrals` lists a passport's referees; entries are
+ * resolved to passports whether they are passport IDs, addresses or referral
+ * codes (through validateReferralCode). The downward tree aggregates referral
+ * earnings and points per subtree and flags patterns worth a closer look:
+ *
+ *   ring               - a referral path leads back to a passport already on it
+ *   duplicate-referee  - one passport is listed as a referee by two referrers
+ *   unverified-referee - a referee has no active verification
+ *   referral-burst     - many referees created within a short window
+ */
+
+const DEFAULT_BURST = { size: 5, windowHours: 24 };
+
+/**
+ * Resolve an entry of getUserReferrals to a passport ID
+ * @private
+ */
+async function resolveReferee(sdk, entry) {
+  if (/^\d+$/.test(entry)) {
+    return sdk._toNumeric(entry, 'passportId');
+  }
+  if (ethers.utils.isAddress(entry)) {
+    return await sdk.getPassportId(entry);
+  }
+  const { isValid, ownerPassportId } = await sdk.validateReferralCode(entry);
+  return isValid ? ownerPassportId : null;
+}
+
+/**
+ * Get the passports a passport has referred
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @returns {Promise<Object>} - { passportIds, unresolved } with the entries that match no passport
+ */
+export async function getReferees(sdk, addressOrPassportId) {
+  sdk._ensureConnected();
+  if (!sdk.contracts.rewards) {
+    throw new ContractUnavailableError('rewards');
+  }
+
+  const passportId = await sdk._resolvePassportId(addressOrPassportId);
+  const entries = await sdk.contracts.rewards.getUserReferrals(passportId);
+  const resolved = await Promise.all(entries.map(entry => resolveReferee(sdk, entry)));
+
+  return {
+    passportIds: resolved.filter(id => id !== null),
+    unresolved: entries.filter((entry, index) => resolved[index] === null)
+  };
+}
+
+/**
+ * Walk up the chain of referrers from a passport
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object} [options] - Traversal options
+ * @param {number} [options.maxDepth=50] - Stop after this many referrers
+ * @returns {Promise<Object>} - { passportId, chain, ring, ringAt, truncated }; chain starts with the direct referrer
+ */
+export async function getReferralChain(sdk, addressOrPassportId, options = {}) {
+  sdk._ensureConnected();
+  if (!sdk.contracts.rewards) {
+    throw new ContractUnavailableError('rewards');
+  }
+
+  const maxDepth = options.maxDepth || 50;
+  const rootId = await sdk._resolvePassportId(addressOrPassportId);
+  const seen = new Set([String(rootId)]);
+  const chain = [];
+  let current = rootId;
+  const result = (ringAt, truncated) => ({ passportId: rootId, chain, ring: ringAt !== null, ringAt, truncated });
+
+  while (chain.length < maxDepth) {
+    const [, referredBy] = await sdk.contracts.rewards.getReferralInfo(current);
+    if (referredBy === ethers.constants.AddressZero) {
+      return result(null, false);
+    }
+
+    const referrerId = await sdk.getPassportId(referredBy);
+    if (referrerId === null) {
+      chain.push({ passportId: null, address: referredBy, depth: chain.length + 1 });
+      return result(null, false);
+    }
+    if (seen.has(String(referrerId))) {
+      return result(referrerId, false);
+    }
+
+    seen.add(String(referrerId));
+    chain.push({ passportId: referrerId, address: referredBy, depth: chain.length + 1 });
+    current = referrerId;
+  }
+
+  return result(null, true);
+}
+
+/**
+ * Build the tree of referees below a passport, with subtree aggregates and suspicious-pattern flags
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object} [options] - Traversal options
+ * @param {number} [options.depth=2] - Levels of referees to expand
+ * @param {number} [options.maxPassports=200] - Stop expanding once this many passports are in the tree
+ * @param {number} [options.concurrency=5] - Maximum passports loaded at once
+ * @param {Object} [options.burst] - Referral-burst threshold: { size: 5, windowHours: 24 }
+ * @returns {Promise<Object>} - { passportId, nodes, edges, flags, unresolved, truncated }; truncated
+ *   when a referee was left out by maxPassports or a passport at the last level has referrals of its own
+ */
+export async function buildReferralTree(sdk, addressOrPassportId, options = {}) {
+  sdk._ensureConnected();
+  if (!sdk.contracts.rewards) {
+    throw new ContractUnavailableError('rewards');
+  }
+
+  const depth = options.depth === undefined ? 2 : options.depth;
+  const maxPassports = options.maxPassports || 200;
+  const concurrency = options.concurrency || 5;
+  const burst = { ...DEFAULT_BURST, ...options.burst };
+
+  // Strict reads throw on a failed read instead of returning an empty passport
+  const reader = sdk._strictView();
+  const rootId = await reader._resolvePassportId(addressOrPassportId);
+  const nodes = new Map();
+  const edges = [];
+  const flags = [];
+  const unresolved = [];
+  // Passports whose referral info counts referrals, and whether maxPassports left any referee out
+  const hasReferrals = new Set();
+  let skipped = false;
+
+  const loadNode = async (passportId, nodeDepth, referrer) => {
+    const [passport, referralInfo] = await Promise.all([
+      reader._loadPassport(passportId),
+      reader.getReferralInfo(passportId)
+    ]);
+    if (referralInfo && compareNumeric(referralInfo.totalReferrals, 0) > 0) {
+      hasReferrals.add(String(passportId));
+    }
+    const activeVerifications = passport
+      ? passport.platforms.filter(platform => passport.verifications[platform] && passport.verifications[platform].active)
+      : [];
+
+    return {
+      passportId,
+      owner: passport ? passport.owner : null,
+      depth: nodeDepth,
+      referrer,
+      referees: [],
+      createdAt: passport ? passport.createdAt : null,
+      activeVerifications,
+      totalPoints: passport ? passport.totalPoints : null,
+      referralEarnings: referralInfo ? referralInfo.referralEarnings : null
+    };
+  };
+
+  const isAncestor = (candidateId, passportId) => {
+    let node = nodes.get(String(passportId));
+    while (node) {
+      if (String(node.passportId) === String(candidateId)) return true;
+      node = node.referrer === null ? null : nodes.get(String(node.referrer));
+    }
+    return false;
+  };
+
+  nodes.set(String(rootId), await loadNode(rootId, 0, null));
+  let frontier = [rootId];
+
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+
+    await mapWithConcurrency(frontier, concurrency, async passportId => {
+      const node = nodes.get(String(passportId));
+      const referees = await getReferees(reader, passportId);
+      unresolved.push(...referees.unresolved.map(entry => ({ referrer: passportId, entry })));
+
+      const added = [];
+      for (const refereeId of referees.passportIds) {
+        edges.push({ from: passportId, to: refereeId });
+
+        if (nodes.has(String(refereeId))) {
+          flags.push(isAncestor(refereeId, passportId)
+            ? {
+              type: 'ring',
+              passportIds: [passportId, refereeId],
+              message: `Passport ${passportId} lists its own upline passport ${refereeId} as a referee`
+            }
+            : {
+              type: 'duplicate-referee',
+              passportIds: [passportId, refereeId],
+              message: `Passport ${refereeId} is listed as a referee by more than one referrer`
+            });
+          continue;
+        }
+        if (nodes.size >= maxPassports) {
+          skipped = true;
+          continue;
+        }
+
+        node.referees.push(refereeId);
+        // Reserve the slot before loading so concurrent workers see it
+        nodes.set(String(refereeId), null);
+        added.push(refereeId);
+      }
+
+      const loaded = await Promise.all(added.map(refereeId => loadNode(refereeId, level + 1, passportId)));
+      loaded.forEach(child => nodes.set(String(child.passportId), child));
+      next.push(...added);
+    });
+
+    frontier = next;
+  }
+
+  const ordered = [...nodes.values()].filter(Boolean);
+  const byId = new Map(ordered.map(node => [String(node.passportId), node]));
+
+  // Aggregate bottom-up: deepest nodes first, so children are complete before their parent
+  const zero = toNumeric(0, sdk.numeric);
+  for (const node of [...ordered].sort((a, b) => b.depth - a.depth)) {
+    const children = node.referees.map(id => byId.get(String(id))).filter(Boolean);
+    node.subtree = children.reduce((totals, child) => ({
+      size: totals.size + child.subtree.size,
+      referralEarnings: addNumeric(totals.referralEarnings, child.subtree.referralEarnings, sdk.numeric, 'referralEarnings'),
+      totalPoints: addNumeric(totals.totalPoints, child.subtree.totalPoints, sdk.numeric, 'totalPoints')
+    }), {
+      size: 1,
+      referralEarnings: node.referralEarnings === null ? zero : node.referralEarnings,
+      totalPoints: node.totalPoints === null ? zero : node.totalPoints
+    });
+  }
+
+  for (const node of ordered) {
+    if (node.depth > 0 && node.activeVerifications.length === 0) {
+      flags.push({
+        type: 'unverified-referee',
+        passportIds: [node.passportId],
+        message: `Referee ${node.passportId} has no active verification`
+      });
+    }
+
+    const created = node.referees
+      .map(id => byId.get(String(id)))
+      .filter(child => child && child.createdAt)
+      .map(child => ({ passportId: child.passportId, time: child.createdAt.getTime() }))
+      .sort((a, b) => a.time - b.time);
+
+    // Sliding window over the referees' creation times
+    const windowMs = burst.windowHours * 60 * 60 * 1000;
+    let start = 0;
+    for (let end = 0; end < created.length; end++) {
+      while (created[end].time - created[start].time > windowMs) start++;
+      if (end - start + 1 >= burst.size) {
+        flags.push({
+          type: 'referral-burst',
+          passportIds: [node.passportId, ...created.slice(start, end + 1).map(entry => entry.passportId)],
+          message: `${end - start + 1} referees of ${node.passportId} were created within ${burst.windowHours} hours`
+        });
+        break;
+      }
+    }
+  }
+
+  return {
+    passportId: rootId,
+    nodes: ordered,
+    edges,
+    flags,
+    unresolved,
+    truncated: skipped || frontier.some(passportId => hasReferrals.has(String(passportId)))
+  };
+}
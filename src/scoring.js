@@ -0,0 +1,238 @@
+/**
+ * Verification strength scoring models
+ *
+ * A scoring model describes how a passport's verification strength (0-100 by
+ * default) is calculated: the weights of the built-in factors, the grade
+ * thresholds and any extra factors. Platform types used for the diversity
+ * bonus come from the on-chain `platformType` in the Platforms contract.
+ */
+
+// Used for the diversity bonus only when the Platforms contract is not configured. With the
+// contract, a platform whose config cannot be read has an unknown (null) type in lenient mode,
+// and the read throws in strict mode.
+export const FALLBACK_PLATFORM_TYPES = {
+  twitter: 'social',
+  discord: 'social',
+  telegram: 'social',
+  instagram: 'social',
+  github: 'developer',
+  gitlab: 'developer',
+  solana: 'chain',
+  ethereum: 'chain'
+};
+
+const GRADE_NAMES = ['A', 'B', 'C', 'D'];
+
+/**
+ * The built-in scoring model
+ */
+export const DEFAULT_SCORING_MODEL = Object.freeze({
+  name: 'default',
+  maxScore: 100,
+  weights: Object.freeze({
+    // 15 points per active platform, up to 75
+    perPlatform: 15,
+    maxPlatformScore: 75,
+    // 1 point per 30 days of passport age, up to 10
+    daysPerAgePoint: 30,
+    maxAgeBonus: 10,
+    // 10 points once at least 2 different platform types are verified
+    diversityBonus: 10,
+    minPlatformTypes: 2,
+    // 1 point per 100 total points, up to 5
+    pointsPerBonusPoint: 100,
+    maxPointsBonus: 5
+  }),
+  // Per-platform overrides of `weights.perPlatform`
+  platformWeights: Object.freeze({}),
+  grades: Object.freeze({ A: 80, B: 60, C: 40, D: 20 }),
+  factors: Object.freeze([])
+});
+
+/**
+ * Create a scoring model, filling anything not given from the default model
+ * @param {Object} model - Partial model definition
+ * @param {string} model.name - Unique model name
+ * @param {number} [model.maxScore] - Upper bound of the score
+ * @param {Object} [model.weights] - Overrides for the built-in factor weights
+ * @param {Object} [model.platformWeights] - Points per platform, overriding `weights.perPlatform`
+ * @param {Object} [model.grades] - Minimum score for grades A, B, C and D
+ * @param {Array} [model.factors] - Extra factors as { name, compute(context) } returning a score delta
+ * @returns {Object} - The complete scoring model
+ */
+export function defineScoringModel(model) {
+  if (!model || typeof model.name !== 'string' || !model.name) {
+    throw new Error('Scoring model needs a name');
+  }
+
+  const grades = { ...DEFAULT_SCORING_MODEL.grades, ...(model.grades || {}) };
+  for (const grade of Object.keys(grades)) {
+    if (!GRADE_NAMES.includes(grade)) {
+      throw new Error(`Unknown grade "${grade}" in scoring model ${model.name}`);
+    }
+  }
+
+  const factors = model.factors || [];
+  for (const factor of factors) {
+    if (!factor || typeof factor.name !== 'string' || typeof factor.compute !== 'function') {
+      throw new Error(`Scoring model ${model.name} has a factor without a name or compute function`);
+    }
+  }
+
+  return {
+    name: model.name,
+    maxScore: model.maxScore || DEFAULT_SCORING_MODEL.maxScore,
+    weights: { ...DEFAULT_SCORING_MODEL.weights, ...(model.weights || {}) },
+    platformWeights: { ...(model.platformWeights || {}) },
+    grades,
+    factors
+  };
+}
+
+/**
+ * Extra factor that subtracts points for past revocations (from the Archives contract)
+ * @param {Object} [options] - Factor options
+ * @param {number} [options.perRevocation=5] - Points removed per revocation
+ * @param {number} [options.maxPenalty=20] - Maximum points removed
+ * @returns {Object} - Scoring factor
+ */
+export function revocationPenaltyFactor(options = {}) {
+  const perRevocation = options.perRevocation === undefined ? 5 : options.perRevocation;
+  const maxPenalty = options.maxPenalty === undefined ? 20 : options.maxPenalty;
+
+  return {
+    name: 'revocationPenalty',
+    async compute(context) {
+      const histories = await Promise.all(
+        context.passport.platforms.map(platform => context.getPlatformHistory(platform))
+      );
+      // Counts are bigints or strings in those numeric modes
+      const revocations = histories.reduce((total, history) => total + (history ? Number(history.totalRevocations) : 0), 0);
+      return -Math.min(revocations * perRevocation, maxPenalty);
+    }
+  };
+}
+
+/**
+ * Extra factor that awards points for referral earnings (from the Rewards contract)
+ * @param {Object} [options] - Factor options
+ * @param {number} [options.pointsPerBonusPoint=100] - Referral points needed per bonus point
+ * @param {number} [options.maxBonus=5] - Maximum bonus
+ * @returns {Object} - Scoring factor
+ */
+export function referralBonusFactor(options = {}) {
+  const pointsPerBonusPoint = options.pointsPerBonusPoint || 100;
+  const maxBonus = options.maxBonus === undefined ? 5 : options.maxBonus;
+
+  return {
+    name: 'referralBonus',
+    async compute(context) {
+      const breakdown = await context.getPointBreakdown();
+      if (!breakdown) return 0;
+      return Math.min(Math.floor(Number(breakdown.referral) / pointsPerBonusPoint), maxBonus);
+    }
+  };
+}
+
+/**
+ * Convert a score to a grade using the model's thresholds
+ * @private
+ */
+function gradeFor(score, grades) {
+  for (const grade of GRADE_NAMES) {
+    if (grades[grade] !== undefined && score >= grades[grade]) {
+      return grade;
+    }
+  }
+  return 'F';
+}
+
+/**
+ * Calculate verification strength for a loaded passport
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {Object} passport - Passport data as returned by getPassport
+ * @param {Object} model - The scoring model to apply
+ * @returns {Promise<Object>} - Score, grade and per-factor breakdown
+ */
+export async function calculateStrength(sdk, passport, model) {
+  const { weights } = model;
+
+  const activePlatforms = passport.platforms.filter(platform =>
+    passport.verifications[platform] && passport.verifications[platform].active
+  );
+  const platformTypes = await sdk.getPlatformTypes(activePlatforms);
+  const ageInDays = Math.floor((sdk._now() - passport.createdAt) / (1000 * 60 * 60 * 24));
+
+  const breakdown = {
+    platformCount: 0,
+    ageBonus: 0,
+    diversityBonus: 0,
+    pointsBonus: 0,
+    totalScore: 0
+  };
+
+  const platformScore = activePlatforms.reduce((total, platform) => {
+    const weight = model.platformWeights[platform];
+    return total + (weight === undefined ? weights.perPlatform : weight);
+  }, 0);
+  breakdown.platformCount = Math.min(platformScore, weights.maxPlatformScore);
+
+  breakdown.ageBonus = Math.min(Math.floor(ageInDays / weights.daysPerAgePoint), weights.maxAgeBonus);
+
+  const distinctTypes = new Set(Object.values(platformTypes).filter(Boolean));
+  if (distinctTypes.size >= weights.minPlatformTypes) {
+    breakdown.diversityBonus = weights.diversityBonus;
+  }
+
+  // Points may be a bigint or string in those numeric modes; the bonus is capped, so a number is precise enough
+  const totalPoints = Number(passport.totalPoints);
+  if (totalPoints > 0) {
+    breakdown.pointsBonus = Math.min(Math.floor(totalPoints / weights.pointsPerBonusPoint), weights.maxPointsBonus);
+  }
+
+  let score = breakdown.platformCount + breakdown.ageBonus + breakdown.diversityBonus + breakdown.pointsBonus;
+
+  if (model.factors.length > 0) {
+    // Loaders are shared between factors so each contract read happens at most once
+    const histories = new Map();
+    let pointBreakdown;
+
+    const context = {
+      sdk,
+      passport,
+      activePlatforms,
+      platformTypes,
+      accountAge: ageInDays,
+      getPlatformHistory(platform) {
+        if (!histories.has(platform)) {
+          histories.set(platform, sdk.getPlatformHistory(passport.id, platform));
+        }
+        return histories.get(platform);
+      },
+      getPointBreakdown() {
+        if (!pointBreakdown) {
+          pointBreakdown = sdk.getPointBreakdown(passport.id);
+        }
+        return pointBreakdown;
+      }
+    };
+
+    const values = await Promise.all(model.factors.map(factor => factor.compute(context)));
+    model.factors.forEach((factor, index) => {
+      breakdown[factor.name] = values[index] || 0;
+      score += breakdown[factor.name];
+    });
+  }
+
+  breakdown.totalScore = Math.max(0, Math.min(score, model.maxScore));
+
+  return {
+    score: breakdown.totalScore,
+    grade: gradeFor(breakdown.totalScore, model.grades),
+    model: model.name,
+    breakdown,
+    activePlatforms: activePlatforms.length,
+    platformTypes,
+    accountAge: ageInDays
+  };
+}
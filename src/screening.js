@@ -0,0 +1,229 @@
+import { ethers } from 'ethers';
+import { PassportNotFoundError } from './errors.js';
+import { mapWithConcurrency } from './utils.js';
+
+/**
+ * Bulk address screening for allowlists and airdrops
+ *
+ * Each address is resolved to a passport and checked against a set of
+ * criteria. Only the data a criterion needs is fetched: points and rank
+ * lookups are skipped entirely when no criterion uses them.
+ *
+ * Reads go through a strict view of the SDK, so only a confirmed missing
+ * passport fails an address as "No passport". A failed read is recorded with
+ * an `error` field instead, and the address is screened again on resume.
+ */
+
+/**
+ * Check a single address against the screening criteria
+ * @private
+ */
+async function screenAddress(sdk, address, criteria) {
+  const result = {
+    address,
+    passportId: null,
+    passed: false,
+    reasons: [],
+    data: {}
+  };
+
+  if (!ethers.utils.isAddress(address)) {
+    result.reasons.push('Invalid address');
+    return result;
+  }
+
+  // A missing passport is a failed check; any other read error is thrown and recorded as retryable
+  const passport = await sdk.getPassport(address).catch(error => {
+    if (error instanceof PassportNotFoundError) return null;
+    throw error;
+  });
+  if (!passport) {
+    result.reasons.push('No passport');
+    return result;
+  }
+
+  result.passportId = passport.id;
+
+  const activePlatforms = passport.platforms.filter(platform =>
+    passport.verifications[platform] && passport.verifications[platform].active
+  );
+  result.data.activePlatforms = activePlatforms;
+  result.data.category = passport.category;
+
+  if (criteria.platforms) {
+    const missing = criteria.platforms
+      .map(platform => platform.toLowerCase())
+      .filter(platform => !activePlatforms.includes(platform));
+
+    if (missing.length > 0) {
+      result.reasons.push(`Missing required platforms: ${missing.join(', ')}`);
+    }
+  }
+
+  if (criteria.anyPlatforms) {
+    const anyPlatforms = criteria.anyPlatforms.map(platform => platform.toLowerCase());
+    if (!anyPlatforms.some(platform => activePlatforms.includes(platform))) {
+      result.reasons.push(`Needs at least one of: ${anyPlatforms.join(', ')}`);
+    }
+  }
+
+  if (criteria.minVerifications !== undefined && activePlatforms.length < criteria.minVerifications) {
+    result.reasons.push(`Has ${activePlatforms.length} active verifications, needs ${criteria.minVerifications}`);
+  }
+
+  if (criteria.categories && !criteria.categories.includes(passport.category)) {
+    result.reasons.push(`Category ${passport.category} not in: ${criteria.categories.join(', ')}`);
+  }
+
+  if (criteria.minAccountAgeDays !== undefined) {
+    const ageInDays = Math.floor((sdk._now() - passport.createdAt) / (1000 * 60 * 60 * 24));
+    result.data.accountAge = ageInDays;
+
+    if (ageInDays < criteria.minAccountAgeDays) {
+      result.reasons.push(`Passport is ${ageInDays} days old, needs ${criteria.minAccountAgeDays}`);
+    }
+  }
+
+  if (criteria.minStrength !== undefined) {
+    const strength = await sdk._calculateVerificationStrength(passport, criteria.strengthModel);
+    result.data.strength = strength.score;
+
+    if (strength.score < criteria.minStrength) {
+      result.reasons.push(`Strength ${strength.score} below ${criteria.minStrength}`);
+    }
+  }
+
+  if (criteria.minPoints !== undefined) {
+    const breakdown = sdk.contracts.rewards ? await sdk.getPointBreakdown(passport.id) : null;
+    const points = breakdown ? breakdown.total : passport.totalPoints;
+    result.data.points = points;
+
+    if (points < criteria.minPoints) {
+      result.reasons.push(`Has ${points} points, needs ${criteria.minPoints}`);
+    }
+  }
+
+  if (criteria.maxRank !== undefined) {
+    const rank = sdk.contracts.leaderboard ? await sdk.getGlobalRank(passport.id) : null;
+    result.data.rank = rank;
+
+    if (rank === null) {
+      result.reasons.push('Leaderboard unavailable');
+    } else if (Number(rank) === 0 || rank > criteria.maxRank) {
+      result.reasons.push(Number(rank) === 0 ? 'Not ranked' : `Rank ${rank} above ${criteria.maxRank}`);
+    }
+  }
+
+  result.passed = result.reasons.length === 0;
+  return result;
+}
+
+/**
+ * Screen many addresses against passport criteria with bounded concurrency
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string[]} addresses - Wallet addresses to screen
+ * @param {Object} [criteria] - Requirements every address must meet
+ * @param {string[]} [criteria.platforms] - Platforms that must all be actively verified
+ * @param {string[]} [criteria.anyPlatforms] - Platforms of which at least one must be actively verified
+ * @param {number} [criteria.minVerifications] - Minimum number of active verifications
+ * @param {string[]} [criteria.categories] - Allowed passport categories
+ * @param {number} [criteria.minAccountAgeDays] - Minimum passport age in days
+ * @param {number} [criteria.minStrength] - Minimum verification strength score (0-100)
+ * @param {string} [criteria.strengthModel='default'] - Scoring model used for minStrength
+ * @param {number} [criteria.minPoints] - Minimum total points
+ * @param {number} [criteria.maxRank] - Worst acceptable global leaderboard rank
+ * @param {Object} [options] - Screening options
+ * @param {number} [options.concurrency=10] - Maximum addresses screened at once
+ * @param {Array} [options.checkpoint] - Results from an earlier run; those addresses are not screened again
+ * @param {Function} [options.onResult] - Called with each new result, e.g. to persist a checkpoint
+ * @param {Function} [options.onProgress] - Called with { completed, total, passed, failed } after each address
+ * @param {AbortSignal} [options.signal] - Stops screening early; partial results are returned
+ * @returns {Promise<Object>} - Per-address results and a summary
+ */
+export async function screenAddresses(sdk, addresses, criteria = {}, options = {}) {
+  sdk._ensureConnected();
+
+  const reader = sdk._strictView();
+  const concurrency = options.concurrency || 10;
+
+  // Deduplicate case-insensitively, keeping the first spelling seen
+  const seen = new Set();
+  const unique = [];
+  for (const address of addresses) {
+    const key = String(address).toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(address);
+    }
+  }
+
+  // Results that errored are retried on resume, everything else is kept
+  const done = new Map();
+  for (const previous of options.checkpoint || []) {
+    if (!previous.error) {
+      done.set(previous.address.toLowerCase(), previous);
+    }
+  }
+
+  const pending = unique.filter(address => !done.has(address.toLowerCase()));
+  const summary = {
+    total: unique.length,
+    completed: unique.length - pending.length,
+    passed: 0,
+    failed: 0,
+    errors: 0
+  };
+
+  for (const previous of done.values()) {
+    if (seen.has(previous.address.toLowerCase())) {
+      if (previous.passed) summary.passed++;
+      else summary.failed++;
+    }
+  }
+
+  await mapWithConcurrency(pending, concurrency, async address => {
+    let result;
+    try {
+      result = await screenAddress(reader, address, criteria);
+    } catch (error) {
+      result = {
+        address,
+        passportId: null,
+        passed: false,
+        reasons: [`Lookup failed: ${error.message}`],
+        data: {},
+        error: error.message
+      };
+      summary.errors++;
+    }
+
+    done.set(address.toLowerCase(), result);
+    summary.completed++;
+    if (result.passed) summary.passed++;
+    else summary.failed++;
+
+    if (options.onResult) options.onResult(result);
+    if (options.onProgress) {
+      options.onProgress({
+        completed: summary.completed,
+        total: summary.total,
+        passed: summary.passed,
+        failed: summary.failed
+      });
+    }
+  }, { signal: options.signal });
+
+  const results = unique
+    .map(address => done.get(address.toLowerCase()))
+    .filter(Boolean);
+
+  return {
+    results,
+    passed: results.filter(result => result.passed).map(result => result.address),
+    failed: results.filter(result => !result.passed).map(result => result.address),
+    summary: {
+      ...summary,
+      complete: summary.completed === summary.total
+    }
+  };
+}
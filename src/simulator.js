@@ -0,0 +1,208 @@
+import { ethers } from 'ethers';
+import { ContractUnavailableError } from './errors.js';
+import { buildDependencyGraph, punishmentApplies } from './dependencies.js';
+import { toNumeric } from './numbers.js';
+
+/**
+ * Points projection and punishment simulator
+ *
+ * Starting from a passport's current point breakdown, a list of hypothetical
+ * actions is applied in order on a simulated clock:
+ *
+ *   { verify: 'github' }  - verify a platform (its requirements must be met)
+ *   { revoke: 'discord' } - revoke a platform and every platform that cascades with it
+ *   { refer: 3 }          - refer users, earning the referral reward for each
+ *   { useReferral: true } - apply a referral code, earning the referee reward once
+ *   { hold: 30 }          - hold the passport for whole days, earning the daily holding reward
+ *
+ * Platform rewards are paid once per platform. A revocation within the
+ * platform's punishment period deducts the points it earned, after which a
+ * new verification earns the reward again. Dependency checks use the
+ * Platforms contract's `validateDependencies` and
+ * `getCascadeAffectedPlatforms` with the simulated platform list.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTION_TYPES = ['verify', 'revoke', 'refer', 'useReferral', 'hold'];
+
+/**
+ * Get the type of a simulated action
+ * @private
+ */
+function actionType(action) {
+  const keys = Object.keys(action || {}).filter(key => ACTION_TYPES.includes(key));
+  if (keys.length !== 1) {
+    throw new Error(`Invalid simulated action: ${JSON.stringify(action)}. Use one of ${ACTION_TYPES.join(', ')}`);
+  }
+
+  const type = keys[0];
+  const value = action[type];
+  if ((type === 'verify' || type === 'revoke') && typeof value !== 'string') {
+    throw new Error(`Simulated action "${type}" needs a platform name`);
+  }
+  if ((type === 'refer' || type === 'hold') && (!Number.isInteger(value) || value < 0)) {
+    throw new Error(`Simulated action "${type}" needs a non-negative whole number`);
+  }
+  return type;
+}
+
+/**
+ * Project a passport's points through a list of hypothetical actions
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID
+ * @param {Object[]} actions - Actions to apply in order (see above)
+ * @param {Object} [options] - Simulation options
+ * @param {Date} [options.start=now] - Time the simulation starts at
+ * @param {Object} [options.graph] - A graph from buildDependencyGraph, to avoid rebuilding it
+ * @returns {Promise<Object|null>} - { passportId, start, end, change, pointsLost, penalties, steps, endsAt, platforms }, or null if no passport
+ */
+export async function simulatePoints(sdk, addressOrPassportId, actions, options = {}) {
+  sdk._ensureConnected();
+  if (!sdk.contracts.rewards) {
+    throw new ContractUnavailableError('rewards');
+  }
+  // Needed for the dependency checks even when a graph is passed in
+  if (!sdk.contracts.platforms) {
+    throw new ContractUnavailableError('platforms');
+  }
+  const types = actions.map(actionType);
+
+  const passport = await sdk._loadPassport(addressOrPassportId);
+  if (!passport) return null;
+
+  const [graph, [holding, platform, referral], referralInfo, pointConfig] = await Promise.all([
+    options.graph || buildDependencyGraph(sdk),
+    sdk.contracts.rewards.getPointBreakdown(passport.id),
+    sdk.contracts.rewards.getReferralInfo(passport.id),
+    sdk.contracts.rewards.getPointConfig()
+  ]);
+  const [dailyHolding, referralReward, refereeReward] = pointConfig.map(value => BigInt(value.toString()));
+
+  // Simulated state; points are kept as BigInt and converted to the numeric mode on output
+  const points = {
+    holding: BigInt(holding.toString()),
+    platform: BigInt(platform.toString()),
+    referral: BigInt(referral.toString())
+  };
+  const state = {};
+  const activePlatforms = () => Object.keys(state).filter(name => state[name].active);
+
+  const earned = await Promise.all(passport.platforms.map(name =>
+    sdk.contracts.rewards.getPlatformPoints(passport.id, name)
+  ));
+  passport.platforms.forEach((name, index) => {
+    const verification = passport.verifications[name];
+    if (!verification) return;
+    state[name] = {
+      active: verification.active,
+      verifiedAt: verification.verifiedAt,
+      earned: BigInt(earned[index].toString()),
+      rewarded: Boolean(verification.pointsAwarded)
+    };
+  });
+
+  let clock = options.start ? options.start.getTime() : sdk._now();
+  let referred = referralInfo[1] !== ethers.constants.AddressZero;
+
+  const convert = (value, field) => toNumeric(value, sdk.numeric, field);
+  const snapshot = () => ({
+    holding: convert(points.holding, 'holding'),
+    platform: convert(points.platform, 'platform'),
+    referral: convert(points.referral, 'referral'),
+    total: convert(points.holding + points.platform + points.referral, 'total')
+  });
+
+  const start = snapshot();
+  const startTotal = points.holding + points.platform + points.referral;
+  const penalties = [];
+  const steps = [];
+  let pointsLost = 0n;
+
+  for (const [index, action] of actions.entries()) {
+    const type = types[index];
+    const before = points.holding + points.platform + points.referral;
+    const step = { action, applied: true, reason: null, at: new Date(clock), penalties: [], lostPlatforms: [] };
+
+    if (type === 'verify') {
+      const name = action.verify.toLowerCase();
+      const node = graph.platforms[name];
+
+      if (!node) {
+        Object.assign(step, { applied: false, reason: `${name} is not a supported platform` });
+      } else if (state[name] && state[name].active) {
+        Object.assign(step, { applied: false, reason: `${name} is already verified` });
+      } else {
+        const [isValid, missingDependency] = await sdk.contracts.platforms.validateDependencies(activePlatforms(), name);
+        if (!isValid) {
+          Object.assign(step, { applied: false, reason: `${name} requires ${missingDependency}` });
+        } else {
+          const reward = state[name] && state[name].rewarded ? 0n : BigInt(node.pointReward || 0);
+          points.platform += reward;
+          state[name] = {
+            active: true,
+            verifiedAt: new Date(clock),
+            earned: reward > 0n ? reward : (state[name] ? state[name].earned : 0n),
+            rewarded: true
+          };
+        }
+      }
+    } else if (type === 'revoke') {
+      const name = action.revoke.toLowerCase();
+
+      if (!state[name] || !state[name].active) {
+        Object.assign(step, { applied: false, reason: `${name} is not verified` });
+      } else {
+        const active = activePlatforms();
+        const cascaded = await sdk.contracts.platforms.getCascadeAffectedPlatforms(active, name);
+        step.lostPlatforms = [name, ...cascaded.filter(affected => affected !== name && active.includes(affected))];
+
+        for (const lost of step.lostPlatforms) {
+          const record = state[lost];
+          record.active = false;
+
+          if (record.rewarded && punishmentApplies(graph.platforms[lost], record.verifiedAt, clock)) {
+            const deducted = record.earned < points.platform ? record.earned : points.platform;
+            points.platform -= deducted;
+            pointsLost += deducted;
+            record.rewarded = false;
+            record.earned = 0n;
+
+            const penalty = { platform: lost, points: convert(deducted, 'penalty'), at: new Date(clock) };
+            step.penalties.push(penalty);
+            penalties.push(penalty);
+          }
+        }
+      }
+    } else if (type === 'refer') {
+      points.referral += referralReward * BigInt(action.refer);
+    } else if (type === 'useReferral') {
+      if (referred) {
+        Object.assign(step, { applied: false, reason: 'Passport has already used a referral code' });
+      } else {
+        points.referral += refereeReward;
+        referred = true;
+      }
+    } else if (type === 'hold') {
+      points.holding += dailyHolding * BigInt(action.hold);
+      clock += action.hold * DAY_MS;
+    }
+
+    step.change = convert(points.holding + points.platform + points.referral - before, 'change');
+    step.points = snapshot();
+    steps.push(step);
+  }
+
+  const endTotal = points.holding + points.platform + points.referral;
+  return {
+    passportId: passport.id,
+    start,
+    end: snapshot(),
+    change: convert(endTotal - startTotal, 'change'),
+    pointsLost: convert(pointsLost, 'pointsLost'),
+    penalties,
+    steps,
+    endsAt: new Date(clock),
+    platforms: activePlatforms()
+  };
+}
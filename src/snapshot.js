@@ -0,0 +1,410 @@
+import { ethers } from 'ethers';
+import { iterateLeaderboard } from './leaderboard.js';
+import { mapWithConcurrency } from './utils.js';
+
+/**
+ * Merkle snapshots for airdrops and on-chain allowlists
+ *
+ * A snapshot selects holders from one source, reads each holder's points or
+ * verification strength at a single block, turns that value into a claim
+ * amount with a weighting function and commits every (address, amount) pair
+ * to a Merkle root. Sources:
+ *
+ *   { leaderboard: { category, from, to } } - a rank range of a leaderboard
+ *   { indexer, filter, options }            - the results of PasslyIndexer.query
+ *   { addresses: [...] }                    - a list of wallet addresses
+ *
+ * The tree uses the OpenZeppelin StandardMerkleTree layout with the leaf
+ * encoding ['address', 'uint256'], so roots and proofs work with
+ * MerkleProof.verify and `tree` loads with StandardMerkleTree.load. Every
+ * integer in a snapshot is a decimal string, keeping it JSON-safe whatever
+ * the SDK's numeric mode.
+ */
+
+export const SNAPSHOT_FORMAT = 'passly-snapshot-v1';
+
+const LEAF_ENCODING = ['address', 'uint256'];
+
+const BASES = ['points', 'strength'];
+
+/**
+ * @private
+ */
+function leafHash(value) {
+  return ethers.utils.keccak256(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(LEAF_ENCODING, value)));
+}
+
+/**
+ * @private
+ */
+function compareHashes(a, b) {
+  const x = BigInt(a);
+  const y = BigInt(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * @private
+ */
+function hashPair(a, b) {
+  return ethers.utils.keccak256(ethers.utils.concat([a, b].sort(compareHashes)));
+}
+
+/**
+ * Build the tree of a list of [address, amount] values. Leaves are sorted by hash and stored right to left
+ * at the end of the array; node i has children 2i + 1 and 2i + 2.
+ * @private
+ */
+function buildTree(values) {
+  if (values.length === 0) {
+    throw new Error('A snapshot needs at least one holder');
+  }
+
+  const leaves = values
+    .map((value, valueIndex) => ({ valueIndex, hash: leafHash(value) }))
+    .sort((a, b) => compareHashes(a.hash, b.hash));
+
+  const tree = new Array(2 * leaves.length - 1);
+  const treeIndices = new Array(values.length);
+  leaves.forEach((leaf, leafIndex) => {
+    tree[tree.length - 1 - leafIndex] = leaf.hash;
+    treeIndices[leaf.valueIndex] = tree.length - 1 - leafIndex;
+  });
+  for (let i = tree.length - 1 - leaves.length; i >= 0; i--) {
+    tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+  }
+
+  return { tree, treeIndices };
+}
+
+/**
+ * @private
+ */
+function proofFor(tree, treeIndex) {
+  const proof = [];
+  for (let i = treeIndex; i > 0; i = Math.floor((i - 1) / 2)) {
+    proof.push(tree[i % 2 === 1 ? i + 1 : i - 1]);
+  }
+  return proof;
+}
+
+/**
+ * Check a proof for an (address, amount) pair against a root
+ * @param {string} root - The Merkle root
+ * @param {string} address - The claiming address
+ * @param {number|bigint|string} amount - The claim amount
+ * @param {string[]} proof - Sibling hashes from the leaf up
+ * @returns {boolean} - Whether the pair is in the tree
+ */
+export function verifySnapshotProof(root, address, amount, proof) {
+  const computed = proof.reduce(hashPair, leafHash([address, String(amount)]));
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Describe a source so it can be recorded in the exported snapshot
+ * @private
+ */
+function describeSource(source) {
+  if (source.leaderboard) {
+    return {
+      type: 'leaderboard',
+      category: source.leaderboard.category || 'global',
+      from: source.leaderboard.from || 1,
+      to: source.leaderboard.to === undefined ? null : source.leaderboard.to
+    };
+  }
+  if (source.indexer) {
+    return { type: 'indexer', filter: source.filter || {}, options: source.options || {} };
+  }
+  if (source.addresses) {
+    return { type: 'addresses', count: source.addresses.length };
+  }
+  throw new Error('Unknown snapshot source. Use { leaderboard }, { indexer } or { addresses }');
+}
+
+/**
+ * Collect the candidates of a source: passport IDs, or addresses for an address list
+ * @private
+ */
+async function collectCandidates(view, source) {
+  if (source.leaderboard) {
+    const from = source.leaderboard.from || 1;
+    const to = source.leaderboard.to;
+    if (!Number.isInteger(from) || from < 1 || (to !== undefined && (!Number.isInteger(to) || to < from))) {
+      throw new Error(`Invalid leaderboard range: ${from} to ${to}`);
+    }
+
+    // The contract always reads from the top, so skipping the first ranks here costs nothing extra
+    const candidates = [];
+    let position = 0;
+    for await (const entry of iterateLeaderboard(view, { category: source.leaderboard.category, limit: to })) {
+      if (++position >= from) candidates.push({ passportId: entry.passportId });
+    }
+    return candidates;
+  }
+
+  if (source.indexer) {
+    const records = await source.indexer.query(source.filter || {}, source.options || {});
+    return records.map(record => ({ passportId: record.passportId }));
+  }
+
+  return source.addresses.map(address => ({ address }));
+}
+
+/**
+ * Convert a weighting result to a uint256 decimal string
+ * @private
+ */
+function toAmount(weighted, holder) {
+  const valid = typeof weighted === 'bigint'
+    || (typeof weighted === 'number' && Number.isSafeInteger(weighted))
+    || (typeof weighted === 'string' && /^\d+$/.test(weighted));
+  const amount = valid ? BigInt(weighted) : -1n;
+  if (amount < 0n || amount >= 2n ** 256n) {
+    throw new Error(`Weighting returned ${weighted} for ${holder.address}; amounts must be whole numbers from 0 to 2^256 - 1`);
+  }
+  return amount.toString();
+}
+
+/**
+ * Read a candidate's passport and the value the weighting applies to
+ * @private
+ */
+async function readHolder(view, candidate, basis, strengthModel) {
+  if (candidate.address !== undefined && !ethers.utils.isAddress(candidate.address)) {
+    return { excluded: 'Invalid address' };
+  }
+
+  // Only a missing passport excludes a candidate; failed reads are thrown
+  const passport = await view._loadPassport(candidate.address !== undefined ? candidate.address : candidate.passportId);
+  if (!passport) {
+    return { excluded: 'No passport' };
+  }
+
+  const value = basis === 'strength'
+    ? (await view._calculateVerificationStrength(passport, strengthModel)).score
+    : passport.totalPoints;
+
+  return {
+    address: ethers.utils.getAddress(passport.owner),
+    passportId: String(passport.id),
+    passport,
+    value
+  };
+}
+
+/**
+ * Resolve the block to read at and an SDK view pinned to it
+ * @private
+ */
+async function pinBlock(sdk, blockNumber) {
+  if (sdk.blockTag !== undefined) {
+    return { view: sdk, blockNumber: sdk.blockTag };
+  }
+  const block = blockNumber !== undefined ? blockNumber : await sdk._readProvider().getBlockNumber();
+  return { view: await sdk.at(block), blockNumber: block };
+}
+
+/**
+ * Build a Merkle snapshot of passport holders
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {Object} source - Where holders come from: { leaderboard }, { indexer, filter, options } or { addresses }
+ * @param {Object} [options] - Snapshot options
+ * @param {string} [options.basis='points'] - Value the weighting applies to: points (total points) or strength (strength score)
+ * @param {Function} [options.weight] - (value, holder) => amount as a whole number, bigint or decimal string; the value itself by default
+ * @param {string} [options.strengthModel='default'] - Scoring model when the basis is strength
+ * @param {number} [options.blockNumber] - Block to read at (the latest block by default, or the historical view's block)
+ * @param {boolean} [options.includeZero=false] - Keep holders whose amount is zero
+ * @param {number} [options.concurrency=5] - Maximum passports read at once
+ * @returns {Promise<Object>} - The snapshot: root, entries with proofs, excluded candidates and the OpenZeppelin tree dump
+ */
+export async function buildSnapshot(sdk, source, options = {}) {
+  sdk._ensureConnected();
+
+  const basis = options.basis || 'points';
+  if (!BASES.includes(basis)) {
+    throw new Error(`Unknown snapshot basis: ${basis}. Use one of ${BASES.join(', ')}`);
+  }
+  const weight = options.weight || (value => value);
+  const strengthModel = options.strengthModel || 'default';
+  const described = describeSource(source || {});
+
+  const { view, blockNumber } = await pinBlock(sdk, options.blockNumber);
+  const candidates = await collectCandidates(view, source);
+  const holders = await mapWithConcurrency(candidates, options.concurrency || 5, candidate =>
+    readHolder(view, candidate, basis, strengthModel)
+  );
+
+  const entries = [];
+  const excluded = [];
+  const seen = new Set();
+  for (const [index, holder] of holders.entries()) {
+    const candidate = candidates[index];
+    const label = candidate.address !== undefined ? { address: candidate.address } : { passportId: String(candidate.passportId) };
+
+    if (holder.excluded) {
+      excluded.push({ ...label, reason: holder.excluded });
+      continue;
+    }
+    // A claim contract pays each address once, so the first occurrence wins
+    if (seen.has(holder.address)) {
+      excluded.push({ ...label, reason: `Duplicate of ${holder.address}` });
+      continue;
+    }
+
+    const amount = toAmount(await weight(holder.value, holder), holder);
+    if (amount === '0' && !options.includeZero) {
+      excluded.push({ ...label, reason: 'Zero amount' });
+      continue;
+    }
+
+    seen.add(holder.address);
+    entries.push({ address: holder.address, passportId: holder.passportId, value: String(holder.value), amount });
+  }
+
+  const values = entries.map(entry => [entry.address, entry.amount]);
+  const { tree, treeIndices } = buildTree(values);
+  entries.forEach((entry, index) => {
+    entry.proof = proofFor(tree, treeIndices[index]);
+  });
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    root: tree[0],
+    chainId: sdk.network.chainId,
+    blockNumber,
+    createdAt: new Date(sdk._now()).toISOString(),
+    source: described,
+    basis,
+    strengthModel: basis === 'strength' ? strengthModel : null,
+    total: entries.reduce((sum, entry) => sum + BigInt(entry.amount), 0n).toString(),
+    entries,
+    excluded,
+    tree: {
+      format: 'standard-v1',
+      leafEncoding: [...LEAF_ENCODING],
+      tree,
+      values: values.map((value, index) => ({ value, treeIndex: treeIndices[index] }))
+    }
+  };
+}
+
+/**
+ * Serialise a snapshot for publishing
+ * @param {Object} snapshot - A snapshot from buildSnapshot
+ * @returns {string} - The snapshot as indented JSON
+ */
+export function exportSnapshot(snapshot) {
+  return JSON.stringify(snapshot, null, 2);
+}
+
+/**
+ * @private
+ */
+function parseSnapshot(snapshot) {
+  const parsed = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  if (!parsed || parsed.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Not a Passly snapshot (expected format ${SNAPSHOT_FORMAT})`);
+  }
+  return parsed;
+}
+
+/**
+ * Find an address's amount and proof in a snapshot
+ * @param {Object|string} snapshot - A snapshot or its exported JSON
+ * @param {string} address - The claiming address
+ * @returns {Object|null} - { address, passportId, amount, proof }, or null if the address is not in the snapshot
+ */
+export function getSnapshotProof(snapshot, address) {
+  const parsed = parseSnapshot(snapshot);
+  if (!ethers.utils.isAddress(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+
+  const checksummed = ethers.utils.getAddress(address);
+  const entry = parsed.entries.find(candidate => candidate.address === checksummed);
+  return entry
+    ? { address: entry.address, passportId: entry.passportId, amount: entry.amount, proof: entry.proof }
+    : null;
+}
+
+/**
+ * Verify a snapshot: rebuild its tree and proofs, then re-read every holder at the snapshot block and recompute the root
+ * @param {PasslySDK} sdk - A connected SDK instance on the snapshot's network
+ * @param {Object|string} snapshot - A snapshot or its exported JSON
+ * @param {Object} [options] - Verification options
+ * @param {Function} [options.weight] - The weighting the snapshot was built with
+ * @param {number} [options.concurrency=5] - Maximum passports read at once
+ * @returns {Promise<Object>} - { valid, root, computedRoot, mismatches, reasons }
+ */
+export async function verifySnapshot(sdk, snapshot, options = {}) {
+  sdk._ensureConnected();
+
+  const parsed = parseSnapshot(snapshot);
+  const weight = options.weight || (value => value);
+  const reasons = [];
+  const mismatches = [];
+
+  // The published tree must match its own entries
+  const values = parsed.entries.map(entry => [entry.address, entry.amount]);
+  const { tree } = buildTree(values);
+  if (tree[0] !== parsed.root) {
+    reasons.push(`Entries hash to ${tree[0]}, not the published root ${parsed.root}`);
+  }
+  if (parsed.tree && JSON.stringify(parsed.tree.tree) !== JSON.stringify(tree)) {
+    reasons.push('Published tree dump does not match the entries');
+  }
+  const badProofs = parsed.entries.filter(entry => !verifySnapshotProof(parsed.root, entry.address, entry.amount, entry.proof));
+  if (badProofs.length > 0) {
+    reasons.push(`Invalid proofs for ${badProofs.map(entry => entry.address).join(', ')}`);
+  }
+
+  if (parsed.chainId !== sdk.network.chainId) {
+    reasons.push(`Snapshot is for chain ${parsed.chainId}, connected to ${sdk.network.chainId}`);
+    return { valid: false, root: parsed.root, computedRoot: null, mismatches, reasons };
+  }
+
+  // Recompute every amount from on-chain data at the snapshot block
+  const view = await sdk.at(parsed.blockNumber);
+  const holders = await mapWithConcurrency(parsed.entries, options.concurrency || 5, entry =>
+    readHolder(view, { passportId: entry.passportId }, parsed.basis, parsed.strengthModel || 'default')
+  );
+
+  const recomputed = [];
+  for (const [index, holder] of holders.entries()) {
+    const entry = parsed.entries[index];
+
+    if (holder.excluded) {
+      mismatches.push({ address: entry.address, passportId: entry.passportId, reason: holder.excluded });
+      recomputed.push([entry.address, '0']);
+      continue;
+    }
+    if (holder.address !== entry.address) {
+      mismatches.push({ address: entry.address, passportId: entry.passportId, reason: `Passport was owned by ${holder.address}` });
+    }
+
+    const amount = toAmount(await weight(holder.value, holder), holder);
+    if (amount !== entry.amount) {
+      mismatches.push({
+        address: entry.address,
+        passportId: entry.passportId,
+        reason: `Amount is ${amount} on-chain, ${entry.amount} in the snapshot`
+      });
+    }
+    recomputed.push([holder.address, amount]);
+  }
+
+  const computedRoot = buildTree(recomputed).tree[0];
+  if (computedRoot !== parsed.root) {
+    reasons.push(`On-chain data at block ${parsed.blockNumber} hashes to ${computedRoot}`);
+  }
+
+  return {
+    valid: reasons.length === 0 && mismatches.length === 0,
+    root: parsed.root,
+    computedRoot,
+    mismatches,
+    reasons
+  };
+}
@@ -0,0 +1,173 @@
+import { ContractUnavailableError, isPassportNotFound, toPasslyError } from './errors.js';
+import { compareNumeric } from './numbers.js';
+import { mapWithConcurrency } from './utils.js';
+
+/**
+ * Sybil analysis based on identifier reuse recorded in the Archives contract
+ *
+ * Every identifier a passport has ever verified is looked up in the archives
+ * to find other passports that used the same account. Each shared identifier
+ * becomes an edge in a linkage graph, with the verification and revocation
+ * timestamps of both sides so handoffs between wallets can be spotted.
+ */
+
+/**
+ * Build the sybil linkage graph around a passport
+ * @param {PasslySDK} sdk - A connected SDK instance
+ * @param {string|number} addressOrPassportId - Wallet address or passport ID to start from
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.depth=1] - How many hops of linked passports to expand
+ * @param {string[]} [options.platforms] - Platforms to inspect (defaults to all supported platforms)
+ * @param {number} [options.maxPassports=100] - Stop expanding once this many passports are in the graph
+ * @param {number} [options.concurrency=5] - Maximum platforms inspected at once per passport
+ * @returns {Promise<Object>} - Linkage graph with nodes, edges and per-passport summaries; truncated
+ *   when maxPassports left a linked passport out or a passport at the last hop links outside the graph
+ */
+export async function buildSybilGraph(sdk, addressOrPassportId, options = {}) {
+  sdk._ensureConnected();
+
+  if (!sdk.contracts.archives) {
+    throw new ContractUnavailableError('archives');
+  }
+
+  const depth = options.depth === undefined ? 1 : options.depth;
+  const maxPassports = options.maxPassports || 100;
+  const concurrency = options.concurrency || 5;
+
+  // Strict reads throw on a failed read, which would otherwise look like a passport without links
+  const reader = sdk._strictView();
+  const rootId = await reader._resolvePassportId(addressOrPassportId);
+  const basePlatforms = options.platforms || await reader.getSupportedPlatforms();
+
+  const nodes = new Map([[rootId, { passportId: rootId, depth: 0 }]]);
+  const edges = [];
+  const edgeKeys = new Set();
+  const histories = new Map();
+  let skipped = false;
+
+  // Verification history is needed for both ends of an edge, so cache it per passport and platform
+  const loadHistory = (passportId, platform) => {
+    const key = `${passportId}:${platform}`;
+    if (!histories.has(key)) {
+      histories.set(key, reader.getVerificationHistory(passportId, platform).then(history => history || []));
+    }
+    return histories.get(key);
+  };
+
+  const usageOf = async (passportId, platform, identifier) => {
+    const history = await loadHistory(passportId, platform);
+    return history
+      .filter(entry => entry.identifier === identifier)
+      .map(entry => ({ verifiedAt: entry.verifiedAt, revokedAt: entry.revokedAt }));
+  };
+
+  // Every identifier a passport has used, with the other passports that used it
+  const linksOf = async passportId => {
+    const verified = await reader.contracts.passly.getVerifiedPlatforms(passportId).catch(error => {
+      if (isPassportNotFound(error)) return [];
+      throw toPasslyError(error, { addressOrPassportId: passportId });
+    });
+    const platforms = [...new Set([...basePlatforms, ...verified])];
+
+    const perPlatform = await mapWithConcurrency(platforms, concurrency, async platform => {
+      const [history, historical] = await Promise.all([
+        loadHistory(passportId, platform),
+        reader.getHistoricalIdentifiers(passportId, platform)
+      ]);
+
+      const identifiers = [...new Set([
+        ...history.map(entry => entry.identifier),
+        ...(historical || [])
+      ])];
+
+      const links = [];
+      for (const identifier of identifiers) {
+        const usage = await reader.getIdentifierUsage(platform, identifier);
+        const others = (usage || []).filter(otherId => String(otherId) !== String(passportId));
+        if (others.length > 0) links.push({ platform, identifier, others });
+      }
+      return links;
+    });
+    return perPlatform.flat();
+  };
+
+  let frontier = [rootId];
+
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+
+    for (const passportId of frontier) {
+      const links = await linksOf(passportId);
+
+      await mapWithConcurrency(links, concurrency, async ({ platform, identifier, others }) => {
+        for (const otherId of others) {
+          const [low, high] = compareNumeric(passportId, otherId) < 0 ? [passportId, otherId] : [otherId, passportId];
+          const edgeKey = `${low}:${high}:${platform}:${identifier}`;
+
+          if (!edgeKeys.has(edgeKey)) {
+            edgeKeys.add(edgeKey);
+
+            const [fromUsage, toUsage] = await Promise.all([
+              usageOf(passportId, platform, identifier),
+              usageOf(otherId, platform, identifier)
+            ]);
+            const linkedAt = [...fromUsage, ...toUsage]
+              .map(entry => entry.verifiedAt)
+              .sort((a, b) => b - a)[0] || null;
+
+            edges.push({
+              from: passportId,
+              to: otherId,
+              platform,
+              identifier,
+              reason: 'identifier-reuse',
+              fromUsage,
+              toUsage,
+              linkedAt
+            });
+          }
+
+          if (nodes.has(otherId)) continue;
+          if (nodes.size >= maxPassports) {
+            skipped = true;
+            continue;
+          }
+          nodes.set(otherId, { passportId: otherId, depth: level + 1 });
+          next.push(otherId);
+        }
+      });
+    }
+
+    frontier = next;
+  }
+
+  // Passports at the depth limit were not expanded; the graph is only truncated if one links outside it
+  let truncated = skipped;
+  for (const passportId of frontier) {
+    if (truncated) break;
+    const links = await linksOf(passportId);
+    truncated = links.some(link => link.others.some(otherId => !nodes.has(otherId)));
+  }
+
+  // Summarise how each linked passport connects to the rest of the graph
+  const linked = [...nodes.values()]
+    .filter(node => node.passportId !== rootId)
+    .map(node => {
+      const nodeEdges = edges.filter(edge => edge.from === node.passportId || edge.to === node.passportId);
+      return {
+        passportId: node.passportId,
+        depth: node.depth,
+        sharedIdentifiers: nodeEdges.length,
+        platforms: [...new Set(nodeEdges.map(edge => edge.platform))]
+      };
+    })
+    .sort((a, b) => a.depth - b.depth || b.sharedIdentifiers - a.sharedIdentifiers);
+
+  return {
+    passportId: rootId,
+    nodes: [...nodes.values()],
+    edges,
+    linked,
+    truncated
+  };
+}
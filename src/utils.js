@@ -0,0 +1,38 @@
+/**
+ * Shared helpers used across Passly SDK modules
+ */
+
+/**
+ * Run an async worker over a list of items with at most `concurrency` in flight
+ * @param {Array} items - The items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {Object} [options] - Additional options
+ * @param {AbortSignal} [options.signal] - Stops picking up new items once aborted
+ * @returns {Promise<Array>} - Worker results in input order (undefined for skipped items)
+ */
+export async function mapWithConcurrency(items, concurrency, worker, options = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      if (options.signal && options.signal.aborted) return;
+
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
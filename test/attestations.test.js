@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { verifyAttestation } from '../src/index.js';
+import { NOW, OWNER, createSdk, fakeProvider, rpcFailure } from './helpers.js';
+
+const ATTESTER = ethers.Wallet.createRandom();
+const STRANGER = ethers.Wallet.createRandom();
+const MISSING = '0x000000000000000000000000000000000000dEaD';
+
+function attesterSdk(options = {}) {
+  return createSdk({ config: { signer: ATTESTER }, ...options });
+}
+
+test('an attestation is read at one block and verifies for its attester only', async () => {
+  const sdk = attesterSdk({ provider: fakeProvider({ blockNumber: 1234 }) });
+
+  const attestation = await sdk.createAttestation(OWNER, ['passportId', 'platforms', 'totalPoints']);
+  assert.deepEqual(sdk.views, [1234]);
+  assert.equal(attestation.blockNumber, 1234);
+  assert.equal(attestation.hasPassport, true);
+  assert.deepEqual(attestation.claims, { passportId: '7', platforms: ['github', 'twitter'], totalPoints: '350' });
+
+  const result = verifyAttestation(attestation, [ATTESTER.address]);
+  assert.equal(result.valid, true, result.reasons.join('; '));
+  assert.equal(result.attester, ATTESTER.address);
+
+  assert.equal(verifyAttestation(attestation, [STRANGER.address]).valid, false);
+  assert.throws(() => verifyAttestation(attestation, []), /trusted attesters/);
+});
+
+test('a tampered or expired attestation is rejected', async () => {
+  const attestation = await attesterSdk().createAttestation(OWNER, ['platforms'], { expiresIn: 60 });
+
+  const tampered = { ...attestation, claims: { platforms: ['github', 'twitter', 'discord'] } };
+  assert.match(verifyAttestation(tampered, [ATTESTER.address]).reasons[0], /not trusted/);
+
+  const unsigned = { ...attestation, claims: { ...attestation.claims, totalPoints: '9999' } };
+  assert.match(verifyAttestation(unsigned, [ATTESTER.address]).reasons[0], /Unsigned claims: totalPoints/);
+
+  const later = new Date((attestation.expiresAt + 1) * 1000);
+  assert.equal(verifyAttestation(attestation, [ATTESTER.address], { time: later }).valid, false);
+});
+
+test('an address without a passport is attested as such', async () => {
+  const attestation = await attesterSdk().createAttestation(MISSING, ['passportId', 'platforms']);
+
+  assert.equal(attestation.hasPassport, false);
+  assert.deepEqual(attestation.claims, { passportId: '0', platforms: [] });
+  assert.equal(verifyAttestation(attestation, [ATTESTER.address]).valid, true);
+});
+
+test('a failed read is not signed as "no passport"', async () => {
+  const sdk = attesterSdk();
+  const failure = rpcFailure();
+  sdk.contracts.passly.getPassportByAddress = async () => { throw failure; };
+
+  await assert.rejects(() => sdk.createAttestation(OWNER, ['platforms']), error => error === failure);
+});
+
+test('a pinned view attests with its block time and number', async () => {
+  const view = await attesterSdk().at(900);
+  view.blockTimestamp = (NOW - 3600) * 1000;
+
+  const attestation = await view.createAttestation(OWNER, ['category'], { expiresIn: 60 });
+  assert.equal(attestation.blockNumber, 900);
+  assert.equal(attestation.issuedAt, NOW - 3600);
+  assert.equal(attestation.expiresAt, NOW - 3540);
+});
+
+test('the block comes from the provider the contracts read through', async () => {
+  const signer = {
+    provider: fakeProvider({ blockNumber: 77 }),
+    getAddress: async () => ATTESTER.address,
+    _signTypedData: (...args) => ATTESTER._signTypedData(...args)
+  };
+  const sdk = createSdk({ config: { signer }, provider: fakeProvider({ blockNumber: 5 }) });
+
+  const attestation = await sdk.createAttestation(OWNER, ['category']);
+  assert.equal(attestation.blockNumber, 77);
+});
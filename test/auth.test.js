@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { SignInError, verifySessionToken } from '../src/index.js';
+import { createSdk, defaultPassports, rpcFailure } from './helpers.js';
+
+const WALLET = ethers.Wallet.createRandom();
+const SECRET = 'test-secret';
+const DOMAIN = 'app.example.com';
+
+function walletSdk() {
+  const passports = defaultPassports();
+  passports[7].owner = WALLET.address;
+  return createSdk({ passports });
+}
+
+async function signedMessage(sdk, fields = {}, wallet = WALLET) {
+  const { message, nonce } = sdk.createSignInMessage(WALLET.address, { domain: DOMAIN, uri: `https://${DOMAIN}`, ...fields });
+  return { message, nonce, signature: await wallet.signMessage(message) };
+}
+
+const rejectsWith = reason => error => error instanceof SignInError && error.reason === reason;
+
+test('signIn returns the passport and a JWT that verifies', async () => {
+  const sdk = walletSdk();
+  const { message, nonce, signature } = await signedMessage(sdk);
+
+  const session = await sdk.signIn(message, signature, { domain: DOMAIN, nonce, jwt: { secret: SECRET, audience: 'api' } });
+  assert.equal(session.address, WALLET.address);
+  assert.equal(session.passportId, 7);
+  assert.deepEqual(Object.keys(session.verifications).sort(), ['github', 'twitter']);
+
+  const claims = await verifySessionToken(session.token, SECRET, { issuer: DOMAIN, audience: 'api' });
+  assert.equal(claims.sub, WALLET.address);
+  assert.equal(claims.passly.passportId, '7');
+});
+
+test('session tokens are rejected when tampered with, signed with another secret or expired', async () => {
+  const sdk = walletSdk();
+  const { message, nonce, signature } = await signedMessage(sdk);
+  const { token } = await sdk.signIn(message, signature, { domain: DOMAIN, nonce, jwt: { secret: SECRET, expiresIn: 60 } });
+
+  const [header, payload, mac] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, sub: ethers.constants.AddressZero })).toString('base64url');
+
+  await assert.rejects(() => verifySessionToken(`${header}.${forged}.${mac}`, SECRET), rejectsWith('invalid_token'));
+  await assert.rejects(() => verifySessionToken(token, 'other-secret'), rejectsWith('invalid_token'));
+  await assert.rejects(() => verifySessionToken(token, SECRET, { time: new Date(Date.now() + 120000) }), rejectsWith('token_expired'));
+  await assert.rejects(() => verifySessionToken(token, SECRET, { audience: 'api' }), rejectsWith('invalid_token'));
+});
+
+test('signIn rejects a wrong nonce, domain, expired message or foreign signature', async () => {
+  const sdk = walletSdk();
+  const { message, nonce, signature } = await signedMessage(sdk);
+
+  await assert.rejects(() => sdk.signIn(message, signature, { domain: DOMAIN, nonce: 'abcdefgh12' }), rejectsWith('nonce_mismatch'));
+  await assert.rejects(() => sdk.signIn(message, signature, { domain: 'evil.example.com', nonce }), rejectsWith('domain_mismatch'));
+
+  const expired = await signedMessage(sdk, { expirationTime: new Date(Date.now() - 1000) });
+  await assert.rejects(() => sdk.signIn(expired.message, expired.signature, { domain: DOMAIN, nonce: expired.nonce }), rejectsWith('expired'));
+
+  const foreign = await signedMessage(sdk, {}, ethers.Wallet.createRandom());
+  await assert.rejects(() => sdk.signIn(foreign.message, foreign.signature, { domain: DOMAIN, nonce: foreign.nonce }), rejectsWith('invalid_signature'));
+
+  await assert.rejects(() => sdk.signIn(message, signature, { domain: DOMAIN }), /needs the expected domain and the nonce/);
+});
+
+test('a failed passport read fails the sign-in instead of dropping the passport', async () => {
+  const sdk = walletSdk();
+  const failure = rpcFailure();
+  sdk.contracts.passly.getPassportByAddress = async () => { throw failure; };
+  const { message, nonce, signature } = await signedMessage(sdk);
+
+  await assert.rejects(() => sdk.signIn(message, signature, { domain: DOMAIN, nonce }), error => error === failure);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import PasslySDK from '../src/index.js';
+import { CacheManager, withCache } from '../src/cache.js';
+import { BN } from './helpers.js';
+
+const PASSLY = new ethers.utils.Interface([
+  'function isIdentifierVerified(string platform, string identifier) view returns (bool isVerified, uint256 passportId)',
+  'function getVerifiedPlatforms(uint256 passportId) view returns (string[])'
+]);
+
+function countingContract() {
+  const calls = { isIdentifierVerified: 0, getVerifiedPlatforms: 0 };
+  return {
+    calls,
+    contract: {
+      interface: PASSLY,
+      isIdentifierVerified: async () => { calls.isIdentifierVerified++; return [true, BN(7)]; },
+      getVerifiedPlatforms: async () => { calls.getVerifiedPlatforms++; return ['github']; }
+    }
+  };
+}
+
+test('events drop the cached global reads they can change', async () => {
+  const cache = new CacheManager();
+  const { calls, contract } = countingContract();
+  const passly = withCache(contract, 'passly', cache);
+
+  await passly.isIdentifierVerified('github', 'octocat');
+  await passly.getVerifiedPlatforms(7);
+  await passly.isIdentifierVerified('github', 'octocat');
+  assert.equal(calls.isIdentifierVerified, 1);
+
+  await cache.invalidateEvents(['pointsChanged']);
+  await passly.isIdentifierVerified('github', 'octocat');
+  assert.equal(calls.isIdentifierVerified, 1);
+
+  await cache.invalidateEvents(['verificationRevoked']);
+  await passly.isIdentifierVerified('github', 'octocat');
+  await passly.getVerifiedPlatforms(7);
+  assert.equal(calls.isIdentifierVerified, 2);
+  assert.equal(calls.getVerifiedPlatforms, 1);
+});
+
+test('the chain ID is appended to a custom namespace', async () => {
+  const provider = new ethers.providers.StaticJsonRpcProvider('http://127.0.0.1:1', { chainId: 8453, name: 'base' });
+
+  const custom = await new PasslySDK({ provider, cache: { namespace: 'app' } }).connect();
+  const standard = await new PasslySDK({ provider, cache: true }).connect();
+
+  assert.equal(custom.cache.namespace, 'app:8453');
+  assert.equal(standard.cache.namespace, 'passly:8453');
+});
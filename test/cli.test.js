@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { formatOutput, parseCsv, runCli } from '../src/cli.js';
+import { OWNER, createSdk } from './helpers.js';
+
+const MISSING = '0x000000000000000000000000000000000000dEaD';
+
+function output() {
+  return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+// Runs the CLI against the fake contracts; `files` are written to a temp directory first
+async function run(argv, files = {}) {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'passly-cli-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(join(dir, name), content);
+    }
+    const stdout = output();
+    const stderr = output();
+    const createFake = config => {
+      const sdk = createSdk({ config });
+      sdk.connect = async () => sdk;
+      return sdk;
+    };
+    const args = argv.map(arg => arg in files ? join(dir, arg) : arg);
+    const code = await runCli(args, { stdout, stderr, createSdk: createFake });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('parseCsv handles quotes, escaped quotes, CRLF and blank lines', () => {
+  assert.deepEqual(parseCsv('address,note\r\n0x1,"a, b"\r\n\r\n0x2,"say ""hi"""\n"multi\nline",x'), [
+    ['address', 'note'],
+    ['0x1', 'a, b'],
+    ['0x2', 'say "hi"'],
+    ['multi\nline', 'x']
+  ]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('formatOutput prints JSON, CSV and an aligned table', () => {
+  const data = [{ id: 7n, platforms: ['github', 'twitter'] }, { id: 8n, platforms: [], note: 'a,b' }];
+
+  assert.deepEqual(JSON.parse(formatOutput(data, 'json')), [
+    { id: '7', platforms: ['github', 'twitter'] },
+    { id: '8', platforms: [], note: 'a,b' }
+  ]);
+  assert.equal(formatOutput(data, 'csv'), 'id,platforms,note\n7,github; twitter,\n8,,"a,b"');
+  assert.equal(formatOutput(data), [
+    'id  platforms        note',
+    '--  ---------------  ----',
+    '7   github; twitter',
+    '8                    a,b'
+  ].join('\n'));
+  assert.equal(formatOutput([]), '(no results)');
+  assert.equal(formatOutput({ passportId: '7' }), 'field       value\n----------  -----\npassportId  7');
+});
+
+test('runCli reports usage errors with exit code 2', async () => {
+  const missing = await run([]);
+  assert.equal(missing.code, 2);
+  assert.match(missing.stderr, /Usage: passly/);
+
+  const unknown = await run(['nope']);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown command: nope/);
+
+  const format = await run(['passport', '7', '--format', 'xml']);
+  assert.equal(format.code, 2);
+  assert.match(format.stderr, /--format must be one of/);
+
+  const help = await run(['--help']);
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /Usage: passly/);
+});
+
+test('runCli prints command output and reports failures with exit code 1', async () => {
+  const passport = await run(['passport', '7', '--format', 'json']);
+  assert.equal(passport.code, 0, passport.stderr);
+  assert.equal(JSON.parse(passport.stdout).owner, OWNER);
+
+  const failed = await run(['strength', MISSING]);
+  assert.equal(failed.code, 1);
+  assert.match(failed.stderr, /^Error: /);
+});
+
+test('screen keeps invalid rows, even in the first row, and reports them', async () => {
+  const { code, stdout, stderr } = await run(['screen', 'list.csv', '--format', 'json'], {
+    'list.csv': `0xnot-an-address\n${OWNER}\n${MISSING}\n`
+  });
+  assert.equal(code, 0, stderr);
+
+  const results = JSON.parse(stdout);
+  assert.deepEqual(results.map(result => result.address), ['0xnot-an-address', OWNER, MISSING]);
+  assert.deepEqual(results[0].reasons, ['Invalid address']);
+  assert.equal(results[1].passed, true);
+  assert.deepEqual(results[2].reasons, ['No passport']);
+});
+
+test('screen skips a header row and reads its address column', async () => {
+  const { code, stdout, stderr } = await run(['screen', 'list.csv', '--format', 'json'], {
+    'list.csv': `name,address\nalice,${OWNER}\nbob,\n`
+  });
+  assert.equal(code, 0, stderr);
+
+  const results = JSON.parse(stdout);
+  assert.deepEqual(results.map(result => result.address), [OWNER, '']);
+  assert.deepEqual(results[1].reasons, ['Invalid address']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import PasslySDK, { NetworkMismatchError } from '../src/index.js';
+
+// Static providers report their chain without a network request
+function staticProvider(chainId, url = 'http://127.0.0.1:1') {
+  return new ethers.providers.StaticJsonRpcProvider(url, { chainId, name: `chain-${chainId}` });
+}
+
+test('multicall batches through the signer the contracts use', async () => {
+  const signer = ethers.Wallet.createRandom().connect(staticProvider(8453, 'http://127.0.0.1:2'));
+  const sdk = await new PasslySDK({ signer, provider: staticProvider(8453) }).connect();
+
+  assert.equal(sdk.multicall.multicall.signer, signer);
+  assert.equal(sdk._baseContracts.passly.signer, signer);
+});
+
+test('connect rejects a signer on another chain than the provider', async () => {
+  const signer = ethers.Wallet.createRandom().connect(staticProvider(1));
+
+  await assert.rejects(
+    () => new PasslySDK({ signer, provider: staticProvider(8453) }).connect(),
+    error => error instanceof NetworkMismatchError && error.actualChainId === 1 && /^Signer/.test(error.message)
+  );
+});
+
+test('explicit addresses are used without reading the chain', async () => {
+  const provider = staticProvider(31337);
+  provider.getNetwork = async () => { throw new Error('getNetwork called'); };
+  const address = '0x' + '11'.repeat(20);
+
+  const sdk = await new PasslySDK({
+    provider,
+    network: { name: 'local', chainId: 31337 },
+    contractAddress: address,
+    platformsAddress: address,
+    archivesAddress: address,
+    rewardsAddress: address,
+    leaderboardAddress: address
+  }).connect();
+
+  assert.equal(sdk.network.name, 'local');
+  assert.equal(sdk.config.addresses.leaderboard, address);
+});
+
+test('only networks with a deployment are registered', () => {
+  assert.deepEqual(new PasslySDK().getNetworkNames(), ['base']);
+});
+
+test('the built-in provider is created for the known network', async () => {
+  // Nothing listens on this port: connecting must not need a request
+  const sdk = await new PasslySDK({ rpcUrls: ['http://127.0.0.1:1'], rpc: { timeout: 1000, maxRetries: 0 } }).connect();
+
+  assert.deepEqual(await sdk.config.provider.getNetwork(), { name: 'base', chainId: 8453 });
+});
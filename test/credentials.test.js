@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { verifyCredential } from '../src/index.js';
+import { createSdk, defaultPassports } from './helpers.js';
+
+const ISSUER = ethers.Wallet.createRandom();
+const HOLDER = ethers.Wallet.createRandom();
+const STRANGER = ethers.Wallet.createRandom();
+
+// Passport 7 owned by HOLDER; `signer` signs whatever the SDK issues or presents
+function sdkFor(signer, passports = holderPassports()) {
+  return createSdk({ config: { signer }, passports });
+}
+
+function holderPassports() {
+  const passports = defaultPassports();
+  passports[7].owner = HOLDER.address;
+  return passports;
+}
+
+async function issue(options = { platforms: ['github'] }) {
+  return await sdkFor(ISSUER).issueCredentials(7, options);
+}
+
+test('verifyCredential requires a list of trusted issuers', async () => {
+  const [credential] = await issue();
+
+  await assert.rejects(() => verifyCredential(credential), /trusted issuers/);
+  await assert.rejects(() => verifyCredential(credential, { trustedIssuers: [] }), /trusted issuers/);
+});
+
+test('a credential is valid only from a trusted issuer and untampered', async () => {
+  const [credential] = await issue();
+
+  const trusted = await verifyCredential(credential, { trustedIssuers: [ISSUER.address] });
+  assert.equal(trusted.valid, true, trusted.reasons.join('; '));
+  assert.equal(trusted.issuer, ISSUER.address);
+
+  const untrusted = await verifyCredential(credential, { trustedIssuers: [STRANGER.address] });
+  assert.equal(untrusted.valid, false);
+  assert.match(untrusted.reasons[0], /not trusted/);
+
+  const tampered = { ...credential, credentialSubject: { ...credential.credentialSubject, identifier: 'someone-else' } };
+  const result = await verifyCredential(tampered, { trustedIssuers: [ISSUER.address] });
+  assert.equal(result.valid, false);
+  assert.match(result.reasons[0], /Signature was not made by the issuer/);
+});
+
+test('the on-chain check rejects a passport that changed hands or a revoked verification', async () => {
+  const [credential] = await issue();
+  const verifier = sdkFor(STRANGER);
+
+  const current = await verifier.verifyCredential(credential, { trustedIssuers: [ISSUER.address], checkOnChain: true });
+  assert.equal(current.valid, true, current.reasons.join('; '));
+  assert.equal(current.onChain.owner, HOLDER.address);
+
+  verifier.contracts.passly.passports[7].owner = STRANGER.address;
+  const transferred = await verifier.verifyCredential(credential, { trustedIssuers: [ISSUER.address], checkOnChain: true });
+  assert.equal(transferred.valid, false);
+  assert.match(transferred.reasons.join('; '), /owned by .* not the credential subject/);
+
+  verifier.contracts.passly.passports[7].owner = HOLDER.address;
+  verifier.contracts.passly.passports[7].verifications.github.active = false;
+  const revoked = await verifier.verifyCredential(credential, { trustedIssuers: [ISSUER.address], checkOnChain: true });
+  assert.equal(revoked.valid, false);
+  assert.deepEqual(revoked.reasons, ['github verification is no longer active']);
+});
+
+test('only the credential subject can present it', async () => {
+  const credentials = await issue();
+
+  const presentation = await sdkFor(HOLDER).createPresentation(7, { credentials, challenge: 'nonce-1' });
+  const result = await verifyCredential(presentation, { trustedIssuers: [ISSUER.address], challenge: 'nonce-1' });
+  assert.equal(result.valid, true, result.reasons.join('; '));
+  assert.equal(result.holder, HOLDER.address);
+
+  await assert.rejects(
+    () => sdkFor(STRANGER).createPresentation(7, { credentials, challenge: 'nonce-1' }),
+    /signed by the subject/
+  );
+});
+
+test('a presentation signed by someone other than the subject is rejected', async () => {
+  const credentials = await issue();
+  const presentation = await sdkFor(HOLDER).createPresentation(7, { credentials, challenge: 'nonce-1' });
+
+  // Re-sign the same credentials as another holder, bypassing createPresentation's check
+  const stranger = sdkFor(STRANGER);
+  const { proof, ...unsigned } = presentation;
+  const holder = `did:pkh:eip155:8453:${STRANGER.address}`;
+  const proofValue = await STRANGER._signTypedData(proof.eip712.domain, proof.eip712.types, {
+    ...unsigned,
+    holder,
+    verifiableCredential: unsigned.verifiableCredential.map(credential => ({
+      ...credential,
+      proof: (({ eip712, ...rest }) => rest)(credential.proof)
+    }))
+  });
+  const forged = {
+    ...unsigned,
+    holder,
+    proof: { ...proof, verificationMethod: `${holder}#blockchainAccountId`, proofValue }
+  };
+
+  const result = await stranger.verifyCredential(forged, { trustedIssuers: [ISSUER.address], challenge: 'nonce-1' });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.reasons, ['Credential 0: subject is not the presentation holder']);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RpcError } from '../src/index.js';
+import { BN, OWNER, createSdk, rpcFailure } from './helpers.js';
+
+// gitlab requires github; twitter points are taken back when it is revoked within 30 days
+const CONFIGS = {
+  github: { platformType: 'developer', requires: [], reward: 100, punish: false, days: 0 },
+  gitlab: { platformType: 'developer', requires: ['github'], reward: 80, punish: false, days: 0 },
+  twitter: { platformType: 'social', requires: [], reward: 50, punish: true, days: 30 }
+};
+
+function fakePlatforms(configs = CONFIGS) {
+  return {
+    getSupportedPlatforms: async () => Object.keys(configs),
+    getPlatformConfig: async platform => {
+      const config = configs[platform];
+      return [true, config.platformType, config.requires, BN(config.reward), config.punish, BN(config.days)];
+    },
+    validateDependencies: async (active, platform) => {
+      const missing = configs[platform].requires.filter(required => !active.includes(required));
+      return [missing.length === 0, missing];
+    },
+    getCascadeAffectedPlatforms: async (active, platform) =>
+      active.filter(other => other === platform || configs[other].requires.includes(platform))
+  };
+}
+
+function sdkWithPlatforms(platforms = fakePlatforms()) {
+  return createSdk({ contracts: { platforms } });
+}
+
+test('the graph orders platforms after their requirements', async () => {
+  const graph = await sdkWithPlatforms().getPlatformDependencyGraph();
+
+  assert.deepEqual(graph.order, ['github', 'twitter', 'gitlab']);
+  assert.deepEqual(graph.platforms.github.requiredBy, ['gitlab']);
+  assert.deepEqual(graph.cycles, []);
+  assert.deepEqual(graph.unknownRequirements, []);
+});
+
+test('onboarding answers follow the requirements', async () => {
+  const sdk = sdkWithPlatforms();
+
+  assert.deepEqual(await sdk.getVerifiablePlatforms(OWNER), ['gitlab']);
+  const missing = await sdk.getMissingDependencies(OWNER, 'gitlab');
+  assert.equal(missing.canVerify, true);
+  assert.deepEqual(missing.missing, []);
+});
+
+test('revoking within the punishment period loses the configured reward', async () => {
+  const impact = await sdkWithPlatforms().getRevocationImpact(OWNER, 'twitter');
+
+  assert.deepEqual(impact.lostPlatforms, ['twitter']);
+  assert.deepEqual(impact.remainingPlatforms, ['github']);
+  assert.equal(impact.points.twitter.penalized, true);
+  assert.equal(impact.pointsLost, 50);
+});
+
+test('a failed config read fails the graph instead of dropping the requirements', async () => {
+  const platforms = fakePlatforms();
+  const getPlatformConfig = platforms.getPlatformConfig;
+  platforms.getPlatformConfig = async platform => {
+    if (platform === 'gitlab') throw rpcFailure();
+    return getPlatformConfig(platform);
+  };
+
+  await assert.rejects(() => sdkWithPlatforms(platforms).getPlatformDependencyGraph(), RpcError);
+});
+
+test('a graph passed in still needs the Platforms contract', async () => {
+  const graph = await sdkWithPlatforms().getPlatformDependencyGraph();
+
+  await assert.rejects(() => createSdk().getVerifiablePlatforms(OWNER, { graph }), /Platforms contract not configured/);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import PasslySDK, { ContractRevertError, DecodeError, RpcError } from '../src/index.js';
+import { toPasslyError } from '../src/errors.js';
+import { revert, rpcFailure } from './helpers.js';
+
+// Nothing listens on this port
+const CLOSED = 'http://127.0.0.1:9';
+
+for (const multicall of [true, false]) {
+  test(`an unreachable RPC is an RpcError, not a revert (multicall ${multicall ? 'on' : 'off'})`, async () => {
+    const sdk = await new PasslySDK({
+      strict: true,
+      multicall,
+      rpcUrls: [CLOSED],
+      rpc: { timeout: 2000, maxRetries: 0 }
+    }).connect();
+
+    await assert.rejects(() => sdk.getPointBreakdown(1), error => {
+      assert.ok(error instanceof RpcError, `got ${error.name}: ${error.message}`);
+      return true;
+    });
+  });
+}
+
+test('a contract call through a provider on a closed port is an RpcError', async () => {
+  const provider = new ethers.providers.StaticJsonRpcProvider(CLOSED, { chainId: 8453, name: 'base' });
+  const contract = new ethers.Contract('0x' + '11'.repeat(20), ['function f() view returns (uint256)'], provider);
+
+  const error = await contract.f().catch(caught => caught);
+  assert.equal(error.code, ethers.errors.CALL_EXCEPTION);
+  assert.ok(toPasslyError(error) instanceof RpcError);
+});
+
+test('reverts, empty responses and HTTP failures map to their own errors', () => {
+  assert.ok(toPasslyError(revert('Not allowed')) instanceof ContractRevertError);
+  assert.ok(toPasslyError(rpcFailure()) instanceof RpcError);
+
+  const empty = new Error('call exception');
+  empty.code = ethers.errors.CALL_EXCEPTION;
+  empty.data = '0x';
+  assert.ok(toPasslyError(empty) instanceof DecodeError);
+
+  const unavailable = new Error('bad response');
+  unavailable.code = ethers.errors.SERVER_ERROR;
+  unavailable.status = 503;
+  assert.ok(toPasslyError(unavailable) instanceof RpcError);
+
+  // A JSON-RPC error answer comes from a node that was reached
+  const answered = revert('Not allowed');
+  answered.error = { code: ethers.errors.SERVER_ERROR, error: { code: 3, message: 'execution reverted' } };
+  assert.ok(toPasslyError(answered) instanceof ContractRevertError);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { PasslyEventFeed } from '../src/index.js';
+import { createSdk, fakeProvider } from './helpers.js';
+
+const REWARDS = new ethers.utils.Interface([
+  'event PointsAwarded(uint256 indexed passportId, uint256 amount, string reason)'
+]);
+const REWARDS_ADDRESS = '0x' + '22'.repeat(20);
+
+function pointsLog(blockNumber, logIndex) {
+  const log = REWARDS.encodeEventLog(REWARDS.getEvent('PointsAwarded'), [7, 10, 'bonus']);
+  return { ...log, address: REWARDS_ADDRESS, blockNumber, blockHash: '0x' + '01'.repeat(32), transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(blockNumber), 32), logIndex };
+}
+
+function feedOver(logs, { blockNumber = 100, batchSize } = {}) {
+  const ranges = [];
+  const provider = {
+    ...fakeProvider({ blockNumber }),
+    getLogs: async ({ fromBlock, toBlock }) => {
+      ranges.push([fromBlock, toBlock]);
+      return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+  const sdk = createSdk({ provider, contracts: { passly: null, rewards: { address: REWARDS_ADDRESS, interface: REWARDS } } });
+  const events = [];
+  const feed = new PasslyEventFeed(sdk, event => { events.push(event); }, { fromBlock: 0, batchSize });
+  return { feed, events, ranges };
+}
+
+test('identical events in one transaction are each delivered once', async () => {
+  const { feed, events } = feedOver([pointsLog(50, 0), pointsLog(50, 1)]);
+
+  await feed.poll();
+  await feed.poll();
+
+  assert.deepEqual(events.map(event => event.logIndex), [0, 1]);
+  assert.ok(events.every(event => !event.removed));
+});
+
+test('catching up splits getLogs into bounded block ranges', async () => {
+  const { feed, events, ranges } = feedOver([pointsLog(10, 0), pointsLog(4400, 0)], { blockNumber: 4500, batchSize: 2000 });
+
+  await feed.poll();
+
+  assert.deepEqual(ranges, [[0, 1999], [2000, 3999], [4000, 4500]]);
+  assert.deepEqual(events.map(event => event.blockNumber), [10, 4400]);
+});
+
+test('archived verifications are delivered from the Archives contract', async () => {
+  const archives = new ethers.utils.Interface([
+    'event VerificationArchived(uint256 indexed passportId, string platform, string identifier, string reason)'
+  ]);
+  const address = '0x' + '33'.repeat(20);
+  const log = {
+    ...archives.encodeEventLog(archives.getEvent('VerificationArchived'), [7, 'github', 'octocat', 'revoked']),
+    address,
+    blockNumber: 60,
+    blockHash: '0x' + '01'.repeat(32),
+    transactionHash: '0x' + '02'.repeat(32),
+    logIndex: 0
+  };
+  const provider = {
+    ...fakeProvider({ blockNumber: 100 }),
+    getLogs: async filter => (filter.address === address ? [log] : [])
+  };
+  const sdk = createSdk({ provider, contracts: { archives: { address, interface: archives } } });
+  const events = [];
+
+  await new PasslyEventFeed(sdk, event => { events.push(event); }, { fromBlock: 0, passportId: 7 }).poll();
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'verificationArchived');
+  assert.deepEqual(events[0].data, { platform: 'github', identifier: 'octocat', reason: 'revoked' });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OWNER, BN, NOW, createSdk } from './helpers.js';
+import { SHAPES, isKind } from './shapes.js';
+
+// Formatted results must match the shapes the type tests hold src/index.d.ts to
+
+function assertShape(value, shape, numeric) {
+  assert.deepEqual(Object.keys(value).sort(), Object.keys(shape).sort());
+  for (const [field, kind] of Object.entries(shape)) {
+    assert.ok(isKind(value[field], kind, numeric), `${field} should be ${kind} in ${numeric} mode, got ${value[field]}`);
+  }
+}
+
+const rewards = {
+  getPointBreakdown: async () => [BN(100), BN(200), BN(50), BN(350)],
+  getReferralInfo: async () => ['CODE7', OWNER, BN(1), BN(25)]
+};
+
+const rawEntry = {
+  passportId: BN(7),
+  owner: OWNER,
+  totalScore: BN(350),
+  holdingPoints: BN(100),
+  platformPoints: BN(200),
+  referralPoints: BN(50),
+  verificationCount: BN(2),
+  category: 'developer',
+  lastUpdated: BN(NOW),
+  rank: BN(3),
+  previousRank: BN(5)
+};
+
+for (const numeric of ['number', 'bigint', 'string']) {
+  test(`formatted results match the declared shapes in ${numeric} mode`, async () => {
+    const sdk = createSdk({ config: { numeric }, contracts: { rewards } });
+
+    const passport = await sdk.getPassportById(7);
+    assertShape(passport, SHAPES.Passport, numeric);
+    assertShape(passport.verifications.github, SHAPES.Verification, numeric);
+    assertShape(await sdk.getPointBreakdown(7), SHAPES.PointBreakdown, numeric);
+    assertShape(await sdk.getReferralInfo(7), SHAPES.ReferralInfo, numeric);
+    assertShape(sdk._formatLeaderboardEntry(rawEntry), SHAPES.LeaderboardEntry, numeric);
+  });
+
+  test(`fallbacks without the rewards contract match the declared shapes in ${numeric} mode`, async () => {
+    const sdk = createSdk({ config: { numeric } });
+
+    assertShape(await sdk.getReferralInfo(7), SHAPES.ReferralInfo, numeric);
+  });
+}
@@ -0,0 +1,158 @@
+import { ethers } from 'ethers';
+import PasslySDK from '../src/index.js';
+
+/**
+ * Test fixtures: an in-memory Passly contract and SDK instances wired to it
+ *
+ * The fake contracts answer with the same shapes ethers returns (BigNumbers,
+ * tuples) so the SDK's formatting runs unchanged, and fail with the same
+ * error shapes (CALL_EXCEPTION reverts, SERVER_ERROR RPC failures).
+ */
+
+export const BN = ethers.BigNumber.from;
+
+export const NOW = Math.floor(Date.now() / 1000);
+
+export const DAY = 24 * 60 * 60;
+
+export const PASSLY_ADDRESS = '0xDAA115033325DCEBf0D32bbdD84afd26A2C29923';
+
+export const OWNER = '0x000000000000000000000000000000000000bEEF';
+
+/**
+ * An ethers-style revert
+ */
+export function revert(reason) {
+  const error = new Error(`execution reverted: ${reason}`);
+  error.code = ethers.errors.CALL_EXCEPTION;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * An RPC failure as ethers v5 reports it for a contract call: a CALL_EXCEPTION
+ * without revert data wrapping the SERVER_ERROR of the failed request
+ */
+export function rpcFailure(message = 'missing response') {
+  const cause = new Error(message);
+  cause.code = ethers.errors.SERVER_ERROR;
+  cause.reason = message;
+
+  const error = new Error('missing revert data in call exception; Transaction reverted without a reason string');
+  error.code = ethers.errors.CALL_EXCEPTION;
+  error.reason = 'missing revert data in call exception; Transaction reverted without a reason string';
+  error.error = cause;
+  return error;
+}
+
+/**
+ * Passport 7, owned by OWNER, with github (90 days old) and twitter (1 day old) verified
+ */
+export function defaultPassports() {
+  return {
+    7: {
+      owner: OWNER,
+      createdAt: NOW - 100 * DAY,
+      category: 'developer',
+      totalPoints: 350,
+      referralCode: 'CODE7',
+      totalReferrals: 1,
+      verifications: {
+        github: { identifier: 'octocat', verifiedAt: NOW - 90 * DAY, active: true },
+        twitter: { identifier: 'octo_tw', verifiedAt: NOW - DAY, active: true }
+      }
+    }
+  };
+}
+
+/**
+ * A Passly contract backed by a map of passports. `calls` records every method called.
+ */
+export function fakePassly(passports = defaultPassports()) {
+  const calls = [];
+  const find = id => {
+    const passport = passports[Number(id)];
+    if (!passport) throw revert('Passport does not exist');
+    return passport;
+  };
+  const record = (name, fn) => async (...args) => {
+    calls.push(name);
+    return fn(...args);
+  };
+
+  return {
+    calls,
+    passports,
+    getPassportByAddress: record('getPassportByAddress', address => {
+      const entry = Object.entries(passports).find(([, passport]) => passport.owner.toLowerCase() === address.toLowerCase());
+      if (!entry) throw revert('User has no passport');
+      return BN(entry[0]);
+    }),
+    getPassportData: record('getPassportData', id => {
+      const passport = find(id);
+      return [
+        passport.owner,
+        BN(passport.createdAt),
+        BN(Object.keys(passport.verifications).length),
+        passport.category,
+        BN(passport.totalPoints),
+        passport.referralCode || '',
+        BN(passport.totalReferrals || 0)
+      ];
+    }),
+    getVerifiedPlatforms: record('getVerifiedPlatforms', id => Object.keys(find(id).verifications)),
+    getVerification: record('getVerification', (id, platform) => {
+      const verification = find(id).verifications[platform];
+      return [
+        verification.identifier,
+        BN(verification.verifiedAt),
+        verification.proofHash || ethers.utils.id(`${platform}:${verification.identifier}`),
+        verification.active,
+        verification.pointsAwarded !== false
+      ];
+    }),
+    ownerOf: record('ownerOf', id => find(id).owner),
+    isCategorySupported: record('isCategorySupported', category => ['developer', 'creator'].includes(category)),
+    getSupportedCategories: record('getSupportedCategories', () => ['developer', 'creator'])
+  };
+}
+
+/**
+ * A provider stub for block numbers, blocks and the chain ID
+ */
+export function fakeProvider({ chainId = 8453, blockNumber = 1000 } = {}) {
+  return {
+    getBlockNumber: async () => blockNumber,
+    getBlock: async tag => ({ number: tag === 'latest' ? blockNumber : tag, timestamp: NOW }),
+    getNetwork: async () => ({ chainId, name: 'unknown' })
+  };
+}
+
+/**
+ * A connected SDK whose contracts are fakes
+ * @param {Object} [options] - config, passports, extra contracts, chainId and provider
+ * @returns {PasslySDK} - The SDK; `sdk.views` lists the block numbers passed to sdk.at()
+ */
+export function createSdk({ config = {}, passports, contracts = {}, chainId = 8453, provider } = {}) {
+  const sdk = new PasslySDK(config);
+  sdk.contracts = { passly: fakePassly(passports), ...contracts };
+  sdk.network = { name: chainId === 8453 ? 'base' : `chain-${chainId}`, chainId };
+  sdk.config = {
+    ...sdk.config,
+    provider: provider || fakeProvider({ chainId }),
+    addresses: { passly: PASSLY_ADDRESS }
+  };
+  sdk.isConnected = true;
+
+  // Historical views share the fakes and only remember their block
+  sdk.views = [];
+  sdk.at = async blockNumber => {
+    sdk.views.push(blockNumber);
+    const view = Object.create(sdk);
+    view.blockTag = blockNumber;
+    view.blockTimestamp = NOW * 1000;
+    return view;
+  };
+
+  return sdk;
+}
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { NOW, OWNER, createSdk } from './helpers.js';
+
+const ABI = ['function ownerOf(uint256 passportId) view returns (address)'];
+
+// A contract that records the overrides of each read
+function recordingContract() {
+  const reads = [];
+  return {
+    reads,
+    interface: new ethers.utils.Interface(ABI),
+    ownerOf: async (passportId, overrides) => {
+      reads.push(overrides);
+      return OWNER;
+    }
+  };
+}
+
+// A batcher that records the block tag of each read
+function recordingBatcher() {
+  const blockTags = [];
+  return {
+    blockTags,
+    call: async (contract, method, args, blockTag) => {
+      blockTags.push(blockTag);
+      return OWNER;
+    }
+  };
+}
+
+// Blocks 0..timestamps.length-1 with the given timestamps; `missing` blocks come back null
+function chainProvider(timestamps, missing = []) {
+  const latest = timestamps.length - 1;
+  return {
+    getBlock: async tag => {
+      const number = tag === 'latest' ? latest : tag;
+      if (number > latest || missing.includes(number)) return null;
+      return { number, timestamp: timestamps[number] };
+    }
+  };
+}
+
+// An SDK whose at() is the real one, reading through a recording contract
+function historicalSdk({ provider = chainProvider([NOW - 300, NOW - 200, NOW - 100, NOW]), multicall = null } = {}) {
+  const sdk = createSdk({ provider });
+  delete sdk.at;
+  const contract = recordingContract();
+  sdk._baseContracts = { passly: contract };
+  sdk.multicall = multicall;
+  return { sdk, contract };
+}
+
+test('a snapshot reads at its block, also when overrides have no block tag', async () => {
+  const { sdk, contract } = historicalSdk();
+  const snapshot = await sdk.at(2);
+
+  assert.equal(snapshot.blockTag, 2);
+  assert.equal(snapshot.blockTimestamp, (NOW - 100) * 1000);
+
+  await snapshot.contracts.passly.ownerOf(7);
+  await snapshot.contracts.passly.ownerOf(7, {});
+  await snapshot.contracts.passly.ownerOf(7, { from: OWNER });
+  await snapshot.contracts.passly.ownerOf(7, { blockTag: 1 });
+  assert.deepEqual(contract.reads, [{ blockTag: 2 }, { blockTag: 2 }, { from: OWNER, blockTag: 2 }, { blockTag: 1 }]);
+});
+
+test('a batched snapshot reads at its block, also when overrides have no block tag', async () => {
+  const batcher = recordingBatcher();
+  const { sdk, contract } = historicalSdk({ multicall: batcher });
+  const snapshot = await sdk.at(2);
+
+  await snapshot.contracts.passly.ownerOf(7);
+  await snapshot.contracts.passly.ownerOf(7, {});
+  await snapshot.contracts.passly.ownerOf(7, { blockTag: 1 });
+  assert.deepEqual(batcher.blockTags, [2, 2, 1]);
+
+  // Overrides the batch cannot carry go to the contract, still at the snapshot block
+  await snapshot.contracts.passly.ownerOf(7, { from: OWNER });
+  assert.deepEqual(contract.reads, [{ from: OWNER, blockTag: 2 }]);
+});
+
+test('a date resolves to the last block mined at or before it', async () => {
+  const { sdk } = historicalSdk();
+
+  assert.equal((await sdk.at(new Date((NOW - 150) * 1000))).blockTag, 1);
+  assert.equal((await sdk.at(new Date((NOW - 100) * 1000))).blockTag, 2);
+  assert.equal((await sdk.at(new Date((NOW + 60) * 1000))).blockTag, 3);
+  await assert.rejects(() => sdk.at(new Date((NOW - 400) * 1000)), /No block exists at or before/);
+});
+
+test('a block the provider does not return is reported as not found', async () => {
+  const timestamps = [NOW - 400, NOW - 300, NOW - 200, NOW - 100, NOW];
+
+  const { sdk } = historicalSdk({ provider: chainProvider(timestamps, [2]) });
+  await assert.rejects(() => sdk.at(new Date((NOW - 250) * 1000)), /Block 2 not found/);
+  await assert.rejects(() => sdk.at(9), /Block 9 not found/);
+
+  const pruned = historicalSdk({ provider: chainProvider(timestamps, [0]) }).sdk;
+  await assert.rejects(() => pruned.at(new Date((NOW - 250) * 1000)), /Block 0 not found/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { PasslyIndexer } from '../src/index.js';
+import { OWNER, PASSLY_ADDRESS, createSdk, fakeProvider } from './helpers.js';
+
+// Logs are encoded with the SDK's own ABI and replayed through getLogs; no chain is started
+const PASSLY = new ethers.utils.Interface([
+  'event PassportCreated(uint256 indexed passportId, address indexed owner, string category)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+]);
+const BUYER = ethers.utils.getAddress('0x000000000000000000000000000000000000cafe');
+
+function log(blockNumber, logIndex, name, args) {
+  return {
+    ...PASSLY.encodeEventLog(PASSLY.getEvent(name), args),
+    address: PASSLY_ADDRESS,
+    blockNumber,
+    blockHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(blockNumber), 32),
+    transactionHash: ethers.utils.id(`${blockNumber}:${logIndex}`),
+    logIndex
+  };
+}
+
+function indexerOver(logs) {
+  const provider = {
+    ...fakeProvider({ blockNumber: 100 }),
+    getLogs: async ({ fromBlock, toBlock }) => logs.filter(entry => entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock)
+  };
+  const sdk = createSdk({ provider, contracts: { passly: { address: PASSLY_ADDRESS, interface: PASSLY } } });
+  return new PasslyIndexer(sdk);
+}
+
+test('a passport transfer moves the indexed owner', async () => {
+  const indexer = indexerOver([
+    log(10, 0, 'Transfer', [ethers.constants.AddressZero, OWNER, 7]),
+    log(10, 1, 'PassportCreated', [7, OWNER, 'developer']),
+    log(20, 0, 'Transfer', [OWNER, BUYER, 7])
+  ]);
+
+  const { events } = await indexer.sync();
+
+  // The mint is reported once, as passportCreated
+  assert.equal(events, 2);
+  assert.equal((await indexer.getPassport(7)).owner, BUYER);
+  assert.deepEqual(await indexer.query({ owner: OWNER }), []);
+  assert.equal((await indexer.query({ owner: BUYER })).length, 1);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BN, NOW, OWNER, createSdk } from './helpers.js';
+
+function entry(passportId, rank) {
+  return {
+    passportId: BN(passportId),
+    owner: OWNER,
+    totalScore: BN(10000 - rank),
+    holdingPoints: BN(0),
+    platformPoints: BN(0),
+    referralPoints: BN(0),
+    verificationCount: BN(1),
+    category: 'developer',
+    lastUpdated: BN(NOW),
+    rank: BN(rank),
+    previousRank: BN(rank)
+  };
+}
+
+// A global board of `size` passports ranked by ID; `reads` records each requested count
+function fakeLeaderboard(size, board = Array.from({ length: size }, (_, index) => index + 1)) {
+  const reads = [];
+  return {
+    reads,
+    board,
+    getLeaderboardStats: async () => [BN(board.length), true, BN(0)],
+    getTopEntries: async count => {
+      reads.push(count);
+      return board.slice(0, count).map((passportId, index) => entry(passportId, index + 1));
+    }
+  };
+}
+
+async function collect(iterator) {
+  const entries = [];
+  for await (const item of iterator) entries.push(item.passportId);
+  return entries;
+}
+
+test('the iterator doubles its window up to maxPageSize', async () => {
+  const leaderboard = fakeLeaderboard(1000);
+  const sdk = createSdk({ contracts: { leaderboard } });
+
+  const ids = await collect(sdk.iterateLeaderboard({ pageSize: 50, maxPageSize: 200 }));
+  assert.equal(ids.length, 1000);
+  assert.deepEqual(leaderboard.reads, [50, 150, 350, 550, 750, 950, 1000]);
+});
+
+test('pages follow their cursors to the end of the board', async () => {
+  const sdk = createSdk({ contracts: { leaderboard: fakeLeaderboard(5) } });
+
+  const first = await sdk.getLeaderboardPage({ pageSize: 3 });
+  assert.deepEqual(first.entries.map(item => item.passportId), [1, 2, 3]);
+  const second = await sdk.getLeaderboardPage({ pageSize: 3, cursor: first.nextCursor });
+  assert.deepEqual(second.entries.map(item => item.passportId), [4, 5]);
+  assert.equal(second.nextCursor, null);
+});
+
+test('a passport that moves down is not yielded twice, and one that climbs past the offset is missed', async () => {
+  const leaderboard = fakeLeaderboard(6);
+  const sdk = createSdk({ contracts: { leaderboard } });
+  const iterator = sdk.iterateLeaderboard({ pageSize: 2 });
+
+  const ids = [];
+  for await (const item of iterator) {
+    ids.push(item.passportId);
+    // After the first read, 2 drops to third place and 6 climbs to first
+    if (ids.length === 2) leaderboard.board.splice(0, 6, 6, 1, 3, 2, 4, 5);
+  }
+
+  assert.deepEqual(ids, [1, 2, 3, 4, 5]);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import PasslySDK, { createGate, createSiweMessage, requirementsToPolicy } from '../src/index.js';
+import { OWNER, createSdk, defaultPassports, rpcFailure } from './helpers.js';
+
+const STRANGER = '0x000000000000000000000000000000000000dEaD';
+
+const session = address => ({ headers: {}, session: { address } });
+
+test('a gate without requirements admits any passport holder', async () => {
+  assert.deepEqual(requirementsToPolicy({}), { all: [] });
+
+  const gate = createGate({ sdk: createSdk() });
+
+  const allowed = await gate.check(session(OWNER));
+  assert.equal(allowed.allowed, true);
+  assert.equal(allowed.passport.id, 7);
+
+  const denied = await gate.check(session(STRANGER));
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.message, 'No Passly passport for this address');
+});
+
+test('an RPC outage answers 503, not "no passport"', async () => {
+  const sdk = createSdk();
+  sdk.contracts.passly.getPassportByAddress = async () => { throw rpcFailure(); };
+
+  const result = await createGate({ sdk, requirements: { platforms: ['github'] } }).check(session(OWNER));
+  assert.equal(result.status, 503);
+  assert.equal(result.body.error, 'passport_unavailable');
+});
+
+test('an unreachable RPC endpoint answers 503', async () => {
+  // Nothing listens on this port
+  const sdk = new PasslySDK({ rpcUrls: ['http://127.0.0.1:9'], rpc: { timeout: 2000, maxRetries: 0 } }).connect();
+
+  const result = await createGate({ sdk, requirements: { platforms: ['github'] } }).check(session(OWNER));
+  assert.equal(result.status, 503);
+});
+
+test('a failed rank read answers 503, not a failed requirement', async () => {
+  const sdk = createSdk({ contracts: { leaderboard: { getPassportRank: async () => { throw rpcFailure(); } } } });
+
+  const result = await createGate({ sdk, requirements: { maxRank: 10 } }).check(session(OWNER));
+  assert.equal(result.status, 503);
+});
+
+const WALLET = ethers.Wallet.createRandom();
+const DOMAIN = 'app.example.com';
+
+function walletSdk() {
+  const passports = defaultPassports();
+  passports[7].owner = WALLET.address;
+  return createSdk({ passports });
+}
+
+async function siweRequest(fields = {}) {
+  const message = createSiweMessage({
+    domain: DOMAIN,
+    address: WALLET.address,
+    uri: `https://${DOMAIN}`,
+    chainId: 8453,
+    nonce: 'issuednonce1',
+    ...fields
+  });
+  return {
+    headers: {
+      'x-siwe-message': Buffer.from(message).toString('base64'),
+      'x-siwe-signature': await WALLET.signMessage(message)
+    }
+  };
+}
+
+test('the siwe source needs a domain and a nonce check', () => {
+  assert.throws(() => createGate({ addressFrom: ['siwe'], verifyNonce: () => true }), /needs the domain/);
+  assert.throws(() => createGate({ addressFrom: ['siwe'], domain: DOMAIN }), /needs a verifyNonce callback/);
+});
+
+test('SIWE headers are ignored unless the siwe source is enabled', async () => {
+  const result = await createGate({ sdk: walletSdk() }).check(await siweRequest());
+  assert.equal(result.status, 401);
+});
+
+test('SIWE headers sign in only with an issued nonce, the right domain and a fresh message', async () => {
+  const issued = new Set(['issuednonce1']);
+  const gate = createGate({
+    sdk: walletSdk(),
+    addressFrom: ['siwe'],
+    domain: DOMAIN,
+    maxAge: 60,
+    verifyNonce: nonce => issued.has(nonce)
+  });
+
+  const allowed = await gate.check(await siweRequest());
+  assert.equal(allowed.allowed, true);
+  assert.equal(allowed.address, WALLET.address);
+
+  const rejected = [
+    await siweRequest({ nonce: 'forgednonce1' }),
+    await siweRequest({ domain: 'evil.example.com' }),
+    await siweRequest({ issuedAt: new Date(Date.now() - 120000) }),
+    await siweRequest({ expirationTime: new Date(Date.now() - 1000) })
+  ];
+  for (const request of rejected) {
+    assert.equal((await gate.check(request)).status, 401);
+  }
+
+  // An expiration time replaces the max age
+  const longLived = await siweRequest({ issuedAt: new Date(Date.now() - 120000), expirationTime: new Date(Date.now() + 60000) });
+  assert.equal((await gate.check(longLived)).allowed, true);
+
+  // A signature over another message is rejected
+  const tampered = await siweRequest();
+  tampered.headers['x-siwe-signature'] = (await siweRequest({ nonce: 'othernonce12' })).headers['x-siwe-signature'];
+  assert.equal((await gate.check(tampered)).status, 401);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NumericOverflowError } from '../src/index.js';
+import { addNumeric, compareNumeric, toNumeric, validateNumericMode } from '../src/numbers.js';
+import { BN } from './helpers.js';
+
+const LARGE = '123456789012345678901234567890';
+
+test('toNumeric converts every input type to each mode', () => {
+  for (const input of [BN(42), 42n, 42, '42']) {
+    assert.equal(toNumeric(input), 42);
+    assert.equal(toNumeric(input, 'bigint'), 42n);
+    assert.equal(toNumeric(input, 'string'), '42');
+  }
+});
+
+test('toNumeric is exact above 2^53 in bigint and string modes and throws in number mode', () => {
+  assert.equal(toNumeric(BN(LARGE), 'bigint'), BigInt(LARGE));
+  assert.equal(toNumeric(BN(LARGE), 'string'), LARGE);
+  assert.throws(() => toNumeric(BN(LARGE), 'number', 'totalPoints'), error =>
+    error instanceof NumericOverflowError && /totalPoints/.test(error.message)
+  );
+  assert.equal(toNumeric(Number.MAX_SAFE_INTEGER), Number.MAX_SAFE_INTEGER);
+});
+
+test('addNumeric adds values of mixed modes into the requested mode', () => {
+  assert.equal(addNumeric(1, 2n), 3);
+  assert.equal(addNumeric('10', 5, 'string'), '15');
+  assert.equal(addNumeric(LARGE, 1n, 'bigint'), BigInt(LARGE) + 1n);
+  assert.throws(() => addNumeric(LARGE, 1), NumericOverflowError);
+});
+
+test('compareNumeric orders values of any mode numerically', () => {
+  assert.deepEqual(['10', 9n, 100, '2'].sort(compareNumeric), ['2', 9n, '10', 100]);
+  assert.equal(compareNumeric(LARGE, BigInt(LARGE)), 0);
+  assert.equal(compareNumeric('9', '10'), -1);
+});
+
+test('an unknown numeric mode is rejected', () => {
+  assert.equal(validateNumericMode('bigint'), 'bigint');
+  assert.throws(() => validateNumericMode('float'), /Unknown numeric mode/);
+});
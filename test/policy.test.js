@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RpcError } from '../src/index.js';
+import { BN, OWNER, createSdk, rpcFailure } from './helpers.js';
+
+test('a rank-only policy does not load the passport', async () => {
+  const sdk = createSdk({
+    contracts: { leaderboard: { getPassportRank: async () => BN(3) } }
+  });
+
+  const decision = await sdk.evaluatePolicy(OWNER, { globalRank: { max: 10 } });
+  assert.equal(decision.passed, true);
+  assert.equal(decision.passport, null);
+  assert.deepEqual(sdk.contracts.passly.calls, ['getPassportByAddress']);
+});
+
+test('a category policy reads the passport data without its verifications', async () => {
+  const sdk = createSdk();
+
+  const decision = await sdk.evaluatePolicy(OWNER, { category: 'developer' });
+  assert.equal(decision.passed, true);
+  assert.ok(sdk.contracts.passly.calls.includes('getPassportData'));
+  assert.ok(!sdk.contracts.passly.calls.includes('getVerification'));
+});
+
+test('includePassport returns the complete passport', async () => {
+  const sdk = createSdk();
+
+  const decision = await sdk.evaluatePolicy(OWNER, { category: 'developer' }, { includePassport: true });
+  assert.deepEqual(decision.passport.platforms, ['github', 'twitter']);
+});
+
+test('getPassport takes an address and getPassportById an ID', async () => {
+  const sdk = createSdk();
+
+  assert.equal(await sdk.getPassport(7), null);
+  assert.equal((await sdk.getPassport(OWNER)).id, 7);
+  assert.equal((await sdk.getPassportById(7)).owner, OWNER);
+  assert.equal(await sdk.getPassportById(8), null);
+});
+
+test('a failed points or rank read throws instead of satisfying a max or a not', async () => {
+  const sdk = createSdk({
+    contracts: {
+      rewards: { getPointBreakdown: async () => { throw rpcFailure(); } },
+      leaderboard: { getPassportRank: async () => { throw rpcFailure(); } }
+    }
+  });
+
+  await assert.rejects(() => sdk.evaluatePolicy(OWNER, { points: { max: 100 } }), RpcError);
+  await assert.rejects(() => sdk.evaluatePolicy(OWNER, { not: { globalRank: { max: 10 } } }), RpcError);
+});
+
+test('a missing passport fails the policy without throwing', async () => {
+  const decision = await createSdk().evaluatePolicy('0x000000000000000000000000000000000000dEaD', { points: { max: 100 } });
+
+  assert.equal(decision.passed, false);
+  assert.equal(decision.failures[0].clause, 'passport');
+});
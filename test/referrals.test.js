@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { BN, NOW, DAY, createSdk, defaultPassports, rpcFailure } from './helpers.js';
+
+// 7 referred 8 and 9, and 8 referred 10
+const REFEREES = { 7: ['8', '9'], 8: ['10'], 9: [], 10: [] };
+
+function passports() {
+  const all = defaultPassports();
+  for (const id of [8, 9, 10]) {
+    all[id] = {
+      owner: ethers.utils.getAddress('0x' + String(id).padStart(40, '0')),
+      createdAt: NOW - id * DAY,
+      category: 'developer',
+      totalPoints: 100,
+      verifications: { github: { identifier: `user${id}`, verifiedAt: NOW - DAY, active: true } }
+    };
+  }
+  return all;
+}
+
+function fakeRewards() {
+  return {
+    getUserReferrals: async id => REFEREES[Number(id)],
+    getReferralInfo: async id => ['', ethers.constants.AddressZero, BN(REFEREES[Number(id)].length), BN(10)],
+    validateReferralCode: async () => [false, BN(0)]
+  };
+}
+
+function sdkWithTree(options = {}) {
+  return createSdk({ passports: passports(), contracts: { rewards: fakeRewards() }, ...options });
+}
+
+test('a tree that reaches every referee is not truncated', async () => {
+  const tree = await sdkWithTree().getReferralTree(7, { depth: 2 });
+
+  assert.deepEqual(tree.nodes.map(node => node.passportId), [7, 8, 9, 10]);
+  assert.deepEqual(tree.nodes[0].subtree, { size: 4, referralEarnings: 40, totalPoints: 650 });
+  assert.deepEqual(tree.flags, []);
+  assert.equal(tree.truncated, false);
+});
+
+test('a tree is truncated when the last level has referees of its own', async () => {
+  const tree = await sdkWithTree().getReferralTree(7, { depth: 1 });
+
+  assert.deepEqual(tree.nodes.map(node => node.passportId), [7, 8, 9]);
+  assert.equal(tree.truncated, true);
+
+  const capped = await sdkWithTree().getReferralTree(7, { depth: 2, maxPassports: 3 });
+  assert.deepEqual(capped.nodes.map(node => node.passportId), [7, 8, 9]);
+  assert.equal(capped.truncated, true);
+});
+
+test('a referee without an active verification is flagged', async () => {
+  const sdk = sdkWithTree();
+  sdk.contracts.passly.passports[9].verifications.github.active = false;
+
+  const tree = await sdk.getReferralTree(7);
+  assert.deepEqual(tree.flags.map(flag => [flag.type, flag.passportIds]), [['unverified-referee', [9]]]);
+});
+
+test('a failed read throws instead of flagging an unverified referee', async () => {
+  const sdk = sdkWithTree();
+  const getVerification = sdk.contracts.passly.getVerification;
+  sdk.contracts.passly.getVerification = async (id, platform) => {
+    if (Number(id) === 9) throw rpcFailure();
+    return getVerification(id, platform);
+  };
+
+  await assert.rejects(() => sdk.getReferralTree(7), /missing response/);
+});
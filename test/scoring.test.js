@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RpcError, referralBonusFactor, revocationPenaltyFactor } from '../src/index.js';
+import { BN, OWNER, createSdk, rpcFailure } from './helpers.js';
+
+// One revocation on every platform and 250 referral points
+const archives = {
+  getPlatformHistory: async () => ({
+    totalVerifications: BN(2),
+    totalRevocations: BN(1),
+    historicalIdentifiers: [],
+    firstVerificationAt: BN(0),
+    lastRevocationAt: BN(0)
+  })
+};
+const rewards = {
+  getPointBreakdown: async () => [BN(100), BN(0), BN(250), BN(350)]
+};
+
+for (const numeric of ['number', 'bigint', 'string']) {
+  test(`scoring factors give the same result in ${numeric} mode`, async () => {
+    const sdk = createSdk({ config: { numeric }, contracts: { archives, rewards } });
+    sdk.registerScoringModel({
+      name: 'factors',
+      factors: [revocationPenaltyFactor(), referralBonusFactor()]
+    });
+
+    const strength = await sdk.getVerificationStrength(OWNER, 'factors');
+    assert.equal(strength.breakdown.revocationPenalty, -10);
+    assert.equal(strength.breakdown.referralBonus, 2);
+    assert.equal(strength.breakdown.pointsBonus, 3);
+  });
+}
+
+// github and twitter active, 100 days old, 350 points
+test('the default model scores platforms, age, diversity and points', async () => {
+  const strength = await createSdk().getVerificationStrength(OWNER);
+
+  assert.deepEqual(strength.breakdown, { platformCount: 30, ageBonus: 3, diversityBonus: 10, pointsBonus: 3, totalScore: 46 });
+  assert.equal(strength.grade, 'C');
+  assert.deepEqual(strength.platformTypes, { github: 'developer', twitter: 'social' });
+});
+
+test('a registered model applies its own weights and grades', async () => {
+  const sdk = createSdk();
+  sdk.registerScoringModel({
+    name: 'strict',
+    weights: { perPlatform: 10, diversityBonus: 0 },
+    platformWeights: { github: 40 },
+    grades: { A: 90, B: 50 }
+  });
+
+  const strength = await sdk.getVerificationStrength(OWNER, 'strict');
+  assert.equal(strength.breakdown.platformCount, 50);
+  assert.equal(strength.score, 56);
+  assert.equal(strength.grade, 'B');
+  assert.throws(() => sdk.getScoringModel('missing'), /missing/);
+});
+
+test('platform types come from the Platforms contract, not the built-in list', async () => {
+  const platforms = {
+    getPlatformConfig: async platform => [true, 'code', [], BN(0), false, BN(0)]
+  };
+
+  const strength = await createSdk({ contracts: { platforms } }).getVerificationStrength(OWNER);
+  assert.deepEqual(strength.platformTypes, { github: 'code', twitter: 'code' });
+  assert.equal(strength.breakdown.diversityBonus, 0);
+});
+
+test('a failed platform type read is unknown in lenient mode and throws in strict mode', async () => {
+  const platforms = { getPlatformConfig: async () => { throw rpcFailure(); } };
+
+  const lenient = await createSdk({ contracts: { platforms } }).getVerificationStrength(OWNER);
+  assert.deepEqual(lenient.platformTypes, { github: null, twitter: null });
+  assert.equal(lenient.breakdown.diversityBonus, 0);
+
+  const strict = createSdk({ config: { strict: true }, contracts: { platforms } });
+  await assert.rejects(() => strict.getVerificationStrength(OWNER), RpcError);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OWNER, createSdk, rpcFailure } from './helpers.js';
+
+const MISSING = '0x000000000000000000000000000000000000dEaD';
+
+test('a failed read is recorded as a retryable error, not "No passport"', async () => {
+  const sdk = createSdk();
+  const getPassportByAddress = sdk.contracts.passly.getPassportByAddress;
+  sdk.contracts.passly.getPassportByAddress = async () => { throw rpcFailure(); };
+
+  const first = await sdk.screenAddresses([OWNER, MISSING], { platforms: ['github'] });
+  assert.equal(first.summary.errors, 2);
+  assert.ok(first.results.every(result => result.error && !result.passed));
+
+  sdk.contracts.passly.getPassportByAddress = getPassportByAddress;
+  const resumed = await sdk.screenAddresses([OWNER, MISSING], { platforms: ['github'] }, { checkpoint: first.results });
+
+  assert.deepEqual(resumed.passed, [OWNER]);
+  const missing = resumed.results.find(result => result.address === MISSING);
+  assert.deepEqual(missing.reasons, ['No passport']);
+  assert.equal(missing.error, undefined);
+  assert.equal(resumed.summary.errors, 0);
+});
+
+test('a failed points read is an error, not a fallback to passport points', async () => {
+  const sdk = createSdk({
+    contracts: { rewards: { getPointBreakdown: async () => { throw rpcFailure(); } } }
+  });
+
+  const { results } = await sdk.screenAddresses([OWNER], { minPoints: 1 });
+  assert.ok(results[0].error);
+  assert.equal(results[0].data.points, undefined);
+});
@@ -0,0 +1,74 @@
+/**
+ * Field kinds of the objects the SDK formats from contract responses
+ *
+ * The runtime tests check formatted results against these shapes and the type
+ * tests check that the declarations in src/index.d.ts have the same fields
+ * with matching types, so the two cannot drift apart.
+ */
+
+export const SHAPES = /** @type {const} */ ({
+  Passport: {
+    id: 'numeric',
+    owner: 'address',
+    createdAt: 'date',
+    verificationCount: 'numeric',
+    category: 'string',
+    totalPoints: 'numeric',
+    referralCode: 'string',
+    totalReferrals: 'numeric',
+    platforms: 'strings',
+    verifications: 'verifications'
+  },
+  Verification: {
+    identifier: 'string',
+    verifiedAt: 'date',
+    proofHash: 'string',
+    active: 'boolean',
+    pointsAwarded: 'boolean'
+  },
+  PointBreakdown: {
+    holding: 'numeric',
+    platform: 'numeric',
+    referral: 'numeric',
+    total: 'numeric'
+  },
+  ReferralInfo: {
+    referralCode: 'string',
+    referredBy: 'address',
+    totalReferrals: 'numeric',
+    referralEarnings: 'numeric'
+  },
+  LeaderboardEntry: {
+    passportId: 'numeric',
+    owner: 'address',
+    totalScore: 'numeric',
+    holdingPoints: 'numeric',
+    platformPoints: 'numeric',
+    referralPoints: 'numeric',
+    verificationCount: 'numeric',
+    category: 'string',
+    lastUpdated: 'date',
+    rank: 'numeric',
+    previousRank: 'numeric'
+  }
+});
+
+/**
+ * Check a value against a field kind in a numeric mode
+ */
+export function isKind(value, kind, numeric = 'number') {
+  switch (kind) {
+    case 'numeric':
+      return numeric === 'number' ? Number.isSafeInteger(value) : typeof value === numeric;
+    case 'address':
+      return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+    case 'date':
+      return value instanceof Date && !Number.isNaN(value.getTime());
+    case 'strings':
+      return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+    case 'verifications':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === kind;
+  }
+}
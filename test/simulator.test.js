@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ContractUnavailableError } from '../src/index.js';
+import { BN, OWNER, createSdk } from './helpers.js';
+
+// gitlab requires github; twitter points are taken back when it is revoked within 30 days
+const CONFIGS = {
+  github: { requires: [], reward: 100, punish: false, days: 0 },
+  gitlab: { requires: ['github'], reward: 80, punish: false, days: 0 },
+  twitter: { requires: [], reward: 50, punish: true, days: 30 }
+};
+
+const platforms = {
+  getSupportedPlatforms: async () => Object.keys(CONFIGS),
+  getPlatformConfig: async platform => {
+    const config = CONFIGS[platform];
+    return [true, 'social', config.requires, BN(config.reward), config.punish, BN(config.days)];
+  },
+  validateDependencies: async (active, platform) => {
+    const missing = CONFIGS[platform].requires.filter(required => !active.includes(required));
+    return [missing.length === 0, missing[0] || ''];
+  },
+  getCascadeAffectedPlatforms: async (active, platform) =>
+    active.filter(other => other === platform || CONFIGS[other].requires.includes(platform))
+};
+
+// 100 holding, 150 platform (github and twitter) and no referral points; 1 per day held, 20 per referral, 10 as a referee
+const rewards = {
+  getPointBreakdown: async () => [BN(100), BN(150), BN(0), BN(250)],
+  getReferralInfo: async () => ['CODE7', ethers.constants.AddressZero, BN(0), BN(0)],
+  getPointConfig: async () => [BN(1), BN(20), BN(10)],
+  getPlatformPoints: async (id, platform) => BN(CONFIGS[platform].reward)
+};
+
+test('actions are applied in order with punishment for an early revocation', async () => {
+  const sdk = createSdk({ contracts: { platforms, rewards } });
+
+  const result = await sdk.simulatePoints(OWNER, [
+    { verify: 'gitlab' },
+    { revoke: 'twitter' },
+    { refer: 2 },
+    { useReferral: true },
+    { useReferral: true },
+    { hold: 3 }
+  ]);
+
+  assert.deepEqual(result.start, { holding: 100, platform: 150, referral: 0, total: 250 });
+  assert.deepEqual(result.end, { holding: 103, platform: 180, referral: 50, total: 333 });
+  assert.deepEqual(result.steps.map(step => step.change), [80, -50, 40, 10, 0, 3]);
+  assert.equal(result.steps[4].reason, 'Passport has already used a referral code');
+  assert.deepEqual(result.penalties.map(penalty => [penalty.platform, penalty.points]), [['twitter', 50]]);
+  assert.equal(result.pointsLost, 50);
+  assert.deepEqual(result.platforms, ['github', 'gitlab']);
+});
+
+test('a platform cannot be verified once its requirement is revoked', async () => {
+  const sdk = createSdk({ contracts: { platforms, rewards } });
+
+  const result = await sdk.simulatePoints(OWNER, [{ revoke: 'github' }, { verify: 'gitlab' }]);
+  assert.deepEqual(result.steps[0].lostPlatforms, ['github']);
+  // github was verified 90 days ago, so its points are kept
+  assert.equal(result.pointsLost, 0);
+  assert.equal(result.steps[1].applied, false);
+  assert.equal(result.steps[1].reason, 'gitlab requires github');
+});
+
+test('a graph passed in still needs the Platforms contract', async () => {
+  const graph = await createSdk({ contracts: { platforms } }).getPlatformDependencyGraph();
+  const sdk = createSdk({ contracts: { rewards } });
+
+  await assert.rejects(() => sdk.simulatePoints(OWNER, [{ verify: 'gitlab' }], { graph }), ContractUnavailableError);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { exportSnapshot, getSnapshotProof, verifySnapshotProof } from '../src/index.js';
+import { NOW, DAY, OWNER, createSdk, defaultPassports, fakeProvider } from './helpers.js';
+
+const HOLDERS = [OWNER, ...[8, 9, 10, 11].map(id => ethers.utils.getAddress('0x' + id.toString(16).padStart(40, '0')))];
+
+// Reference values from @openzeppelin/merkle-tree 1.0.8: StandardMerkleTree.of(values, ['address', 'uint256'])
+// for the holders above with amounts 350, 800, 900, 1000 and 1100
+const OZ_ROOT = '0x1c19dd36a45123997919c351cb856cb584488e4109f342b17fdf52f9c8922c5e';
+const OZ_TREE = [
+  OZ_ROOT,
+  '0x33efd4da0f2b38d16dec912fef4d787a87c80375919dcda7c157d2ba7aa7f4d9',
+  '0x3de2ccef3725b7066590f4274988ba738b25abf58c42820fd9291fad760ca360',
+  '0xc8188af57b93232a7c63730527b588d756af1fc0b17bd31661b3d9dd7f50d8c3',
+  '0xb08f3ca649ed3aade19cd2220f2bcef752faec5db4d3867f02795b325ee2c87c',
+  '0x40175b6f179bf2ae772281ea077b6fe4496ff428cc96c0b03f82f73f32f921e7',
+  '0x3c08f54f43fad6b4d8096662dcc0e968d046795502398b5f41308f1f7c9eecc1',
+  '0x1d248f77484a89f896df6386e0d2354849ab393271b51979df0fecd7411391f9',
+  '0x14e923613d77c50e4a9cd5866cfa1b60a99b5de771498bcfac1402d35a1615bf'
+];
+const OZ_TREE_INDICES = [4, 5, 6, 8, 7];
+const OZ_PROOFS = [
+  [OZ_TREE[3], OZ_TREE[2]],
+  [OZ_TREE[6], OZ_TREE[1]],
+  [OZ_TREE[5], OZ_TREE[1]],
+  [OZ_TREE[7], OZ_TREE[4], OZ_TREE[2]],
+  [OZ_TREE[8], OZ_TREE[4], OZ_TREE[2]]
+];
+
+function holderPassports() {
+  const passports = defaultPassports();
+  HOLDERS.slice(1).forEach((owner, index) => {
+    passports[8 + index] = {
+      owner,
+      createdAt: NOW - DAY,
+      category: 'developer',
+      totalPoints: 800 + index * 100,
+      verifications: {}
+    };
+  });
+  return passports;
+}
+
+test('snapshots match the OpenZeppelin StandardMerkleTree layout', async () => {
+  const sdk = createSdk({ passports: holderPassports() });
+  const snapshot = await sdk.buildSnapshot({ addresses: HOLDERS });
+
+  assert.deepEqual(snapshot.entries.map(entry => [entry.address, entry.amount]), [
+    [HOLDERS[0], '350'], [HOLDERS[1], '800'], [HOLDERS[2], '900'], [HOLDERS[3], '1000'], [HOLDERS[4], '1100']
+  ]);
+  assert.equal(snapshot.root, OZ_ROOT);
+  assert.deepEqual(snapshot.tree.tree, OZ_TREE);
+  assert.deepEqual(snapshot.tree.values.map(value => value.treeIndex), OZ_TREE_INDICES);
+  assert.deepEqual(snapshot.entries.map(entry => entry.proof), OZ_PROOFS);
+  assert.equal(snapshot.total, '4150');
+});
+
+test('proofs verify only for their own address and amount', async () => {
+  const sdk = createSdk({ passports: holderPassports() });
+  const json = exportSnapshot(await sdk.buildSnapshot({ addresses: HOLDERS }));
+
+  for (const holder of HOLDERS) {
+    const { amount, proof } = getSnapshotProof(json, holder.toLowerCase());
+    assert.equal(verifySnapshotProof(OZ_ROOT, holder, amount, proof), true);
+    assert.equal(verifySnapshotProof(OZ_ROOT, holder, BigInt(amount) + 1n, proof), false);
+  }
+
+  const { proof } = getSnapshotProof(json, HOLDERS[1]);
+  assert.equal(verifySnapshotProof(OZ_ROOT, HOLDERS[2], '800', proof), false);
+  assert.equal(getSnapshotProof(json, '0x000000000000000000000000000000000000dEaD'), null);
+});
+
+test('a single holder is its own root', async () => {
+  const sdk = createSdk({ passports: holderPassports() });
+  const snapshot = await sdk.buildSnapshot({ addresses: [OWNER] });
+
+  assert.equal(snapshot.tree.tree.length, 1);
+  assert.deepEqual(snapshot.entries[0].proof, []);
+  assert.equal(verifySnapshotProof(snapshot.root, OWNER, '350', []), true);
+});
+
+test('the snapshot block comes from the provider the contracts read through', async () => {
+  const signer = { provider: fakeProvider({ blockNumber: 77 }), getAddress: async () => OWNER };
+  const sdk = createSdk({ config: { signer }, passports: holderPassports(), provider: fakeProvider({ blockNumber: 5 }) });
+
+  const snapshot = await sdk.buildSnapshot({ addresses: [OWNER] });
+  assert.equal(snapshot.blockNumber, 77);
+  assert.deepEqual(sdk.views, [77]);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { RpcError } from '../src/index.js';
+import { BN, NOW, DAY, createSdk, defaultPassports, rpcFailure } from './helpers.js';
+
+// 7 and 8 share a github account, 8 and 9 a twitter account
+const ACCOUNTS = {
+  7: { github: 'octocat' },
+  8: { github: 'octocat', twitter: 'shared_tw' },
+  9: { twitter: 'shared_tw' }
+};
+
+function passports() {
+  const all = defaultPassports();
+  all[7].verifications = { github: { identifier: 'octocat', verifiedAt: NOW - 90 * DAY, active: true } };
+  for (const id of [8, 9]) {
+    all[id] = {
+      owner: ethers.utils.getAddress('0x' + String(id).padStart(40, '0')),
+      createdAt: NOW - 10 * DAY,
+      category: 'developer',
+      totalPoints: 0,
+      verifications: Object.fromEntries(Object.entries(ACCOUNTS[id]).map(([platform, identifier]) =>
+        [platform, { identifier, verifiedAt: NOW - DAY, active: true }]
+      ))
+    };
+  }
+  return all;
+}
+
+function fakeArchives() {
+  return {
+    getVerificationHistory: async (id, platform) => {
+      const identifier = (ACCOUNTS[Number(id)] || {})[platform];
+      return identifier
+        ? [{ identifier, verifiedAt: BN(NOW - DAY), revokedAt: BN(0), proofHash: ethers.constants.HashZero, wasRevoked: false, revokeReason: '' }]
+        : [];
+    },
+    getHistoricalIdentifiers: async () => [],
+    getIdentifierUsage: async (platform, identifier) => Object.entries(ACCOUNTS)
+      .filter(([, accounts]) => accounts[platform] === identifier)
+      .map(([id]) => BN(id))
+  };
+}
+
+function sdkWithArchives(archives = fakeArchives()) {
+  return createSdk({ passports: passports(), contracts: { archives } });
+}
+
+test('linked passports are found through shared identifiers', async () => {
+  const graph = await sdkWithArchives().getSybilLinks(7, { depth: 2 });
+
+  assert.deepEqual(graph.nodes, [{ passportId: 7, depth: 0 }, { passportId: 8, depth: 1 }, { passportId: 9, depth: 2 }]);
+  assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to, edge.platform, edge.identifier]), [
+    [7, 8, 'github', 'octocat'],
+    [8, 9, 'twitter', 'shared_tw']
+  ]);
+  assert.equal(graph.truncated, false);
+});
+
+test('the graph is truncated only when links were left out', async () => {
+  const oneHop = await sdkWithArchives().getSybilLinks(7, { depth: 1 });
+  assert.deepEqual(oneHop.nodes.map(node => node.passportId), [7, 8]);
+  assert.equal(oneHop.truncated, true);
+
+  const capped = await sdkWithArchives().getSybilLinks(7, { depth: 2, maxPassports: 2 });
+  assert.deepEqual(capped.nodes.map(node => node.passportId), [7, 8]);
+  assert.equal(capped.truncated, true);
+
+  // 8 also links to 7, one hop beyond the limit
+  const fromNine = await sdkWithArchives().getSybilLinks(9, { depth: 1 });
+  assert.deepEqual(fromNine.nodes.map(node => node.passportId), [9, 8]);
+  assert.equal(fromNine.truncated, true);
+
+  // 7 sits at the limit but only links back to 8, which is already in the graph
+  const whole = await sdkWithArchives().getSybilLinks(9, { depth: 2 });
+  assert.deepEqual(whole.nodes.map(node => node.passportId), [9, 8, 7]);
+  assert.equal(whole.truncated, false);
+});
+
+test('a failed read throws instead of returning a graph without links', async () => {
+  const archives = fakeArchives();
+  archives.getIdentifierUsage = async () => { throw rpcFailure(); };
+
+  await assert.rejects(() => sdkWithArchives(archives).getSybilLinks(7), RpcError);
+
+  const sdk = sdkWithArchives();
+  sdk.contracts.passly.getVerifiedPlatforms = async () => { throw rpcFailure(); };
+  await assert.rejects(() => sdk.getSybilLinks(7), RpcError);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ContractRevertError } from '../src/index.js';
+import { BN, createSdk, revert } from './helpers.js';
+
+const SIGNER = ethers.Wallet.createRandom();
+
+function receipt(status = 1) {
+  return {
+    transactionHash: '0x' + 'ab'.repeat(32),
+    from: SIGNER.address,
+    to: '0x' + '11'.repeat(20),
+    blockNumber: 10,
+    gasUsed: BN(21000),
+    status
+  };
+}
+
+function sdkWithPassly(passly, rewards) {
+  const sdk = createSdk({ config: { signer: SIGNER }, passports: {} });
+  Object.assign(sdk.contracts.passly, passly);
+  if (rewards) sdk.contracts.rewards = rewards;
+  return sdk;
+}
+
+test('createPassport refuses a referral code it cannot validate', async () => {
+  let sent = false;
+  const passly = { createPassport: async () => { sent = true; } };
+
+  await assert.rejects(() => sdkWithPassly(passly).createPassport('developer', 'FRIEND'), /Rewards contract not configured/);
+
+  const rewards = { validateReferralCode: async () => { throw revert('boom'); } };
+  await assert.rejects(() => sdkWithPassly(passly, rewards).createPassport('developer', 'FRIEND'), /Invalid referral code/);
+  assert.equal(sent, false);
+});
+
+test('createPassport sends a valid referral code', async () => {
+  const passly = {
+    createPassport: async (category, code) => {
+      assert.equal(code, 'FRIEND');
+      return { wait: async () => receipt() };
+    }
+  };
+  const rewards = { validateReferralCode: async () => [true, BN(3)] };
+
+  const result = await sdkWithPassly(passly, rewards).createPassport('developer', 'FRIEND');
+  assert.equal(result.status, 'success');
+  assert.equal(result.referralCode, 'FRIEND');
+});
+
+test('a reverted transaction throws ContractRevertError with the receipt', async () => {
+  const passly = {
+    createPassport: async () => ({
+      wait: async () => {
+        const error = revert('transaction failed');
+        error.receipt = receipt(0);
+        throw error;
+      }
+    })
+  };
+
+  await assert.rejects(() => sdkWithPassly(passly).createPassport('developer'), error => {
+    assert.ok(error instanceof ContractRevertError);
+    assert.equal(error.receipt.status, 0);
+    assert.match(error.message, /reverted/);
+    return true;
+  });
+});
@@ -0,0 +1,145 @@
+import PasslySDK, {
+  LeaderboardEntry, LruCache, NETWORKS, NumericOverflowError, PasslyEvent, PolicyClause, ReferralCodeValidation,
+  ResilientProvider, ScreeningResult, Snapshot, createGate, exportSnapshot, getSnapshotProof, verifyAttestation,
+  verifyCredential, verifySnapshotProof
+} from '../../src/index.js';
+
+// Compile-only checks of the public declarations; nothing here is run
+
+export async function reads() {
+  const sdk = await new PasslySDK({ network: 'base', cache: { backend: new LruCache({ maxEntries: 10 }) } }).connect();
+  const passport = await sdk.getPassport('0xabc');
+  if (passport) {
+    const createdAt: Date = passport.createdAt;
+    const id: number = passport.id;
+  }
+  const byId = await sdk.getPassportById(7);
+  const status = await sdk.isAccountVerified('github', 'octocat');
+  if (status.isVerified) {
+    const id: number = status.passportId;
+  } else {
+    const id: null = status.passportId;
+  }
+  const entries: LeaderboardEntry[] | null = await sdk.getTopEntries(5);
+  sdk.subscribe((event: PasslyEvent) => {
+    if (event.type === 'rankChanged') { const rank: number = event.data.rank; }
+    if (event.type === 'passportTransferred') { const to: string = event.data.to; }
+  });
+  const provider = new ResilientProvider(['http://localhost:8545'], { mode: 'quorum' });
+  const health = provider.getHealth();
+  const view = await sdk.at(new Date());
+  const chainId: number = NETWORKS.base.chainId;
+}
+
+export async function numericModes() {
+  const big = await new PasslySDK({ numeric: 'bigint' }).connect();
+  const passport = await big.getPassportById(10n);
+  if (passport) {
+    const id: bigint = passport.id;
+    const points: bigint = passport.totalPoints;
+  }
+  const rank: bigint | null = await big.getGlobalRank('0xabc');
+  big.subscribe(event => { if (event.type === 'pointsChanged') { const delta: bigint = event.data.delta; } });
+  // @ts-expect-error bigint mode does not return numbers
+  const points: number | null = await big.getPoints(1);
+
+  const breakdown = await new PasslySDK({ numeric: 'string' }).getPointBreakdown(1);
+  if (breakdown) { const total: string = breakdown.total; }
+
+  const record = await big.createIndexer().getPassport(1n);
+  if (record) { const indexed: bigint = record.points; }
+
+  try {
+    await big.getPoints(1);
+  } catch (error) {
+    if (error instanceof NumericOverflowError) { const field: string = error.field; }
+  }
+}
+
+declare const screening: ScreeningResult;
+declare const validation: ReferralCodeValidation;
+
+export async function policies() {
+  const sdk = new PasslySDK({ numeric: 'bigint' });
+  const policy: PolicyClause = { all: [{ platform: 'github' }, { strengthGrade: { min: 'B' } }] };
+  // @ts-expect-error unknown clause
+  const unknown: PolicyClause = { foo: 1 };
+  // @ts-expect-error grades are letters
+  const grade: PolicyClause = { strengthGrade: { min: 'Z' } };
+
+  const decision = await sdk.evaluatePolicy(1n, policy, { includePassport: true });
+  if (decision.passed) { const points: bigint | undefined = decision.passport?.totalPoints; }
+
+  const gate = createGate({ sdk, requirements: { platforms: ['github'], minGrade: 'B' } });
+  const result = await gate.check({ headers: {} });
+  if (result.allowed) {
+    const id: bigint = result.passport.id;
+  } else {
+    const status: number = result.status;
+  }
+
+  if (screening.passed) { const id: number = screening.passportId; }
+}
+
+export async function transactions() {
+  const sdk = new PasslySDK();
+  if (!validation.isValid) {
+    // @ts-expect-error null when the code is invalid
+    const id: number = validation.ownerPassportId;
+  }
+  // @ts-expect-error categories are strings
+  sdk.setCategory(5);
+}
+
+export async function leaderboard() {
+  const sdk = new PasslySDK({ numeric: 'string' });
+  for await (const entry of sdk.iterateLeaderboard({ category: 'developer', limit: 10 })) {
+    const rank: string = entry.rank;
+  }
+  const page = await sdk.getLeaderboardPage({ cursor: 'global:50' });
+  const neighbours = await sdk.getLeaderboardNeighbours('0x1', { radius: 2 });
+  const movements = await sdk.getRankMovements();
+  const movement: string | undefined = movements.climbers[0]?.movement;
+}
+
+export async function graphs() {
+  const sdk = new PasslySDK({ numeric: 'bigint' });
+  const graph = await sdk.getPlatformDependencyGraph();
+  const next = await sdk.getVerifiablePlatforms('0x1', { graph });
+  const impact = await sdk.getRevocationImpact(1n, 'twitter', { at: new Date() });
+  const lost: bigint | undefined = impact?.pointsLost;
+
+  const tree = await sdk.getReferralTree(1n, { depth: 3, burst: { size: 3 } });
+  const earnings: bigint = tree.nodes[0].subtree.referralEarnings;
+
+  const simulation = await new PasslySDK({ numeric: 'string' }).simulatePoints('0x1', [{ revoke: 'discord' }, { hold: 3 }]);
+  const simulatedLoss: string | undefined = simulation?.pointsLost;
+  // @ts-expect-error unknown simulation step
+  await sdk.simulatePoints('0x1', [{ fly: 1 }]);
+}
+
+export async function proofs() {
+  const sdk = new PasslySDK({ numeric: 'bigint' });
+
+  const attestation = await sdk.createAttestation('0xabc', ['platforms', 'strength'], { expiresIn: 60 });
+  const verified = verifyAttestation(attestation, ['0x1'], { chainId: 1 });
+  const platforms: string[] | undefined = verified.claims?.platforms;
+  // @ts-expect-error unknown attestation field
+  await sdk.createAttestation('0xabc', ['bogus']);
+
+  const credentials = await sdk.issueCredentials('0xabc');
+  if (credentials) {
+    const result = await verifyCredential(credentials[0], { trustedIssuers: ['0x1'], sdk, checkOnChain: true });
+    const active: boolean | undefined = result.onChain?.active;
+  }
+
+  const snapshot: Snapshot = await sdk.buildSnapshot(
+    { leaderboard: { from: 1, to: 100 } },
+    { weight: (value, holder) => BigInt(value) * 10n + BigInt(holder.passportId) }
+  );
+  const json: string = exportSnapshot(snapshot);
+  const proof = getSnapshotProof(json, '0x1');
+  if (proof) verifySnapshotProof(snapshot.root, proof.address, proof.amount, proof.proof);
+  const check = await sdk.verifySnapshot(json);
+  const root: string | null = check.computedRoot;
+}
@@ -0,0 +1,32 @@
+import type {
+  Address, LeaderboardEntry, Numeric, NumericMode, Passport, PointBreakdown, ReferralInfo, Verification, Verifications
+} from '../../src/index.js';
+import { SHAPES } from '../shapes.js';
+
+// The declared types must have exactly the fields, of exactly the kinds, the runtime tests check
+
+type Kinds<M extends NumericMode> = {
+  numeric: Numeric<M>;
+  address: Address;
+  date: Date;
+  string: string;
+  boolean: boolean;
+  strings: string[];
+  verifications: Verifications;
+};
+
+type FromShape<S, M extends NumericMode> = { -readonly [K in keyof S]: S[K] extends keyof Kinds<M> ? Kinds<M>[S[K]] : never };
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+function assertEqual<A, B>(equal: Equal<A, B>): void {}
+
+type Shapes = typeof SHAPES;
+
+assertEqual<FromShape<Shapes['Passport'], 'number'>, Passport>(true);
+assertEqual<FromShape<Shapes['Passport'], 'bigint'>, Passport<'bigint'>>(true);
+assertEqual<FromShape<Shapes['Verification'], 'number'>, Verification>(true);
+assertEqual<FromShape<Shapes['PointBreakdown'], 'string'>, PointBreakdown<'string'>>(true);
+assertEqual<FromShape<Shapes['ReferralInfo'], 'number'>, ReferralInfo>(true);
+assertEqual<FromShape<Shapes['LeaderboardEntry'], 'number'>, LeaderboardEntry>(true);
+assertEqual<FromShape<Shapes['LeaderboardEntry'], 'bigint'>, LeaderboardEntry<'bigint'>>(true);